@@ -3,7 +3,7 @@
  * Handles all canvas operations, drawing tools, and blueprint management
  */
 
-import { Utils } from '@drywall/core';
+import { Utils, DrywallCalculator, calculator } from '@drywall/core';
 
 // Export BlueprintManager as default and named export
 export default class BlueprintManager {
@@ -20,13 +20,18 @@ export default class BlueprintManager {
         // Configuration
         this.scale = options.scale || 20; // pixels per foot
         this.gridSize = options.gridSize || 1; // feet
+        this.onEditStairs = options.onEditStairs || null; // called with a stair on double-click
+        this.onEditWall = options.onEditWall || null; // called with a wall and screen point on double-click
+        this.onEditSoffit = options.onEditSoffit || null; // called with a soffit on double-click
         this.zoom = 1;
         this.panOffset = { x: 0, y: 0 };
 
         // State
         this.currentTool = 'select';
+        this.currentAssembly = null; // wall assembly id new walls are drawn with
         this.isDrawing = false;
         this.isPanning = false;
+        this.draggingWall = null; // wall being moved with the select tool, and where the drag began
         this.startPoint = null;
         this.currentPoint = null;
         this.selectedElements = [];
@@ -37,9 +42,12 @@ export default class BlueprintManager {
         this.doors = [];
         this.windows = [];
         this.stairs = [];
+        this.openings = []; // stair openings and chases through this floor
+        this.soffits = []; // soffits, bulkheads and beam wraps, as plan rectangles
         this.rooms = [];
         this.textLabels = [];
         this.measurements = [];
+        this.underlays = []; // ghosted adjacent floors, set by the app
 
         // Undo/Redo
         this.history = [];
@@ -58,7 +66,9 @@ export default class BlueprintManager {
             doors: true,
             windows: true,
             stairs: true,
-            rooms: true
+            soffits: true,
+            rooms: true,
+            underlay: true
         };
 
         // Colors
@@ -70,6 +80,14 @@ export default class BlueprintManager {
             doorExterior: '#713f12',
             window: '#1e40af',
             stairs: '#7c2d12',
+            opening: '#0f766e',
+            soffit: '#a16207',
+            underlay: '#94a3b8',
+            faceFinished: '#16a34a',
+            faceSkipped: '#dc2626',
+            faceLayered: '#ea580c',
+            assemblyRated: '#b91c1c',
+            assembly: '#7c3aed',
             roomFill: 'rgba(59, 130, 246, 0.05)',
             roomBorder: 'rgba(59, 130, 246, 0.3)',
             selected: '#3b82f6',
@@ -189,11 +207,14 @@ export default class BlueprintManager {
         ctx.translate(this.panOffset.x, this.panOffset.y);
         ctx.scale(this.zoom, this.zoom);
 
-        // Draw in order: rooms -> walls -> doors -> windows -> stairs -> labels
+        // Draw in order: underlay -> rooms -> soffits -> walls -> doors -> windows -> stairs -> labels
+        if (this.layers.underlay) this.drawUnderlays(ctx);
         if (this.layers.rooms) this.drawRooms(ctx);
+        if (this.layers.soffits) this.drawSoffits(ctx);
         if (this.layers.walls) this.drawWalls(ctx);
         if (this.layers.doors) this.drawDoors(ctx);
         if (this.layers.windows) this.drawWindows(ctx);
+        if (this.layers.stairs) this.drawOpenings(ctx);
         if (this.layers.stairs) this.drawStairs(ctx);
         if (this.showRoomLabels) this.drawTextLabels(ctx);
         if (this.showDimensions) this.drawMeasurements(ctx);
@@ -227,6 +248,104 @@ export default class BlueprintManager {
         ctx.restore();
     }
 
+    // Adjacent floors, ghosted under this one so stairs and chases can be lined up
+    drawUnderlays(ctx) {
+        this.underlays.forEach(underlay => {
+            ctx.save();
+            ctx.globalAlpha = underlay.relation === 'below' ? 0.35 : 0.2;
+            ctx.strokeStyle = this.colors.underlay;
+            ctx.lineWidth = 2 / this.zoom;
+            ctx.setLineDash(underlay.relation === 'below' ? [] : [6 / this.zoom, 4 / this.zoom]);
+
+            (underlay.walls || []).forEach(wall => {
+                ctx.beginPath();
+                ctx.moveTo(wall.start.x, wall.start.y);
+                ctx.lineTo(wall.end.x, wall.end.y);
+                ctx.stroke();
+            });
+
+            const outlines = [
+                ...(underlay.stairs || []).map(stair => calculator.getStairOutline(stair.scale ? stair : { ...stair, scale: this.scale })),
+                ...(underlay.openings || []).map(opening => opening.points)
+            ];
+            outlines.forEach(points => {
+                ctx.beginPath();
+                ctx.moveTo(points[0].x, points[0].y);
+                points.forEach(p => ctx.lineTo(p.x, p.y));
+                ctx.closePath();
+                ctx.stroke();
+            });
+
+            ctx.restore();
+        });
+    }
+
+    drawOpenings(ctx) {
+        this.openings.forEach(opening => {
+            const { points } = opening;
+
+            ctx.strokeStyle = this.colors.opening;
+            ctx.fillStyle = 'rgba(15, 118, 110, 0.08)';
+            ctx.lineWidth = 2 / this.zoom;
+            ctx.setLineDash([6 / this.zoom, 3 / this.zoom]);
+
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+
+            // Cross the hole like a floor-plan opening
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            ctx.lineTo(points[2].x, points[2].y);
+            ctx.moveTo(points[1].x, points[1].y);
+            ctx.lineTo(points[3].x, points[3].y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const center = Utils.geometry.midpoint(points[0], points[2]);
+            ctx.fillStyle = this.colors.opening;
+            ctx.font = `${11 / this.zoom}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(opening.kind === 'chase' ? 'CHASE' : 'OPEN', center.x, center.y);
+        });
+    }
+
+    drawSoffits(ctx) {
+        this.soffits.forEach(soffit => {
+            const { points } = soffit;
+
+            ctx.strokeStyle = this.colors.soffit;
+            ctx.fillStyle = 'rgba(161, 98, 7, 0.12)';
+            ctx.lineWidth = 1.5 / this.zoom;
+            ctx.setLineDash([4 / this.zoom, 4 / this.zoom]);
+
+            // Dashed like anything overhead on a floor plan
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const kind = DrywallCalculator.SOFFITS[soffit.kind] || DrywallCalculator.SOFFITS.soffit;
+            const center = Utils.geometry.midpoint(points[0], points[2]);
+            ctx.fillStyle = this.colors.soffit;
+            ctx.font = `${11 / this.zoom}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(
+                soffit.drop !== undefined ? `${kind.label.toUpperCase()} ${soffit.drop}'` : kind.label.toUpperCase(),
+                center.x,
+                center.y
+            );
+        });
+    }
+
     drawRooms(ctx) {
         this.rooms.forEach(room => {
             if (!room.points || room.points.length < 3) return;
@@ -258,17 +377,28 @@ export default class BlueprintManager {
     drawWalls(ctx) {
         this.walls.forEach(wall => {
             const color = this.getWallColor(wall.type);
-            const width = this.getWallWidth(wall.type);
+            const assembly = calculator.getWallAssembly(wall.assembly);
+            // Assemblies are drawn to their build-up; plain walls by their tool type
+            const width = assembly?.wallThickness
+                ? Math.max(4, (assembly.wallThickness / 12) * this.scale)
+                : this.getWallWidth(wall.type);
 
             ctx.strokeStyle = color;
             ctx.lineWidth = width / this.zoom;
             ctx.lineCap = 'square';
 
-            ctx.beginPath();
-            ctx.moveTo(wall.start.x, wall.start.y);
-            ctx.lineTo(wall.end.x, wall.end.y);
+            this.traceWall(ctx, wall);
             ctx.stroke();
 
+            if (assembly) {
+                ctx.strokeStyle = assembly.rating > 0 ? this.colors.assemblyRated : this.colors.assembly;
+                ctx.lineWidth = 1.5 / this.zoom;
+                this.traceWall(ctx, wall);
+                ctx.stroke();
+            }
+
+            if (wall.faces) this.drawWallFaces(ctx, wall, width);
+
             // Draw dimension if enabled
             if (this.showDimensions) {
                 this.drawWallDimension(ctx, wall);
@@ -276,6 +406,62 @@ export default class BlueprintManager {
         });
     }
 
+    /**
+     * Start a path along a wall, around its arc when it is curved
+     */
+    traceWall(ctx, wall) {
+        const arc = this.getWallArc(wall);
+        ctx.beginPath();
+        if (arc) {
+            ctx.arc(arc.center.x, arc.center.y, arc.radius, arc.startAngle, arc.endAngle, arc.anticlockwise);
+        } else {
+            ctx.moveTo(wall.start.x, wall.start.y);
+            ctx.lineTo(wall.end.x, wall.end.y);
+        }
+    }
+
+    /**
+     * Mark faces that aren't a single hung layer with a line along that side:
+     * dashed for already finished, dotted for skipped, doubled for extra layers
+     */
+    drawWallFaces(ctx, wall, width) {
+        const length = Utils.geometry.distance(wall.start, wall.end);
+        if (length === 0) return;
+
+        ['left', 'right'].forEach(side => {
+            const face = wall.faces[side];
+            if (!face) return;
+            const status = face.status || 'hang';
+            const layers = face.layers || 1;
+            if (status === 'hang' && layers <= 1) return;
+
+            const normal = this.getWallNormal(wall, side);
+            const arc = this.getWallArc(wall);
+            // On a curve the left face is the outside of the bow when it bows left
+            const outward = (side === 'left' ? 1 : -1) * Math.sign(wall.radius || 0);
+            const lines = status === 'hang' ? Math.min(layers, 3) - 1 : 1;
+            ctx.save();
+            ctx.lineWidth = 1.5 / this.zoom;
+            ctx.strokeStyle = status === 'finished' ? this.colors.faceFinished :
+                              status === 'skip' ? this.colors.faceSkipped : this.colors.faceLayered;
+            ctx.setLineDash(status === 'finished' ? [6 / this.zoom, 4 / this.zoom] :
+                            status === 'skip' ? [1.5 / this.zoom, 3 / this.zoom] : []);
+            for (let i = 0; i < lines; i++) {
+                const offset = (width / 2 + (3 + i * 3)) / this.zoom;
+                ctx.beginPath();
+                if (arc) {
+                    ctx.arc(arc.center.x, arc.center.y, Math.max(0, arc.radius + outward * offset),
+                        arc.startAngle, arc.endAngle, arc.anticlockwise);
+                } else {
+                    ctx.moveTo(wall.start.x + normal.x * offset, wall.start.y + normal.y * offset);
+                    ctx.lineTo(wall.end.x + normal.x * offset, wall.end.y + normal.y * offset);
+                }
+                ctx.stroke();
+            }
+            ctx.restore();
+        });
+    }
+
     drawDoors(ctx) {
         this.doors.forEach(door => {
             const color = door.type === 'door-exterior' ? this.colors.doorExterior : this.colors.doorInterior;
@@ -290,10 +476,21 @@ export default class BlueprintManager {
             ctx.lineTo(door.end.x, door.end.y);
             ctx.stroke();
 
-            // Draw door swing arc
             const length = Utils.geometry.distance(door.start, door.end);
             const angle = Utils.geometry.angle(door.start, door.end);
 
+            // Arched passages have no leaf; mark the arch over the frame instead
+            if (door.arch) {
+                const mid = Utils.geometry.midpoint(door.start, door.end);
+                ctx.setLineDash([5 / this.zoom, 5 / this.zoom]);
+                ctx.beginPath();
+                ctx.arc(mid.x, mid.y, length / 2, angle + Math.PI, angle, false);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                return;
+            }
+
+            // Draw door swing arc
             ctx.beginPath();
             ctx.arc(
                 door.start.x,
@@ -378,71 +575,37 @@ export default class BlueprintManager {
 
     drawStairs(ctx) {
         this.stairs.forEach(stair => {
-            const { start, end, type, risers = 14 } = stair;
+            const { flights, landings, arrow } = this.getStairShapes(stair);
 
             ctx.strokeStyle = this.colors.stairs;
             ctx.fillStyle = 'rgba(124, 45, 18, 0.1)';
             ctx.lineWidth = 2 / this.zoom;
 
-            const length = Utils.geometry.distance(start, end);
-            const angle = Utils.geometry.angle(start, end);
-            const width = stair.width || (length / 2);
-
-            // Draw stairwell outline
-            const corners = [
-                start,
-                {
-                    x: start.x + Math.cos(angle) * length,
-                    y: start.y + Math.sin(angle) * length
-                },
-                {
-                    x: start.x + Math.cos(angle) * length + Math.cos(angle + Math.PI / 2) * width,
-                    y: start.y + Math.sin(angle) * length + Math.sin(angle + Math.PI / 2) * width
-                },
-                {
-                    x: start.x + Math.cos(angle + Math.PI / 2) * width,
-                    y: start.y + Math.sin(angle + Math.PI / 2) * width
-                }
-            ];
-
-            ctx.beginPath();
-            ctx.moveTo(corners[0].x, corners[0].y);
-            corners.forEach(c => ctx.lineTo(c.x, c.y));
-            ctx.closePath();
-            ctx.fill();
-            ctx.stroke();
-
-            // Draw risers
-            const riserSpacing = length / risers;
-            ctx.setLineDash([2 / this.zoom, 2 / this.zoom]);
-
-            for (let i = 1; i < risers; i++) {
-                const riserStart = {
-                    x: start.x + Math.cos(angle) * riserSpacing * i,
-                    y: start.y + Math.sin(angle) * riserSpacing * i
-                };
-                const riserEnd = {
-                    x: riserStart.x + Math.cos(angle + Math.PI / 2) * width,
-                    y: riserStart.y + Math.sin(angle + Math.PI / 2) * width
-                };
-
+            // Outline each flight and landing
+            [...flights.map(f => f.corners), ...landings].forEach(corners => {
                 ctx.beginPath();
-                ctx.moveTo(riserStart.x, riserStart.y);
-                ctx.lineTo(riserEnd.x, riserEnd.y);
+                ctx.moveTo(corners[0].x, corners[0].y);
+                corners.forEach(c => ctx.lineTo(c.x, c.y));
+                ctx.closePath();
+                ctx.fill();
                 ctx.stroke();
-            }
+            });
 
+            // Draw risers
+            ctx.setLineDash([2 / this.zoom, 2 / this.zoom]);
+            flights.forEach(flight => {
+                flight.risers.forEach(([riserStart, riserEnd]) => {
+                    ctx.beginPath();
+                    ctx.moveTo(riserStart.x, riserStart.y);
+                    ctx.lineTo(riserEnd.x, riserEnd.y);
+                    ctx.stroke();
+                });
+            });
             ctx.setLineDash([]);
 
-            // Draw direction arrow
-            const arrowStart = Utils.geometry.midpoint(start, {
-                x: start.x + Math.cos(angle) * length,
-                y: start.y + Math.sin(angle) * length
-            });
-            const arrowEnd = {
-                x: arrowStart.x + Math.cos(angle) * (length * 0.3),
-                y: arrowStart.y + Math.sin(angle) * (length * 0.3)
-            };
+            // Draw direction arrow up the first flight
+            const [arrowStart, arrowEnd] = arrow;
+            const angle = Utils.geometry.angle(arrowStart, arrowEnd);
 
             ctx.strokeStyle = '#000';
             ctx.lineWidth = 3 / this.zoom;
@@ -468,13 +631,44 @@ export default class BlueprintManager {
             ctx.font = `${12 / this.zoom}px sans-serif`;
             ctx.textAlign = 'center';
             ctx.fillText(
-                type === 'stairs-up' ? 'UP' : 'DOWN',
+                stair.type === 'stairs-up' ? 'UP' : 'DOWN',
                 arrowStart.x,
                 arrowStart.y - 15 / this.zoom
             );
         });
     }
 
+    // Canvas outlines of a stair's flights, riser lines and landings, from its stair model
+    getStairShapes(stair) {
+        const placed = stair.scale ? stair : { ...stair, scale: this.scale };
+        const layout = calculator.getStairLayout(placed);
+        const toCanvas = (x, y) => calculator.getStairPoint(placed, x, y);
+
+        const flights = layout.flights.map(f => {
+            // Width extends to the climber's right of the start corner
+            const across = { x: -f.dy * layout.width, y: f.dx * layout.width };
+            const at = (run, side) => toCanvas(f.x + f.dx * run + across.x * side, f.y + f.dy * run + across.y * side);
+            const tread = layout.treadWidth / 12;
+
+            return {
+                corners: [at(0, 0), at(f.run, 0), at(f.run, 1), at(0, 1)],
+                risers: Array.from({ length: f.treads }, (_, i) => [at(tread * (i + 1), 0), at(tread * (i + 1), 1)])
+            };
+        });
+        const landings = layout.landings.map(l => [
+            toCanvas(l.x, l.y),
+            toCanvas(l.x + l.length, l.y),
+            toCanvas(l.x + l.length, l.y + l.width),
+            toCanvas(l.x, l.y + l.width)
+        ]);
+
+        const first = layout.flights[0];
+        const mid = layout.width / 2;
+        const arrow = [toCanvas(first.run * 0.2, mid), toCanvas(Math.max(first.run * 0.8, 1), mid)];
+
+        return { flights, landings, arrow };
+    }
+
     drawTextLabels(ctx) {
         this.textLabels.forEach(label => {
             ctx.fillStyle = '#000';
@@ -516,6 +710,23 @@ export default class BlueprintManager {
     }
 
     drawWallDimension(ctx, wall) {
+        const arc = this.getWallArc(wall);
+        if (arc) {
+            // Curved walls are dimensioned by their run and radius, off the apex
+            const outward = Utils.geometry.angle(arc.center, arc.apex);
+            const offset = 20 / this.zoom;
+            ctx.fillStyle = '#4b5563';
+            ctx.font = `${10 / this.zoom}px monospace`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(
+                `${(arc.length / this.scale).toFixed(1)}' R${(arc.radius / this.scale).toFixed(1)}'`,
+                arc.apex.x + Math.cos(outward) * offset,
+                arc.apex.y + Math.sin(outward) * offset
+            );
+            return;
+        }
+
         const mid = Utils.geometry.midpoint(wall.start, wall.end);
         const distance = Utils.geometry.distance(wall.start, wall.end) / this.scale;
         const angle = Utils.geometry.angle(wall.start, wall.end);
@@ -556,30 +767,25 @@ export default class BlueprintManager {
             ctx.font = `${12 / this.zoom}px sans-serif`;
             ctx.textAlign = 'center';
             ctx.fillText(`${distance.toFixed(1)}'`, mid.x, mid.y - 10 / this.zoom);
-        } else if (toolType.startsWith('stairs')) {
-            // Draw stairs preview
-            const length = Utils.geometry.distance(this.startPoint, this.currentPoint);
-            const angle = Utils.geometry.angle(this.startPoint, this.currentPoint);
-            const width = length / 2;
-
-            const corners = [
-                this.startPoint,
-                this.currentPoint,
-                {
-                    x: this.currentPoint.x + Math.cos(angle + Math.PI / 2) * width,
-                    y: this.currentPoint.y + Math.sin(angle + Math.PI / 2) * width
-                },
-                {
-                    x: this.startPoint.x + Math.cos(angle + Math.PI / 2) * width,
-                    y: this.startPoint.y + Math.sin(angle + Math.PI / 2) * width
-                }
-            ];
-
+        } else if (toolType === 'chase' || toolType === 'floor-opening' || toolType in DrywallCalculator.SOFFITS) {
+            const points = this.getRectanglePoints(this.startPoint, this.currentPoint);
             ctx.beginPath();
-            ctx.moveTo(corners[0].x, corners[0].y);
-            corners.forEach(c => ctx.lineTo(c.x, c.y));
+            ctx.moveTo(points[0].x, points[0].y);
+            points.forEach(p => ctx.lineTo(p.x, p.y));
             ctx.closePath();
             ctx.stroke();
+        } else if (toolType.startsWith('stairs')) {
+            // Draw stairs preview from the default stair model
+            const preview = { start: this.startPoint, end: this.currentPoint, shape: 'straight', scale: this.scale };
+            const { flights, landings } = this.getStairShapes(preview);
+
+            [...flights.map(f => f.corners), ...landings].forEach(corners => {
+                ctx.beginPath();
+                ctx.moveTo(corners[0].x, corners[0].y);
+                corners.forEach(c => ctx.lineTo(c.x, c.y));
+                ctx.closePath();
+                ctx.stroke();
+            });
         }
 
         ctx.setLineDash([]);
@@ -589,10 +795,17 @@ export default class BlueprintManager {
         ctx.strokeStyle = color;
         ctx.lineWidth = 6 / this.zoom;
 
-        if (element.start && element.end) {
-            ctx.beginPath();
-            ctx.moveTo(element.start.x, element.start.y);
-            ctx.lineTo(element.end.x, element.end.y);
+        if (this.stairs.includes(element)) {
+            const { flights, landings } = this.getStairShapes(element);
+            [...flights.map(f => f.corners), ...landings].forEach(corners => {
+                ctx.beginPath();
+                ctx.moveTo(corners[0].x, corners[0].y);
+                corners.forEach(c => ctx.lineTo(c.x, c.y));
+                ctx.closePath();
+                ctx.stroke();
+            });
+        } else if (element.start && element.end) {
+            this.traceWall(ctx, element);
             ctx.stroke();
         } else if (element.points) {
             ctx.beginPath();
@@ -605,6 +818,24 @@ export default class BlueprintManager {
 
     // ==================== HELPER METHODS ====================
 
+    /**
+     * Arc of a curved wall in world coordinates, or null for a straight one.
+     * Wall radii are in feet, positive bowing toward the wall's left face.
+     */
+    getWallArc(wall) {
+        if (!wall.radius) return null;
+        return Utils.geometry.arcGeometry(wall.start, wall.end, wall.radius * this.scale);
+    }
+
+    getRectanglePoints(start, end) {
+        return [
+            { x: start.x, y: start.y },
+            { x: end.x, y: start.y },
+            { x: end.x, y: end.y },
+            { x: start.x, y: end.y }
+        ];
+    }
+
     getWallColor(type) {
         switch (type) {
             case 'wall-exterior': return this.colors.wallExterior;
@@ -660,6 +891,20 @@ export default class BlueprintManager {
             }
         }
 
+        // Check floor openings
+        for (let i = this.openings.length - 1; i >= 0; i--) {
+            if (Utils.geometry.isPointInPolygon(point, this.openings[i].points)) {
+                return { type: 'opening', element: this.openings[i], index: i };
+            }
+        }
+
+        // Check soffits
+        for (let i = this.soffits.length - 1; i >= 0; i--) {
+            if (Utils.geometry.isPointInPolygon(point, this.soffits[i].points)) {
+                return { type: 'soffit', element: this.soffits[i], index: i };
+            }
+        }
+
         // Check doors
         for (let i = this.doors.length - 1; i >= 0; i--) {
             if (Utils.geometry.isPointNearLine(point, this.doors[i].start, this.doors[i].end, threshold)) {
@@ -676,8 +921,9 @@ export default class BlueprintManager {
 
         // Check walls
         for (let i = this.walls.length - 1; i >= 0; i--) {
-            if (Utils.geometry.isPointNearLine(point, this.walls[i].start, this.walls[i].end, threshold)) {
-                return { type: 'wall', element: this.walls[i], index: i };
+            const wall = this.walls[i];
+            if (Utils.geometry.isPointNearArc(point, wall.start, wall.end, (wall.radius || 0) * this.scale, threshold)) {
+                return { type: 'wall', element: wall, index: i };
             }
         }
 
@@ -692,25 +938,9 @@ export default class BlueprintManager {
     }
 
     isPointInStairs(point, stair, threshold) {
-        const { start, end } = stair;
-        const length = Utils.geometry.distance(start, end);
-        const angle = Utils.geometry.angle(start, end);
-        const width = stair.width || (length / 2);
-
-        const corners = [
-            start,
-            { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length },
-            {
-                x: start.x + Math.cos(angle) * length + Math.cos(angle + Math.PI / 2) * width,
-                y: start.y + Math.sin(angle) * length + Math.sin(angle + Math.PI / 2) * width
-            },
-            {
-                x: start.x + Math.cos(angle + Math.PI / 2) * width,
-                y: start.y + Math.sin(angle + Math.PI / 2) * width
-            }
-        ];
-
-        return Utils.geometry.isPointInPolygon(point, corners);
+        const { flights, landings } = this.getStairShapes(stair);
+        return [...flights.map(f => f.corners), ...landings]
+            .some(corners => Utils.geometry.isPointInPolygon(point, corners));
     }
 
     // ==================== EVENT HANDLERS ====================
@@ -737,6 +967,14 @@ export default class BlueprintManager {
                 if (!this.selectedElements.includes(found.element)) {
                     this.selectedElements.push(found.element);
                 }
+                if (found.type === 'wall') {
+                    this.draggingWall = {
+                        wall: found.element,
+                        origin: this.snapPoint(point),
+                        start: { ...found.element.start },
+                        end: { ...found.element.end }
+                    };
+                }
             } else {
                 this.selectedElements = [];
             }
@@ -769,7 +1007,16 @@ export default class BlueprintManager {
             return;
         }
 
-        if (this.isDrawing) {
+        if (this.draggingWall) {
+            // Joined walls, room corners and attached openings ride along while the wall is dragged
+            const { wall, origin, start, end } = this.draggingWall;
+            const snapped = this.snapPoint(point);
+            const dx = snapped.x - origin.x;
+            const dy = snapped.y - origin.y;
+            this.moveWallEnds(wall, { x: start.x + dx, y: start.y + dy }, { x: end.x + dx, y: end.y + dy });
+            this.syncOpenings();
+            this.draw();
+        } else if (this.isDrawing) {
             this.currentPoint = this.snapPoint(point);
             this.draw();
         } else {
@@ -798,6 +1045,15 @@ export default class BlueprintManager {
             return;
         }
 
+        if (this.draggingWall) {
+            const { wall, start } = this.draggingWall;
+            this.draggingWall = null;
+            if (wall.start.x !== start.x || wall.start.y !== start.y) {
+                this.updateWall(wall, wall.start, wall.end);
+            }
+            return;
+        }
+
         if (!this.isDrawing) return;
 
         this.isDrawing = false;
@@ -844,6 +1100,10 @@ export default class BlueprintManager {
         if (found && found.type === 'wall') {
             // Show add door/window context menu
             this.showWallContextMenu(found, event.clientX, event.clientY);
+        } else if (found && found.type === 'stairs' && this.onEditStairs) {
+            this.onEditStairs(found.element);
+        } else if (found && found.type === 'soffit' && this.onEditSoffit) {
+            this.onEditSoffit(found.element);
         }
     }
 
@@ -853,20 +1113,57 @@ export default class BlueprintManager {
         const element = { start, end, type };
 
         if (type.startsWith('wall')) {
+            element.id = Utils.generateId('wall');
+            if (this.currentAssembly) element.assembly = this.currentAssembly;
             this.walls.push(element);
+            this.refreshRoomCorners();
+            this.refreshRoomFaces();
+            this.refreshRoomCurves();
+            this.refreshRoomSoffits();
             this.saveToHistory('add wall');
         } else if (type.startsWith('door')) {
+            this.attachOpening(element);
+            if (type === 'door-arch') {
+                // A cased passage with a half-round head, wrapped in board
+                const width = element.width || Utils.geometry.distance(start, end) / this.scale;
+                element.arch = width / 2;
+                element.returns = true;
+            }
             this.doors.push(element);
+            this.refreshRoomOpenings();
             this.saveToHistory('add door');
         } else if (type.startsWith('window')) {
+            this.attachOpening(element);
             this.windows.push(element);
+            this.refreshRoomOpenings();
             this.saveToHistory('add window');
         } else if (type.startsWith('stairs')) {
-            const length = Utils.geometry.distance(start, end);
-            element.width = length / 2;
-            element.risers = 14;
+            // The drag sets position and direction; the stair model sets the size
+            element.id = Utils.generateId('stairs');
+            element.scale = this.scale;
+            element.shape = 'straight';
+            element.width = DrywallCalculator.STAIR_DEFAULTS.width;
             this.stairs.push(element);
             this.saveToHistory('add stairs');
+        } else if (type === 'chase' || type === 'floor-opening') {
+            // Dragged as a rectangle; chases are carried through other floors by the app
+            const id = Utils.generateId(type === 'chase' ? 'chase' : 'opening');
+            this.openings.push({
+                id,
+                kind: type === 'chase' ? 'chase' : 'open',
+                chaseId: type === 'chase' ? id : undefined,
+                points: this.getRectanglePoints(start, end)
+            });
+            this.saveToHistory(type === 'chase' ? 'add chase' : 'add floor opening');
+        } else if (type in DrywallCalculator.SOFFITS) {
+            // Dragged as its plan footprint; the drop is set afterwards or left to the kind's default
+            this.soffits.push({
+                id: Utils.generateId('soffit'),
+                kind: type,
+                points: this.getRectanglePoints(start, end)
+            });
+            this.refreshRoomSoffits();
+            this.saveToHistory(`add ${type}`);
         } else if (type === 'measure') {
             this.measurements.push(element);
             this.saveToHistory('add measurement');
@@ -881,16 +1178,33 @@ export default class BlueprintManager {
         switch (type) {
             case 'wall':
                 this.walls.splice(index, 1);
+                // Openings are owned by their wall and go with it
+                this.doors = this.doors.filter(d => d.wallId !== found.element.id);
+                this.windows = this.windows.filter(w => w.wallId !== found.element.id);
+                this.refreshRoomOpenings();
+                this.refreshRoomCorners();
+                this.refreshRoomFaces();
+                this.refreshRoomCurves();
+                this.refreshRoomSoffits();
                 break;
             case 'door':
                 this.doors.splice(index, 1);
+                this.refreshRoomOpenings();
                 break;
             case 'window':
                 this.windows.splice(index, 1);
+                this.refreshRoomOpenings();
                 break;
             case 'stairs':
                 this.stairs.splice(index, 1);
                 break;
+            case 'opening':
+                this.openings.splice(index, 1);
+                break;
+            case 'soffit':
+                this.soffits.splice(index, 1);
+                this.refreshRoomSoffits();
+                break;
             case 'room':
                 this.rooms.splice(index, 1);
                 break;
@@ -901,6 +1215,136 @@ export default class BlueprintManager {
         this.draw();
     }
 
+    // ==================== OPENINGS ====================
+
+    getOpeningDefaults(type) {
+        switch (type) {
+            case 'door-exterior':
+                return { height: DrywallCalculator.STANDARD_EXTERIOR_DOOR.height, sillHeight: 0 };
+            case 'window-large':
+                return {
+                    height: DrywallCalculator.LARGE_WINDOW.height,
+                    sillHeight: DrywallCalculator.STANDARD_SILL_HEIGHT
+                };
+            case 'window-standard':
+                return {
+                    height: DrywallCalculator.STANDARD_WINDOW.height,
+                    sillHeight: DrywallCalculator.STANDARD_SILL_HEIGHT
+                };
+            default:
+                return { height: DrywallCalculator.STANDARD_INTERIOR_DOOR.height, sillHeight: 0 };
+        }
+    }
+
+    findWallNear(point, threshold = 10) {
+        threshold = threshold / this.zoom;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.walls.forEach(wall => {
+            const dist = Utils.geometry.distanceToArc(point, wall.start, wall.end, (wall.radius || 0) * this.scale);
+            if (dist <= threshold && dist < nearestDistance) {
+                nearest = wall;
+                nearestDistance = dist;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Snap a drawn door/window onto the nearest wall and record where it sits
+     * along that wall (feet from the wall start)
+     */
+    attachOpening(opening) {
+        const defaults = this.getOpeningDefaults(opening.type);
+        opening.height = opening.height || defaults.height;
+        opening.sillHeight = opening.sillHeight ?? defaults.sillHeight;
+
+        const wall = this.findWallNear(Utils.geometry.midpoint(opening.start, opening.end));
+        if (!wall) return false;
+
+        if (!wall.id) wall.id = Utils.generateId('wall');
+
+        const wallLength = Utils.geometry.distance(wall.start, wall.end);
+        const along = (point) => {
+            const projected = Utils.geometry.projectPointOnLine(point, wall.start, wall.end);
+            return Utils.geometry.distance(wall.start, projected);
+        };
+
+        const a = along(opening.start);
+        const b = along(opening.end);
+
+        opening.wallId = wall.id;
+        opening.position = Math.min(a, b) / this.scale;
+        opening.width = Math.min(Math.abs(b - a), wallLength - Math.min(a, b)) / this.scale;
+        this.updateOpeningGeometry(opening, wall);
+
+        return true;
+    }
+
+    updateOpeningGeometry(opening, wall) {
+        const wallLength = Utils.geometry.distance(wall.start, wall.end) / this.scale;
+        const angle = Utils.geometry.angle(wall.start, wall.end);
+
+        // Keep the opening on the wall if the wall got shorter
+        opening.width = Math.min(opening.width, wallLength);
+        opening.position = Utils.clamp(opening.position, 0, wallLength - opening.width);
+
+        const offset = opening.position * this.scale;
+        const width = opening.width * this.scale;
+
+        opening.start = {
+            x: wall.start.x + Math.cos(angle) * offset,
+            y: wall.start.y + Math.sin(angle) * offset
+        };
+        opening.end = {
+            x: opening.start.x + Math.cos(angle) * width,
+            y: opening.start.y + Math.sin(angle) * width
+        };
+    }
+
+    syncOpenings() {
+        const wallsById = {};
+        this.walls.forEach(wall => {
+            if (wall.id) wallsById[wall.id] = wall;
+        });
+
+        [...this.doors, ...this.windows].forEach(opening => {
+            const wall = wallsById[opening.wallId];
+            if (wall) this.updateOpeningGeometry(opening, wall);
+        });
+    }
+
+    /**
+     * Move a wall's end points, taking the ends of the walls joined to it and
+     * the room corners it runs between along, so it stays on the room outlines
+     */
+    moveWallEnds(wall, start, end) {
+        const samePoint = (a, b) => Utils.geometry.distance(a, b) < 0.5;
+        const moves = [[wall.start, start], [wall.end, end]];
+        const moved = (point) => {
+            const move = moves.find(([from]) => samePoint(point, from));
+            return move ? { ...move[1] } : point;
+        };
+
+        this.walls.forEach(other => {
+            if (other === wall) return;
+            other.start = moved(other.start);
+            other.end = moved(other.end);
+        });
+
+        this.rooms.forEach(room => {
+            if (!room.points?.some(point => moved(point) !== point)) return;
+            room.points = room.points.map(moved);
+            room.center = Utils.geometry.polygonCenter(room.points);
+            room.area = Utils.geometry.polygonArea(room.points) / (this.scale * this.scale);
+        });
+
+        wall.start = start;
+        wall.end = end;
+    }
+
     // ==================== ROOM DETECTION ====================
 
     detectRooms() {
@@ -922,26 +1366,94 @@ export default class BlueprintManager {
 
             // Only accept reasonably sized rooms (> 20 sq ft)
             if (area > 20 * this.scale * this.scale) {
+                const openings = this.findOpeningsOnOutline(points);
+
                 rooms.push({
                     id: Utils.generateId('room'),
                     name: `Room ${rooms.length + 1}`,
                     points,
+                    scale: this.scale,
                     center,
                     area: area / (this.scale * this.scale), // Convert to sq ft
                     type: 'standard',
                     height: 8,
-                    includeCeiling: true
+                    includeCeiling: true,
+                    doorDetails: openings.doors,
+                    windowDetails: openings.windows
                 });
             }
         });
 
         this.rooms = rooms;
+        this.refreshRoomCorners();
+        this.refreshRoomFaces();
+        this.refreshRoomCurves();
+        this.refreshRoomSoffits();
         this.saveToHistory('detect rooms');
         this.draw();
 
         return rooms;
     }
 
+    findOpeningsOnOutline(points) {
+        const threshold = this.getWallWidth('wall-exterior');
+        const edges = points.map((p, i) => [p, points[(i + 1) % points.length]]);
+        const wallIds = new Set(this.getWallsOnOutline(points).map(w => w.id));
+
+        const findEdge = (opening) => edges.findIndex(([a, b]) =>
+            Utils.geometry.distanceToLineSegment(opening.start, a, b) <= threshold &&
+            Utils.geometry.distanceToLineSegment(opening.end, a, b) <= threshold
+        );
+
+        // Attached openings belong to the room when their wall bounds it; loose
+        // openings when both ends sit on the same outline edge
+        const isOnOutline = (opening) => {
+            if (opening.wallId) return wallIds.has(opening.wallId);
+            return findEdge(opening) !== -1;
+        };
+
+        const toDetail = (opening) => {
+            const edge = findEdge(opening);
+            const [a, b] = edges[edge] || [];
+            const along = (point) => Utils.geometry.distance(a, Utils.geometry.projectPointOnLine(point, a, b));
+
+            return {
+                width: opening.width || Utils.geometry.distance(opening.start, opening.end) / this.scale,
+                height: opening.height || this.getOpeningDefaults(opening.type).height,
+                sillHeight: opening.sillHeight,
+                wallId: opening.wallId,
+                edge: edge !== -1 ? edge : undefined,
+                position: edge !== -1 ? Math.min(along(opening.start), along(opening.end)) / this.scale : undefined,
+                arch: opening.arch,
+                returns: opening.returns
+            };
+        };
+
+        return {
+            doors: this.doors.filter(isOnOutline).map(toDetail),
+            windows: this.windows.filter(isOnOutline).map(toDetail)
+        };
+    }
+
+    getWallsOnOutline(points) {
+        const samePoint = (a, b) => Utils.geometry.distance(a, b) < 0.5;
+
+        return this.walls.filter(wall => points.some((p, i) => {
+            const next = points[(i + 1) % points.length];
+            return (samePoint(wall.start, p) && samePoint(wall.end, next)) ||
+                   (samePoint(wall.start, next) && samePoint(wall.end, p));
+        }));
+    }
+
+    refreshRoomOpenings() {
+        this.rooms.forEach(room => {
+            if (!room.points || room.points.length < 3) return;
+            const openings = this.findOpeningsOnOutline(room.points);
+            room.doorDetails = openings.doors;
+            room.windowDetails = openings.windows;
+        });
+    }
+
     buildWallGraph() {
         const graph = {};
 
@@ -959,6 +1471,202 @@ export default class BlueprintManager {
         return graph;
     }
 
+    /**
+     * Find convex outside corners in the wall graph: angles over 180° and free
+     * wall ends, on sides that get drywall. Each corner is assigned to the
+     * smallest detected room it faces.
+     */
+    findOutsideCorners() {
+        const graph = this.buildWallGraph();
+        const probeDistance = this.getWallWidth('wall-exterior') * 2;
+        const keyOf = (point) => `${point.x},${point.y}`;
+        const corners = [];
+
+        Object.entries(graph).forEach(([nodeKey, neighbors]) => {
+            const [x, y] = nodeKey.split(',').map(Number);
+            const directions = [...new Set(neighbors)].map(key => {
+                const [nx, ny] = key.split(',').map(Number);
+                return Math.atan2(ny - y, nx - x);
+            }).sort((a, b) => a - b);
+
+            // Exterior walls are only finished on the side facing a room
+            const walls = this.walls.filter(w => keyOf(w.start) === nodeKey || keyOf(w.end) === nodeKey);
+            const interior = walls.some(w => w.type !== 'wall-exterior');
+
+            directions.forEach((angle, i) => {
+                const next = i + 1 < directions.length ? directions[i + 1] : directions[0] + Math.PI * 2;
+                const sweep = next - angle;
+                if (sweep <= Math.PI + 0.01) return;
+
+                const bisector = angle + sweep / 2;
+                const probe = {
+                    x: x + Math.cos(bisector) * probeDistance,
+                    y: y + Math.sin(bisector) * probeDistance
+                };
+                const room = this.rooms
+                    .filter(r => r.points && Utils.geometry.isPointInPolygon(probe, r.points))
+                    .sort((a, b) => Utils.geometry.polygonArea(a.points) - Utils.geometry.polygonArea(b.points))[0];
+                if (!room && !interior) return;
+
+                corners.push({
+                    point: { x, y },
+                    // A free wall end is wrapped on both faces
+                    count: directions.length === 1 ? 2 : 1,
+                    wallIds: walls.map(w => w.id),
+                    roomId: room ? room.id : null
+                });
+            });
+        });
+
+        return corners;
+    }
+
+    refreshRoomCorners() {
+        if (this.rooms.length === 0) return;
+
+        const counts = {};
+        this.findOutsideCorners().forEach(corner => {
+            if (corner.roomId) counts[corner.roomId] = (counts[corner.roomId] || 0) + corner.count;
+        });
+        this.rooms.forEach(room => {
+            if (room.points) room.outsideCorners = counts[room.id] || 0;
+        });
+    }
+
+    /**
+     * Unit normal off the given side of a wall, left being left of start -> end
+     */
+    getWallNormal(wall, side) {
+        const length = Utils.geometry.distance(wall.start, wall.end) || 1;
+        const dx = (wall.end.x - wall.start.x) / length;
+        const dy = (wall.end.y - wall.start.y) / length;
+        return side === 'left' ? { x: dy, y: -dx } : { x: -dy, y: dx };
+    }
+
+    /**
+     * Rooms on each side of a wall, probed just off its midpoint
+     */
+    getWallFaceRooms(wall) {
+        const mid = {
+            x: (wall.start.x + wall.end.x) / 2,
+            y: (wall.start.y + wall.end.y) / 2
+        };
+        const probeDistance = this.getWallWidth('wall-exterior');
+        const roomOn = (side) => {
+            const normal = this.getWallNormal(wall, side);
+            const probe = { x: mid.x + normal.x * probeDistance, y: mid.y + normal.y * probeDistance };
+            return this.rooms
+                .filter(r => r.points && Utils.geometry.isPointInPolygon(probe, r.points))
+                .sort((a, b) => Utils.geometry.polygonArea(a.points) - Utils.geometry.polygonArea(b.points))[0] || null;
+        };
+
+        return { left: roomOn('left'), right: roomOn('right') };
+    }
+
+    /**
+     * Copy each wall's face settings onto the outline edges of the rooms they
+     * face, so the estimate only counts board actually being hung
+     */
+    refreshRoomFaces() {
+        this.rooms.forEach(room => {
+            if (!room.points || room.points.length < 3) return;
+            const faces = [];
+
+            room.points.forEach((point, edge) => {
+                const next = room.points[(edge + 1) % room.points.length];
+                const wall = this.getWallsOnOutline([point, next])[0];
+                if (!wall || (!wall.faces && !wall.assembly)) return;
+
+                const rooms = this.getWallFaceRooms(wall);
+                const side = rooms.left === room ? 'left' : rooms.right === room ? 'right' : null;
+                if (!side) return;
+                // A face's own layer count wins over its assembly's
+                const face = (wall.faces && wall.faces[side]) || {};
+                faces.push({
+                    edge,
+                    wallId: wall.id,
+                    status: face.status || 'hang',
+                    layers: face.layers,
+                    assembly: wall.assembly
+                });
+            });
+
+            room.wallFaces = faces;
+        });
+    }
+
+    /**
+     * Give each room the curved walls along its outline edges, noting whether
+     * each bows into the room or out of it
+     */
+    refreshRoomCurves() {
+        this.rooms.forEach(room => {
+            if (!room.points || room.points.length < 3) return;
+            const curves = [];
+
+            room.points.forEach((point, edge) => {
+                const next = room.points[(edge + 1) % room.points.length];
+                const wall = this.getWallsOnOutline([point, next]).find(w => w.radius);
+                if (!wall) return;
+
+                // Probe off the chord toward the bow
+                const normal = this.getWallNormal(wall, wall.radius > 0 ? 'left' : 'right');
+                const mid = Utils.geometry.midpoint(wall.start, wall.end);
+                const probeDistance = this.getWallWidth('wall-exterior');
+                const probe = { x: mid.x + normal.x * probeDistance, y: mid.y + normal.y * probeDistance };
+                curves.push({
+                    edge,
+                    radius: Math.abs(wall.radius),
+                    inward: Utils.geometry.isPointInPolygon(probe, room.points),
+                    wallId: wall.id
+                });
+            });
+
+            room.curves = curves.length ? curves : undefined;
+        });
+    }
+
+    /**
+     * Give each room the soffits whose centre falls inside it, in feet. Rectangle
+     * edges lying on a wall are against it; the rest are exposed faces and ends.
+     */
+    refreshRoomSoffits() {
+        const threshold = this.getWallWidth('wall-exterior');
+        const onWall = ([a, b]) => this.walls.some(wall =>
+            Utils.geometry.distanceToLineSegment(a, wall.start, wall.end) <= threshold &&
+            Utils.geometry.distanceToLineSegment(b, wall.start, wall.end) <= threshold
+        );
+
+        this.rooms.forEach(room => {
+            if (!room.points || room.points.length < 3) return;
+
+            room.soffits = this.soffits
+                .filter(soffit => Utils.geometry.isPointInPolygon(
+                    Utils.geometry.midpoint(soffit.points[0], soffit.points[2]), room.points
+                ))
+                .map(soffit => {
+                    const edges = soffit.points.map((p, i) => [p, soffit.points[(i + 1) % 4]]);
+                    const along = Utils.geometry.distance(soffit.points[0], soffit.points[1]);
+                    const across = Utils.geometry.distance(soffit.points[1], soffit.points[2]);
+                    // The long sides run the length; the short ones are its ends
+                    const [sides, ends] = along >= across
+                        ? [[edges[0], edges[2]], [edges[1], edges[3]]]
+                        : [[edges[1], edges[3]], [edges[0], edges[2]]];
+
+                    return {
+                        id: soffit.id,
+                        kind: soffit.kind,
+                        length: Math.max(along, across) / this.scale,
+                        depth: Math.min(along, across) / this.scale,
+                        drop: soffit.drop,
+                        height: soffit.height,
+                        faces: sides.filter(edge => !onWall(edge)).length,
+                        openEnds: ends.filter(edge => !onWall(edge)).length
+                    };
+                });
+        });
+    }
+
     findCycles(graph) {
         const cycles = [];
         const visited = new Set();
@@ -1037,6 +1745,8 @@ export default class BlueprintManager {
             doors: Utils.object.clone(this.doors),
             windows: Utils.object.clone(this.windows),
             stairs: Utils.object.clone(this.stairs),
+            openings: Utils.object.clone(this.openings),
+            soffits: Utils.object.clone(this.soffits),
             rooms: Utils.object.clone(this.rooms),
             textLabels: Utils.object.clone(this.textLabels),
             measurements: Utils.object.clone(this.measurements)
@@ -1048,6 +1758,8 @@ export default class BlueprintManager {
         this.doors = state.doors;
         this.windows = state.windows;
         this.stairs = state.stairs;
+        this.openings = state.openings;
+        this.soffits = state.soffits || [];
         this.rooms = state.rooms;
         this.textLabels = state.textLabels;
         this.measurements = state.measurements;
@@ -1080,7 +1792,7 @@ export default class BlueprintManager {
 
     updateElementCount() {
         const count = this.walls.length + this.doors.length + this.windows.length +
-                      this.stairs.length + this.rooms.length;
+                      this.stairs.length + this.openings.length + this.rooms.length;
         const display = document.getElementById('element-count');
         if (display) {
             display.textContent = `${count} element${count !== 1 ? 's' : ''}`;
@@ -1088,12 +1800,83 @@ export default class BlueprintManager {
     }
 
     showWallContextMenu(wallInfo, x, y) {
-        // This would trigger a context menu - implement based on your UI framework
-        console.log('Context menu for wall at', x, y);
+        // The app owns the menu and its markup
+        if (this.onEditWall) this.onEditWall(wallInfo.element, { x, y });
     }
 
     // ==================== PUBLIC API ====================
 
+    setUnderlays(underlays) {
+        this.underlays = underlays;
+        this.draw();
+    }
+
+    updateStairs(stair, changes) {
+        Object.assign(stair, changes);
+        this.saveToHistory('edit stairs');
+        this.draw();
+    }
+
+    updateSoffit(soffit, changes) {
+        Object.assign(soffit, changes);
+        this.refreshRoomSoffits();
+        this.saveToHistory('edit soffit');
+        this.draw();
+    }
+
+    setAssembly(assembly) {
+        this.currentAssembly = assembly || null;
+    }
+
+    updateWallFaces(wall, faces, assembly = wall.assembly) {
+        wall.faces = faces;
+        wall.assembly = assembly || undefined;
+        this.refreshRoomFaces();
+        this.saveToHistory('edit wall faces');
+        this.draw();
+    }
+
+    /**
+     * Bend a wall to a radius in feet, positive toward its left face; 0 straightens it
+     */
+    updateWallRadius(wall, radius) {
+        const chord = Utils.geometry.distance(wall.start, wall.end) / this.scale;
+        // Anything tighter than a half circle is drawn and estimated as one
+        wall.radius = radius ? Math.sign(radius) * Math.max(Math.abs(radius), chord / 2) : undefined;
+        this.refreshRoomCurves();
+        this.saveToHistory('edit wall curve');
+        this.draw();
+    }
+
+    /**
+     * Select a wall by id, e.g. one a recommendation is about
+     */
+    selectWall(wallId) {
+        const wall = this.walls.find(w => w.id === wallId);
+        if (!wall) return false;
+        this.selectedElements = [wall];
+        this.draw();
+        return true;
+    }
+
+    /**
+     * Move a wall to new end points, with the walls and room corners joined to
+     * it; its doors and windows keep their place along it
+     */
+    updateWall(wall, start, end) {
+        this.moveWallEnds(wall, start, end);
+
+        // Attached openings move with their wall
+        this.syncOpenings();
+        this.refreshRoomOpenings();
+        this.refreshRoomCorners();
+        this.refreshRoomFaces();
+        this.refreshRoomCurves();
+        this.refreshRoomSoffits();
+        this.saveToHistory('move wall');
+        this.draw();
+    }
+
     setTool(tool) {
         this.currentTool = tool;
         this.selectedElements = [];
@@ -1160,6 +1943,8 @@ export default class BlueprintManager {
         this.doors = [];
         this.windows = [];
         this.stairs = [];
+        this.openings = [];
+        this.soffits = [];
         this.rooms = [];
         this.textLabels = [];
         this.measurements = [];
@@ -1179,6 +1964,8 @@ export default class BlueprintManager {
             doors: this.doors,
             windows: this.windows,
             stairs: this.stairs,
+            openings: this.openings,
+            soffits: this.soffits,
             rooms: this.rooms,
             textLabels: this.textLabels,
             measurements: this.measurements
@@ -1186,10 +1973,19 @@ export default class BlueprintManager {
     }
 
     importData(data) {
-        this.walls = data.walls || [];
+        this.walls = (data.walls || []).map(wall => wall.id ? wall : { ...wall, id: Utils.generateId('wall') });
         this.doors = data.doors || [];
         this.windows = data.windows || [];
-        this.stairs = data.stairs || [];
+        // Older stairs stored their width in drawing units and had no shape
+        this.stairs = (data.stairs || []).map(stair => stair.shape ? stair : {
+            ...stair,
+            id: stair.id || Utils.generateId('stairs'),
+            scale: this.scale,
+            shape: 'straight',
+            width: stair.width ? stair.width / this.scale : DrywallCalculator.STAIR_DEFAULTS.width
+        });
+        this.openings = data.openings || [];
+        this.soffits = data.soffits || [];
         this.rooms = data.rooms || [];
         this.textLabels = data.textLabels || [];
         this.measurements = data.measurements || [];
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { BlueprintManager } from '../src';
+
+// Canvas, context and DOM elements that accept any call or property and read as 0
+const stub: any = new Proxy(function () {}, {
+  get: (_, key) => (key === Symbol.toPrimitive ? () => 0 : stub),
+  apply: () => stub,
+  set: () => true,
+});
+
+describe('BlueprintManager', () => {
+  let blueprint: any;
+  const mouse = (clientX: number, clientY: number) => ({ button: 0, clientX, clientY });
+  const wall = (id: string, x1: number, y1: number, x2: number, y2: number) => ({
+    id,
+    type: 'wall-interior',
+    start: { x: x1, y: y1 },
+    end: { x: x2, y: y2 },
+  });
+
+  beforeAll(() => {
+    Object.assign(globalThis, { document: stub, window: stub });
+  });
+
+  beforeEach(() => {
+    blueprint = new BlueprintManager({ grid: 'grid', blueprint: 'blueprint', overlay: 'overlay' });
+    // 10' x 10' room at 20 px per foot
+    blueprint.walls = [
+      wall('south', 0, 200, 200, 200),
+      wall('east', 200, 200, 200, 0),
+      wall('north', 200, 0, 0, 0),
+      wall('west', 0, 0, 0, 200),
+    ];
+  });
+
+  describe('wall-attached openings', () => {
+    it('should snap a door onto the nearest wall and record where it sits', () => {
+      blueprint.createElement('door-interior', { x: 40, y: 196 }, { x: 100, y: 196 });
+      const [door] = blueprint.doors;
+
+      expect(door.wallId).toBe('south');
+      expect(door.position).toBe(2);
+      expect(door.width).toBe(3);
+      expect(door.start).toEqual({ x: 40, y: 200 });
+      expect(door.end).toEqual({ x: 100, y: 200 });
+    });
+
+    it('should carry doors and windows along when their wall is dragged', () => {
+      blueprint.rooms = [
+        {
+          name: 'Den',
+          height: 8,
+          points: [
+            { x: 0, y: 0 },
+            { x: 200, y: 0 },
+            { x: 200, y: 200 },
+            { x: 0, y: 200 },
+          ],
+        },
+      ];
+      blueprint.createElement('window', { x: 200, y: 60 }, { x: 200, y: 120 });
+      blueprint.setTool('select');
+
+      blueprint.handleMouseDown(mouse(200, 160));
+      blueprint.handleMouseMove(mouse(240, 160));
+      blueprint.handleMouseUp(mouse(240, 160));
+
+      const [opening] = blueprint.windows;
+      expect(blueprint.walls[1].start).toEqual({ x: 240, y: 200 });
+      expect(opening.position).toBeCloseTo(4);
+      expect(opening.start.x).toBeCloseTo(240);
+      expect(opening.end.x).toBeCloseTo(240);
+      expect(blueprint.history[blueprint.historyIndex].action).toBe('move wall');
+
+      // The walls it joined and the room outline stretch to follow it
+      expect(blueprint.walls[0].end).toEqual({ x: 240, y: 200 });
+      expect(blueprint.walls[2].start).toEqual({ x: 240, y: 0 });
+      const [den] = blueprint.rooms;
+      expect(den.points[1]).toEqual({ x: 240, y: 0 });
+      expect(den.points[2]).toEqual({ x: 240, y: 200 });
+      expect(den.area).toBe(120);
+      expect(den.windowDetails).toHaveLength(1);
+      expect(den.windowDetails[0]).toMatchObject({ wallId: 'east', width: 3, position: 3 });
+    });
+
+    it('should count openings per room by the walls bounding it', () => {
+      const square = (x: number) => [
+        { x, y: 0 },
+        { x: x + 200, y: 0 },
+        { x: x + 200, y: 200 },
+        { x, y: 200 },
+      ];
+      blueprint.rooms = [
+        { name: 'Den', height: 8, points: square(0) },
+        { name: 'Office', height: 8, points: square(200) },
+      ];
+      blueprint.createElement('door-interior', { x: 40, y: 200 }, { x: 100, y: 200 });
+      blueprint.createElement('window', { x: 200, y: 60 }, { x: 200, y: 120 });
+
+      const [den, office] = blueprint.rooms;
+      expect(den.doorDetails).toHaveLength(1);
+      expect(den.doorDetails[0]).toMatchObject({ wallId: 'south', width: 3, edge: 2 });
+      expect(den.windowDetails.map((detail: any) => detail.wallId)).toEqual(['east']);
+      // The east wall is shared, so the office sees the window too
+      expect(office.doorDetails).toEqual([]);
+      expect(office.windowDetails).toHaveLength(1);
+    });
+  });
+});
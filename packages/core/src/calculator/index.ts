@@ -1,8 +1,31 @@
 import type {
+  BeadType,
+  BeadCount,
+  CostBreakdown,
+  MaterialShare,
+  DrywallType,
+  FinishLevel,
   Room,
+  DoorDetail,
+  WindowDetail,
   Stairwell,
+  StairFlight,
+  StairLanding,
+  StairLayout,
+  Floor,
+  FloorStackGap,
+  GarageSeparation,
+  Point,
   Project,
   WallAreaResult,
+  WallFaceStatus,
+  WallAssembly,
+  AssemblyAccessory,
+  AccessoryCount,
+  RepairScope,
+  Soffit,
+  SoffitKind,
+  SoffitAreaResult,
   StairwellAreaResult,
   Materials,
   MaterialCosts,
@@ -10,14 +33,200 @@ import type {
   EstimateOptions,
   Pricing,
   LaborRates,
+  Niche,
+  NicheAreaResult,
   ProjectEstimate,
   OptimalLayout,
   InstallationTime,
   WasteOptimization,
   RoomTypeBreakdown,
   MaterialListItem,
+  SheetGroup,
+  SheetMix,
+  SheetCount,
+  SheetLayout,
+  SheetCut,
+  JointFootage,
+  JointCompoundBreakdown,
+  SheetSize,
+  LayoutSurface,
+  LayoutOpening,
 } from '@drywall/types';
 
+import { SheetLayoutEngine } from '../layout';
+import Utils from '../utils';
+
+type PatchSize = 'small' | 'medium' | 'large';
+
+// Remodel work in a room, from its repair scopes
+interface RepairWork {
+  rebuild: Array<{ room: Room; seam?: number }>; // torn out or cut away, hung and finished as new
+  demolition: number; // sq ft of board torn out
+  skim: number; // sq ft skimmed over existing board
+  patches: Record<PatchSize, number>;
+}
+
+interface BoardArea {
+  drywallType?: DrywallType;
+  thickness?: number;
+  area: number;
+  surfaces?: LayoutSurface[]; // geometry for the layout optimizer, when known
+  mix?: SheetMix; // mixed-length order for the room, when requested
+}
+
+interface FinishArea {
+  floor: number;
+  room?: number; // index into the estimate's rooms; stairs have none
+  groupKey: string;
+  beadFeet: number;
+  area: number;
+  baseArea?: number; // under-layers of multi-layer walls: hung and screwed, never taped
+  hangFactor?: number; // assembly multiplier on hanging labor
+  fastenerFactor?: number; // screws relative to the standard field spacing
+  accessories?: Record<string, number>; // assembly sundries by id, before rounding up
+  repair?: RepairWork; // demolition, skim coats and patches around the new board
+  finishLevel: FinishLevel;
+  includePrimer: boolean;
+  includeTexture: boolean;
+  joints: Array<Partial<JointFootage>>;
+  surfaceIds?: Set<string>; // cut-list surfaces whose seams belong to this area
+  laborFactor?: number; // multiplier on all labor, for small-piece work
+}
+
+// What each room or stairwell drives, for splitting project costs across them
+interface CostUnit {
+  groupKey: string;
+  area: number;
+  debris: number;
+  accessories: Record<string, number>;
+  mudGallons: number;
+  jointFeet: number;
+  beadFeet: number;
+  primedArea: number;
+  texturedArea: number;
+  labor: number;
+}
+
+/**
+ * Split whole cents by weight, handing leftover cents to the largest remainders
+ */
+function allocateCents(totalCents: number, weights: number[]): number[] {
+  if (weights.length === 0) return [];
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map((weight) =>
+    weightTotal > 0 ? (totalCents * weight) / weightTotal : totalCents / weights.length
+  );
+  const cents = exact.map(Math.floor);
+
+  let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+  exact
+    .map((value, i) => ({ i, fraction: value - cents[i] }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ i }) => {
+      if (leftover > 0) {
+        cents[i] += 1;
+        leftover -= 1;
+      }
+    });
+
+  return cents;
+}
+
+/**
+ * Add up per-room results field by field
+ */
+function sumByKey<T extends { [K in keyof T]: number }>(parts: T[], empty: T): T {
+  return parts.reduce((sum, part) => {
+    const next: Record<string, number> = { ...sum };
+    Object.entries(part).forEach(([key, value]) => {
+      next[key] = (next[key] || 0) + (value as number);
+    });
+    return next as T;
+  }, empty);
+}
+
+/**
+ * Combine the sheet mixes of a room's parts into one order
+ */
+function mergeSheetMixes(mixes: SheetMix[]): SheetMix {
+  if (mixes.length === 1) return mixes[0];
+
+  const sizes: SheetCount[] = [];
+  mixes.forEach((mix) =>
+    mix.sizes.forEach((size) => {
+      const existing = sizes.find((s) => s.label === size.label);
+      if (existing) {
+        existing.count += size.count;
+      } else {
+        sizes.push({ ...size });
+      }
+    })
+  );
+  sizes.sort((a, b) => a.width - b.width || a.length - b.length);
+
+  return {
+    sizes,
+    sheets: sizes.reduce((sum, size) => sum + size.count, 0),
+    buttJoints: mixes.reduce((sum, mix) => sum + mix.buttJoints, 0),
+    joints: sumJoints(mixes.map((mix) => mix.joints)),
+  };
+}
+
+/**
+ * Whether two outlines share any area, not just an edge or a corner: looks just
+ * off each vertex and each place the edges meet for a point inside both
+ */
+function polygonsOverlap(a: Point[], b: Point[], probe = 1): boolean {
+  const edges = (points: Point[]) => points.map((p, i) => [p, points[(i + 1) % points.length]]);
+  const crossings: Point[] = [];
+  edges(a).forEach(([p1, p2]) =>
+    edges(b).forEach(([p3, p4]) => {
+      const denominator = (p2.x - p1.x) * (p4.y - p3.y) - (p2.y - p1.y) * (p4.x - p3.x);
+      if (denominator === 0) return;
+      const t = ((p3.x - p1.x) * (p4.y - p3.y) - (p3.y - p1.y) * (p4.x - p3.x)) / denominator;
+      const u = ((p3.x - p1.x) * (p2.y - p1.y) - (p3.y - p1.y) * (p2.x - p1.x)) / denominator;
+      if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+        crossings.push({ x: p1.x + t * (p2.x - p1.x), y: p1.y + t * (p2.y - p1.y) });
+      }
+    })
+  );
+
+  return [...a, ...b, ...crossings].some((point) =>
+    [
+      [1, 1],
+      [1, -1],
+      [-1, 1],
+      [-1, -1],
+    ].some(([dx, dy]) => {
+      const near = { x: point.x + dx * probe, y: point.y + dy * probe };
+      return Utils.geometry.isPointInPolygon(near, a) && Utils.geometry.isPointInPolygon(near, b);
+    })
+  );
+}
+
+/**
+ * Ceiling height of a floor, from its tallest room
+ */
+function floorHeight(floor?: Floor): number {
+  const heights = (floor?.rooms || []).map((room) => room.height || 0);
+  return Math.max(8, ...heights);
+}
+
+/**
+ * Add up joint footage from rooms, layouts and allowances
+ */
+function sumJoints(parts: Array<Partial<JointFootage>>): JointFootage {
+  const joints = { tapered: 0, butt: 0, insideCorner: 0, wallCeiling: 0, total: 0 };
+  parts.forEach((part) => {
+    joints.tapered += part.tapered || 0;
+    joints.butt += part.butt || 0;
+    joints.insideCorner += part.insideCorner || 0;
+    joints.wallCeiling += part.wallCeiling || 0;
+  });
+  joints.total = joints.tapered + joints.butt + joints.insideCorner + joints.wallCeiling;
+  return joints;
+}
+
 /**
  * Advanced Drywall Calculator
  * Handles all material calculations including walls, ceilings, stairs, and multi-floor support
@@ -30,6 +239,49 @@ export class DrywallCalculator {
   static readonly STANDARD_EXTERIOR_DOOR = { width: 3, height: 6.67, area: 20 }; // 36" x 80"
   static readonly STANDARD_WINDOW = { width: 3, height: 4, area: 12 }; // feet
   static readonly LARGE_WINDOW = { width: 5, height: 4, area: 20 }; // feet
+  static readonly STANDARD_SILL_HEIGHT = 3; // feet above floor
+  static readonly STOCK_LENGTHS = [8, 10, 12, 14]; // feet, 4' wide board
+  static readonly STAIR_DEFAULTS = {
+    risers: 14,
+    riserHeight: 7.5, // inches
+    maxRiserHeight: 7.75, // inches, IRC R311.7.5.1
+    treadWidth: 10, // inches
+    width: 3, // feet
+  };
+  static readonly FLOOR_DEPTH = 1; // feet, joists plus subfloor
+
+  // Remodel work
+  static readonly REPAIR = {
+    cutHeight: 2, // feet, default flood cut
+    debrisPerSqFt: 1 / 200, // cubic yards of broken board per sq ft torn out
+    demolitionRate: 0.5, // per sq ft, when labor rates don't give one
+    demolitionPerHour: 150, // sq ft torn out per hour
+    disposalPerYard: 45, // when pricing doesn't give one
+    skimLabor: 0.5, // share of finishing labor a skim coat takes
+    skimPerHour: 150, // sq ft
+  };
+
+  // Patches: board fitted, tape around it, fill, and labor as the finished
+  // area that takes as long
+  static readonly PATCH_SIZES: Record<
+    PatchSize,
+    { board: number; tape: number; mud: number; laborArea: number; hours: number }
+  > = {
+    small: { board: 0, tape: 0, mud: 0.02, laborArea: 3, hours: 0.25 },
+    medium: { board: 1.78, tape: 5.33, mud: 0.1, laborArea: 8, hours: 0.5 },
+    large: { board: 16, tape: 16, mud: 0.4, laborArea: 24, hours: 1.5 },
+  };
+
+  // Soffits, bulkheads and beam wraps: ripped strips and bead on every edge
+  // take longer to hang and finish than the same area of flat board
+  static readonly SOFFITS: Record<
+    SoffitKind,
+    { label: string; faces: number; drop: number; laborFactor: number }
+  > = {
+    soffit: { label: 'Soffit', faces: 1, drop: 1, laborFactor: 1.5 },
+    bulkhead: { label: 'Bulkhead', faces: 2, drop: 1, laborFactor: 1.5 },
+    beam: { label: 'Beam Wrap', faces: 2, drop: 1, laborFactor: 1.75 },
+  };
 
   // Wall thicknesses (inches)
   static readonly WALL_THICKNESS = {
@@ -38,6 +290,143 @@ export class DrywallCalculator {
     partition: 3.5, // 2x3 framing
   };
 
+  // Field screw spacing (inches) that screws_per_sheet assumes
+  static readonly FASTENER_SPACING = 12;
+
+  // Sundries wall assemblies call for
+  static readonly ACCESSORIES: Record<string, AssemblyAccessory> = {
+    fireSealant: {
+      id: 'fireSealant',
+      name: 'Fire-Rated Sealant',
+      unit: 'tubes',
+      perSqFt: 0.005,
+      price: 12,
+    },
+    resilientChannel: {
+      id: 'resilientChannel',
+      name: 'Resilient Channel',
+      unit: 'lf',
+      perSqFt: 0.5, // rows 24" on center
+      price: 0.75,
+    },
+    acousticSealant: {
+      id: 'acousticSealant',
+      name: 'Acoustical Sealant',
+      unit: 'tubes',
+      perSqFt: 0.005,
+      price: 10,
+    },
+    shaftliner: {
+      id: 'shaftliner',
+      name: '1" Shaftliner Panel',
+      unit: 'sq ft',
+      perSqFt: 1,
+      price: 1.2,
+    },
+    chStud: { id: 'chStud', name: 'C-H Stud', unit: 'lf', perSqFt: 0.5, price: 1.6 }, // 24" on center
+    jTrack: { id: 'jTrack', name: 'J-Track', unit: 'lf', perSqFt: 0.25, price: 1.4 }, // top and bottom, 8' walls
+  };
+
+  // Wall assembly library; faces and rooms refer to these by id
+  static readonly WALL_ASSEMBLIES: Record<string, WallAssembly> = {
+    'fire-1hr': {
+      id: 'fire-1hr',
+      name: '1-Hr 5/8" Type X',
+      rating: 1,
+      drywallType: 'typex',
+      layers: 1,
+      fastenerSpacing: 8,
+      wallThickness: 4.75,
+      accessories: [DrywallCalculator.ACCESSORIES.fireSealant],
+    },
+    'fire-1hr-double': {
+      id: 'fire-1hr-double',
+      name: '1-Hr Double 5/8" Type X',
+      rating: 1,
+      drywallType: 'typex',
+      layers: 2,
+      fastenerSpacing: 8,
+      wallThickness: 6,
+      accessories: [DrywallCalculator.ACCESSORIES.fireSealant],
+    },
+    'sound-rc': {
+      id: 'sound-rc',
+      name: 'Resilient Channel Sound Wall',
+      rating: 0,
+      stc: 50,
+      drywallType: 'standard',
+      thickness: 0.625,
+      layers: 1,
+      fastenerSpacing: 12,
+      laborFactor: 1.25,
+      wallThickness: 5.5,
+      accessories: [
+        DrywallCalculator.ACCESSORIES.resilientChannel,
+        DrywallCalculator.ACCESSORIES.acousticSealant,
+      ],
+    },
+    'shaft-2hr': {
+      id: 'shaft-2hr',
+      name: '2-Hr Shaft Wall',
+      rating: 2,
+      drywallType: 'typex',
+      layers: 2,
+      fastenerSpacing: 12,
+      laborFactor: 1.5,
+      wallThickness: 4,
+      accessories: [
+        DrywallCalculator.ACCESSORIES.shaftliner,
+        DrywallCalculator.ACCESSORIES.chStud,
+        DrywallCalculator.ACCESSORIES.jTrack,
+        DrywallCalculator.ACCESSORIES.fireSealant,
+      ],
+    },
+  };
+
+  // Curved walls are hung in two layers of flexible board, bent wet and
+  // screwed close, whatever assembly the wall was meant to be built to
+  static readonly CURVED_WALL: WallAssembly = {
+    id: 'curved',
+    name: 'Curved Wall',
+    rating: 0,
+    drywallType: 'flexible',
+    thickness: 0.25,
+    layers: 2,
+    fastenerSpacing: 8,
+    laborFactor: 2,
+  };
+
+  // Recessed niches: lined in short pieces with bead on every face edge
+  static readonly NICHE = {
+    depth: 3.5 / 12, // feet, a 2x4 stud bay
+    laborFactor: 2,
+  };
+
+  // Board types with their default thickness (inches)
+  static readonly DRYWALL_TYPES: Record<DrywallType, { label: string; thickness: number }> = {
+    standard: { label: '', thickness: 0.5 },
+    moisture: { label: 'Moisture-Resistant', thickness: 0.5 },
+    firerated: { label: 'Fire-Rated', thickness: 0.625 },
+    typex: { label: 'Type X', thickness: 0.625 },
+    flexible: { label: 'Flexible', thickness: 0.25 },
+  };
+
+  static readonly BEAD_LENGTH = 10; // feet per stick
+  static readonly BEAD_LABELS: Record<BeadType, string> = {
+    metal: 'Metal Corner Bead',
+    vinyl: 'Vinyl Corner Bead',
+    bullnose: 'Bullnose Corner Bead',
+    lbead: 'L-Bead',
+    arch: 'Archway Bead',
+  };
+
+  static readonly THICKNESS_LABELS: Record<number, string> = {
+    0.25: '1/4"',
+    0.375: '3/8"',
+    0.5: '1/2"',
+    0.625: '5/8"',
+  };
+
   // Material coverage rates
   static readonly COVERAGE = {
     primer: 300, // sq ft per gallon
@@ -49,19 +438,439 @@ export class DrywallCalculator {
     tape_per_sheet: 6, // linear feet of tape per sheet
   };
 
+  // Joint compound in gallons per 100 linear feet of joint per coat, unless noted
+  static readonly MUD_COVERAGE = {
+    bucket: 4.5, // gallons of pre-mix in a 5-gallon bucket
+    tapeCoat: 1, // embedding coat, any joint
+    tapered: 1,
+    butt: 2, // feathered wider to hide the hump
+    insideCorner: 0.75,
+    wallCeiling: 0.75,
+    fasteners: 0.1, // per 100 sq ft of board per coat
+    skimCoat: 1, // per 100 sq ft of board
+  };
+
+  // Coats per finish level (GA-214); joint and angle coats include the tape coat
+  static readonly FINISH_COATS: Record<
+    FinishLevel,
+    { joints: number; angles: number; fasteners: number; skim: number }
+  > = {
+    level0: { joints: 0, angles: 0, fasteners: 0, skim: 0 },
+    level1: { joints: 1, angles: 1, fasteners: 0, skim: 0 },
+    level2: { joints: 1, angles: 1, fasteners: 1, skim: 0 },
+    level3: { joints: 2, angles: 2, fasteners: 2, skim: 0 },
+    level4: { joints: 3, angles: 2, fasteners: 3, skim: 0 },
+    level5: { joints: 3, angles: 2, fasteners: 3, skim: 1 },
+  };
+
+  // Share of taping and finishing labor each finish level takes, relative to Level 4
+  static readonly FINISH_LABOR: Record<FinishLevel, { taping: number; finishing: number }> = {
+    level0: { taping: 0, finishing: 0 },
+    level1: { taping: 0.5, finishing: 0 },
+    level2: { taping: 0.75, finishing: 0.25 },
+    level3: { taping: 1, finishing: 0.6 },
+    level4: { taping: 1, finishing: 1 },
+    level5: { taping: 1, finishing: 1.5 },
+  };
+
+  /**
+   * Calculate room perimeter in feet, following the drawn outline and its
+   * curves when present
+   */
+  calculatePerimeter(room: Room): number {
+    if (room.curves?.length) return this.getWallRuns(room).reduce((sum, run) => sum + run, 0);
+    const { points, scale = 1 } = room;
+    if (points && points.length >= 3) {
+      const length = points.reduce((sum, point, i) => {
+        return sum + Utils.geometry.distance(point, points[(i + 1) % points.length]);
+      }, 0);
+      return length / scale;
+    }
+
+    return 2 * ((room.width || 0) + (room.length || 0));
+  }
+
+  /**
+   * Calculate room floor area in square feet, following the drawn outline when present
+   */
+  calculateFloorArea(room: Room): number {
+    const { points, scale = 1 } = room;
+    const base =
+      points && points.length >= 3
+        ? Utils.geometry.polygonArea(points) / (scale * scale)
+        : (room.width || 0) * (room.length || 0);
+
+    // Curved walls add the sliver between arc and chord, or take it away when they bow in
+    const chords = this.getWallRuns({ ...room, curves: undefined });
+    return (room.curves || []).reduce((area, curve) => {
+      if (curve.edge >= chords.length) return area;
+      const { segment } = Utils.geometry.arcMeasure(chords[curve.edge], curve.radius);
+      return area + (curve.inward ? -segment : segment);
+    }, base);
+  }
+
+  /**
+   * Wall lengths in feet, one per outline edge or four for a rectangular room
+   */
+  getWallRuns(room: Room): number[] {
+    const { points, scale = 1, width = 0, length = 0 } = room;
+    const chords =
+      points && points.length >= 3
+        ? points.map(
+            (point, i) => Utils.geometry.distance(point, points[(i + 1) % points.length]) / scale
+          )
+        : [width, length, width, length];
+    if (!room.curves?.length) return chords;
+
+    // Curved edges run the length of their arc
+    return chords.map((chord, edge) => {
+      const curve = room.curves?.find((c) => c.edge === edge);
+      return curve ? Utils.geometry.arcMeasure(chord, curve.radius).length : chord;
+    });
+  }
+
+  /**
+   * Look up a wall assembly by id
+   */
+  getWallAssembly(id?: string): WallAssembly | undefined {
+    return id ? DrywallCalculator.WALL_ASSEMBLIES[id] : undefined;
+  }
+
+  /**
+   * Each outline edge's run with how its face is treated; faces not listed are
+   * hung to the room's assembly, or one layer deep without one. Curved edges
+   * are always built as curved walls.
+   */
+  getWallFaces(room: Room): Array<{
+    run: number;
+    status: WallFaceStatus;
+    layers: number;
+    assembly?: WallAssembly;
+  }> {
+    return this.getWallRuns(room).map((run, edge) => {
+      const face = room.wallFaces?.find((f) => f.edge === edge);
+      const assembly = room.curves?.some((curve) => curve.edge === edge)
+        ? DrywallCalculator.CURVED_WALL
+        : this.getWallAssembly(face?.assembly || room.wallAssembly);
+      return {
+        run,
+        status: face?.status || 'hang',
+        layers: Math.max(1, Math.round(face?.layers || assembly?.layers || 1)),
+        assembly,
+      };
+    });
+  }
+
+  /**
+   * Split a room by wall assembly. The room keeps its ceiling, openings without
+   * a known wall and its plain faces; each assembly gets a copy holding only
+   * the faces built to it, in the assembly's board.
+   */
+  splitByAssembly(room: Room): Array<{ room: Room; assembly?: WallAssembly }> {
+    const faces = this.getWallFaces(room);
+    const assemblies = [
+      ...new Set(faces.filter((face) => face.status === 'hang').map((face) => face.assembly)),
+    ].filter((assembly): assembly is WallAssembly => assembly !== undefined);
+    if (assemblies.length === 0) return [{ room }];
+
+    const facesOf = (assembly?: WallAssembly) =>
+      faces.map((face, edge) => ({
+        edge,
+        status: face.assembly === assembly ? face.status : ('skip' as const),
+        layers: face.layers,
+      }));
+    const main = { ...room, wallAssembly: undefined, wallFaces: facesOf(undefined) };
+
+    return [
+      { room: main },
+      ...assemblies.map((assembly) => {
+        const edges = new Set(
+          faces.map((face, edge) => (face.assembly === assembly ? edge : -1)).filter((e) => e >= 0)
+        );
+        const onFaces = (detail: { edge?: number }) =>
+          detail.edge !== undefined && edges.has(detail.edge);
+        return {
+          assembly,
+          room: {
+            ...main,
+            wallFaces: facesOf(assembly),
+            drywallType: assembly.drywallType,
+            drywallThickness: assembly.thickness,
+            includeCeiling: false,
+            soffits: undefined,
+            niches: undefined,
+            doors: 0,
+            windows: 0,
+            doorDetails: (room.doorDetails || []).filter(onFaces),
+            windowDetails: (room.windowDetails || []).filter(onFaces),
+          },
+        };
+      }),
+    ];
+  }
+
+  /**
+   * Break a room into wall and ceiling surfaces for the sheet layout engine.
+   * Openings without a known wall go on the longest walls first, spread evenly.
+   */
+  getRoomSurfaces(
+    room: Room,
+    orientation: LayoutSurface['orientation'] = 'horizontal',
+    label = room.name
+  ): LayoutSurface[] {
+    const faces = this.getWallFaces(room);
+    const walls: LayoutSurface[] = faces.map(({ run }, i) => ({
+      id: `${label} wall ${i + 1}`,
+      kind: 'wall',
+      run,
+      rise: room.height,
+      openings: [],
+      orientation,
+    }));
+    if (walls.length === 0) return [];
+
+    const door = DrywallCalculator.STANDARD_DOOR_SIZE;
+    const window = DrywallCalculator.STANDARD_WINDOW;
+    const doorDetails: DoorDetail[] =
+      room.doorDetails || Array.from({ length: room.doors || 0 }, () => ({}));
+    const windowDetails: WindowDetail[] =
+      room.windowDetails || Array.from({ length: room.windows || 0 }, () => ({}));
+
+    const openings = [
+      ...doorDetails.map((d) => ({
+        edge: d.edge,
+        position: d.position,
+        width: d.width || door.width,
+        height: d.height || door.height,
+        y: 0,
+      })),
+      ...windowDetails.map((w) => ({
+        edge: w.edge,
+        position: w.position,
+        width: w.width || window.width,
+        height: w.height || window.height,
+        y: w.sillHeight ?? DrywallCalculator.STANDARD_SILL_HEIGHT,
+      })),
+    ];
+
+    const byLength = walls
+      .map((_, i) => i)
+      .filter((i) => faces[i].status === 'hang')
+      .sort((a, b) => walls[b].run - walls[a].run);
+    const unplaced: Record<number, LayoutOpening[]> = {};
+    let next = 0;
+    openings.forEach((opening) => {
+      const known = opening.edge !== undefined && opening.edge < walls.length;
+      if (!known && byLength.length === 0) return;
+      const index = known ? (opening.edge as number) : byLength[next++ % byLength.length];
+      const placed: LayoutOpening = {
+        x: opening.position ?? 0,
+        y: opening.y,
+        width: opening.width,
+        height: opening.height,
+      };
+      walls[index].openings?.push(placed);
+      if (opening.position === undefined) {
+        (unplaced[index] = unplaced[index] || []).push(placed);
+      }
+    });
+    Object.entries(unplaced).forEach(([index, list]) => {
+      const run = walls[Number(index)].run;
+      list.forEach((opening, i) => {
+        opening.x = Math.max(0, ((i + 1) * run) / (list.length + 1) - opening.width / 2);
+      });
+    });
+
+    // Skipped and already-finished faces get no board
+    const surfaces = walls.filter((_, i) => faces[i].status === 'hang');
+    const ceiling = this.getCeilingSpan(room);
+    if (ceiling) {
+      surfaces.push({ id: `${label} ceiling`, kind: 'ceiling', ...ceiling });
+    }
+
+    return surfaces;
+  }
+
+  /**
+   * Ceiling as a rectangle hung along its longest dimension, or null without a ceiling
+   */
+  getCeilingSpan(room: Room): { run: number; rise: number } | null {
+    const ceilingArea = room.includeCeiling ? this.calculateCeilingArea(room) : 0;
+    if (ceilingArea <= 0) return null;
+
+    let run = Math.max(room.width || 0, room.length || 0);
+    if (room.points && room.points.length >= 3) {
+      const box = Utils.geometry.getBoundingBox(room.points);
+      run = Math.max(box?.width || 0, box?.height || 0) / (room.scale || 1);
+    }
+    return run > 0 ? { run, rise: ceilingArea / run } : null;
+  }
+
+  /**
+   * Stock lengths covering a run with the fewest sheets (fewest butt joints),
+   * then the least board
+   */
+  chooseSheetLengths(run: number, lengths: number[] = DrywallCalculator.STOCK_LENGTHS): number[] {
+    const sorted = [...lengths].sort((a, b) => a - b);
+    if (run <= 0 || sorted.length === 0) return [];
+    const pieces = Math.ceil(run / sorted[sorted.length - 1] - 1e-6);
+
+    let best: number[] = [];
+    let bestTotal = Infinity;
+    const search = (stack: number[], total: number, from: number) => {
+      if (stack.length === pieces) {
+        if (total >= run - 1e-6 && total < bestTotal) {
+          best = [...stack];
+          bestTotal = total;
+        }
+        return;
+      }
+      for (let i = from; i < sorted.length; i++) {
+        search([...stack, sorted[i]], total + sorted[i], i);
+      }
+    };
+
+    search([], 0, 0);
+    return best;
+  }
+
+  /**
+   * Propose a mixed-length sheet order for a room, hanging every wall and the
+   * ceiling horizontally in 4' rows
+   */
+  calculateSheetMix(room: Room, lengths: number[] = DrywallCalculator.STOCK_LENGTHS): SheetMix {
+    const sheetWidth = DrywallCalculator.STANDARD_SHEET_SIZE.width;
+    const counts: Record<number, number> = {};
+    let buttJoints = 0;
+    let tapered = 0;
+    let butt = 0;
+
+    const cover = (run: number, rise: number) => {
+      if (run <= 0 || rise <= 0) return;
+      const rows = Math.ceil(rise / sheetWidth - 1e-6);
+      const pieces = this.chooseSheetLengths(run, lengths);
+      pieces.forEach((length) => {
+        counts[length] = (counts[length] || 0) + rows;
+      });
+      buttJoints += (pieces.length - 1) * rows;
+      tapered += (rows - 1) * run;
+      butt += (pieces.length - 1) * rise;
+    };
+
+    this.getWallFaces(room).forEach((face) => {
+      if (face.status === 'hang') cover(face.run, room.height);
+    });
+    const ceiling = this.getCeilingSpan(room);
+    if (ceiling) cover(ceiling.run, ceiling.rise);
+
+    const sizes: SheetCount[] = Object.keys(counts)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((length) => ({
+        label: SheetLayoutEngine.sizeLabel({ width: sheetWidth, length }),
+        width: sheetWidth,
+        length,
+        count: counts[length],
+      }));
+
+    return {
+      sizes,
+      sheets: sizes.reduce((sum, size) => sum + size.count, 0),
+      buttJoints,
+      joints: sumJoints([{ tapered, butt }, this.calculateAngles(room)]),
+    };
+  }
+
+  /**
+   * Linear feet of joint in a room hung horizontally with the given stock lengths
+   */
+  calculateJointFootage(
+    room: Room,
+    lengths: number[] = [DrywallCalculator.STANDARD_SHEET_SIZE.height]
+  ): JointFootage {
+    return this.calculateSheetMix(room, lengths).joints;
+  }
+
+  /**
+   * Linear feet of inside corners and wall-ceiling angles in a room
+   */
+  calculateAngles(room: Room): Pick<JointFootage, 'insideCorner' | 'wallCeiling'> {
+    const perimeter = this.calculatePerimeter(room);
+    if (perimeter <= 0) return { insideCorner: 0, wallCeiling: 0 };
+
+    // Convex outline corners are inside corners; reflex ones are outside corners
+    // Corner i joins edges i - 1 and i, and is taped if either face is new board
+    const { points } = room;
+    const faces = this.getWallFaces(room);
+    const types: string[] =
+      points && points.length >= 3
+        ? Utils.geometry.polygonVertexTypes(points)
+        : ['convex', 'convex', 'convex', 'convex'];
+    const corners = types.filter(
+      (type, i) =>
+        type === 'convex' &&
+        (faces[i].status === 'hang' ||
+          faces[(i + faces.length - 1) % faces.length].status === 'hang')
+    ).length;
+
+    return {
+      insideCorner: corners * room.height,
+      wallCeiling: this.getCeilingSpan(room) ? perimeter : 0,
+    };
+  }
+
+  /**
+   * Tapered and butt seams in a sheet layout, read off its cut list
+   */
+  calculateSeams(layout: Pick<SheetLayout, 'cuts'>): Pick<JointFootage, 'tapered' | 'butt'> {
+    const rows: Record<string, SheetCut[]> = {};
+    layout.cuts.forEach((cut) => {
+      const key = `${cut.surface}#${cut.row}`;
+      (rows[key] = rows[key] || []).push(cut);
+    });
+
+    let tapered = 0;
+    let butt = 0;
+    Object.values(rows).forEach((cuts) => {
+      cuts.sort((a, b) => a.x - b.x);
+      cuts.forEach((cut, i) => {
+        // Long edge against the row below
+        if (cut.row > 0) tapered += cut.length;
+        const next = cuts[i + 1];
+        if (next && Math.abs(cut.x + cut.length - next.x) < 1e-6) {
+          butt += Math.min(cut.height, next.height);
+        }
+      });
+    });
+
+    return { tapered, butt };
+  }
+
   /**
    * Calculate total wall area for a room
    */
   calculateWallArea(room: Room): WallAreaResult {
-    const { width, length, height, doors = 0, windows = 0 } = room;
-    const perimeter = 2 * (width + length);
-    const grossArea = perimeter * height;
+    const { height, doors = 0, windows = 0 } = room;
+    const perimeter = this.calculatePerimeter(room);
+    const faces = this.getWallFaces(room);
+    const gable = this.calculateCeilingGeometry(room)?.walls || 0;
+    const grossArea = perimeter * height + gable;
+
+    // Openings on a known edge come off that face alone
+    const onEdge = faces.map(() => 0);
+    const place = (edge: number | undefined, area: number) => {
+      if (edge !== undefined && edge < faces.length) onEdge[edge] += area;
+      return area;
+    };
 
     // Calculate door openings
     let doorArea = 0;
     if (room.doorDetails) {
       doorArea = room.doorDetails.reduce((sum, door) => {
-        return sum + (door.width || 3) * (door.height || 7);
+        return (
+          sum +
+          place(door.edge, this.calculateOpeningArea(door.width || 3, door.height || 7, door.arch))
+        );
       }, 0);
     } else {
       doorArea = doors * DrywallCalculator.STANDARD_DOOR_SIZE.area;
@@ -71,17 +880,104 @@ export class DrywallCalculator {
     let windowArea = 0;
     if (room.windowDetails) {
       windowArea = room.windowDetails.reduce((sum, window) => {
-        return sum + (window.width || 3) * (window.height || 4);
+        return (
+          sum +
+          place(
+            window.edge,
+            this.calculateOpeningArea(window.width || 3, window.height || 4, window.arch)
+          )
+        );
       }, 0);
     } else {
       windowArea = windows * DrywallCalculator.STANDARD_WINDOW.area;
     }
 
+    if (faces.every((face) => face.status === 'hang' && face.layers === 1)) {
+      return {
+        gross: grossArea,
+        openings: doorArea + windowArea,
+        net: grossArea - doorArea - windowArea,
+        perimeter: perimeter,
+        gable,
+        baseLayers: 0,
+      };
+    }
+
+    // Only faces being hung count; openings without an edge are spread over them by length
+    const loose = doorArea + windowArea - onEdge.reduce((sum, area) => sum + area, 0);
+    const hungRun = faces.reduce((sum, face) => sum + (face.status === 'hang' ? face.run : 0), 0);
+    let hungArea = 0;
+    let openings = 0;
+    let baseLayers = 0;
+    faces.forEach((face, i) => {
+      if (face.status !== 'hang') return;
+      const cut = onEdge[i] + (hungRun > 0 ? (loose * face.run) / hungRun : 0);
+      hungArea += face.run * height;
+      openings += cut;
+      baseLayers += (face.layers - 1) * Math.max(0, face.run * height - cut);
+    });
+    // Gable ends sit on the walls below them, so they go when no wall is hung
+    const hungGable = hungArea > 0 ? gable : 0;
+
     return {
-      gross: grossArea,
-      openings: doorArea + windowArea,
-      net: grossArea - doorArea - windowArea,
+      gross: hungArea + hungGable,
+      openings,
+      net: hungArea + hungGable - openings,
       perimeter: perimeter,
+      gable: hungGable,
+      baseLayers,
+    };
+  }
+
+  /**
+   * Area of a door or window; an arched head leaves its top corners as wall
+   */
+  calculateOpeningArea(width: number, height: number, arch = 0): number {
+    const rise = this.getArchRise(width, height, arch);
+    if (rise <= 0) return width * height;
+    const { segment } = Utils.geometry.arcMeasure(width, Utils.geometry.arcRadius(width, rise));
+    return width * (height - rise) + segment;
+  }
+
+  /**
+   * Rise of an arched head, no more than a half round and no taller than the opening
+   */
+  getArchRise(width: number, height: number, arch = 0): number {
+    return Utils.clamp(arch, 0, Math.min(width / 2, height));
+  }
+
+  /**
+   * Length of the curve over an arched head, or 0 when it is square
+   */
+  getArchLength(width: number, height: number, arch = 0): number {
+    const rise = this.getArchRise(width, height, arch);
+    return rise > 0
+      ? Utils.geometry.arcMeasure(width, Utils.geometry.arcRadius(width, rise)).length
+      : 0;
+  }
+
+  /**
+   * Board, bead and angles for a recessed niche: returns on all four sides,
+   * the top one bent in flexible board under an arch. The back replaces the
+   * wall it is cut from, so the wall area stands.
+   */
+  calculateNicheArea(niche: Niche): NicheAreaResult {
+    const count = Math.max(0, Math.round(niche.count ?? 1));
+    const width = Math.max(0, niche.width || 0);
+    const height = Math.max(0, niche.height || 0);
+    const depth = niche.depth ?? DrywallCalculator.NICHE.depth;
+    const rise = this.getArchRise(width, height, niche.arch);
+    const archLength = this.getArchLength(width, height, niche.arch);
+
+    // Both jambs to the spring line, the bottom, and a flat top unless arched
+    const straight = 2 * (height - rise) + width + (rise > 0 ? 0 : width);
+    return {
+      lining: count * straight * depth,
+      curved: count * archLength * depth,
+      total: count * (straight + archLength) * depth,
+      bead: count * straight,
+      archBead: count * archLength,
+      insideCorner: count * (straight + archLength),
     };
   }
 
@@ -89,73 +985,607 @@ export class DrywallCalculator {
    * Calculate ceiling area
    */
   calculateCeilingArea(room: Room): number {
-    const { width, length, ceilingType = 'standard' } = room;
-    const baseArea = width * length;
+    const { ceilingType = 'standard' } = room;
+    if (ceilingType === 'none') return 0;
 
-    // Adjust for ceiling type
+    const geometry = this.calculateCeilingGeometry(room);
+    if (geometry) return geometry.ceiling;
+
+    // Rough multipliers for ceilings nobody has measured
+    const baseArea = this.calculateFloorArea(room);
     let multiplier = 1;
     switch (ceilingType) {
       case 'vaulted':
+      case 'cathedral':
         multiplier = 1.4; // Approximate 40% more surface area
         break;
+      case 'shed':
+        multiplier = 1.2; // Approximate 20% more surface area
+        break;
       case 'tray':
         multiplier = 1.2; // Approximate 20% more surface area
         break;
       case 'coffered':
         multiplier = 1.3; // Approximate 30% more surface area
         break;
-      case 'none':
-        return 0;
     }
 
     return baseArea * multiplier;
   }
 
   /**
-   * Calculate stairwell drywall area
+   * Room footprint split into the span across the ridge and the run along it
    */
-  calculateStairwellArea(stairs: Stairwell): StairwellAreaResult {
-    const {
-      risers = 14,
-      treadWidth = 36,
-      riserHeight = 7.5,
-      width = 4,
-      length = 12,
-      wallsBothSides = true,
-      underCeiling = true,
-    } = stairs;
+  getCeilingFrame(room: Room): { span: number; run: number } {
+    let width = room.width || 0;
+    let length = room.length || 0;
+    if (room.points && room.points.length >= 3) {
+      const box = Utils.geometry.getBoundingBox(room.points);
+      width = (box?.width || 0) / (room.scale || 1);
+      length = (box?.height || 0) / (room.scale || 1);
+    }
 
-    // Convert inches to feet
-    const treadWidthFt = treadWidth / 12;
-    const riserHeightFt = riserHeight / 12;
+    const ridge = room.ceiling?.ridge || (length >= width ? 'length' : 'width');
+    return ridge === 'length' ? { span: width, run: length } : { span: length, run: width };
+  }
 
-    // Calculate stringer length (hypotenuse)
-    const totalRise = risers * riserHeightFt;
-    const totalRun = (risers - 1) * treadWidthFt;
-    const stringerLength = Math.sqrt(totalRise * totalRise + totalRun * totalRun);
+  /**
+   * True ceiling area from measured geometry, plus the wall area the shape adds
+   * to the rectangular walls (gable ends) or takes away (knee walls). Null when
+   * the room has no usable geometry for its ceiling type.
+   */
+  calculateCeilingGeometry(room: Room): { ceiling: number; walls: number } | null {
+    const { ceilingType = 'standard', ceiling, height } = room;
+    if (!ceiling) return null;
+    const floorArea = this.calculateFloorArea(room);
+    const { span, run } = this.getCeilingFrame(room);
 
-    // Calculate wall area along stairs
-    let wallArea = stringerLength * width; // One side
-    if (wallsBothSides) {
-      wallArea *= 2; // Both sides
+    switch (ceilingType) {
+      case 'vaulted':
+      case 'cathedral':
+      case 'shed': {
+        if (ceiling.pitch === undefined) return null;
+        // Every plane has the same pitch, so its area is its footprint stretched by the slope
+        const slope = ceiling.pitch / 12;
+        const eave = ceiling.kneeWallHeight ?? height;
+        const shed = ceilingType === 'shed';
+        const rise = (shed ? span : span / 2) * slope;
+
+        const endWalls = 2 * (span * eave + (span * rise) / 2);
+        const sideWalls = shed ? run * eave + run * (eave + rise) : 2 * run * eave;
+        return {
+          ceiling: floorArea * Math.sqrt(1 + slope * slope),
+          walls: endWalls + sideWalls - 2 * (span + run) * height,
+        };
+      }
+      case 'tray': {
+        const { trayDepth, trayStep = 0 } = ceiling;
+        if (!trayDepth) return null;
+        // The raised centre covers the same plan area; the riser band is extra
+        const inner = Math.max(0, this.calculatePerimeter(room) - 8 * trayStep);
+        return { ceiling: floorArea + inner * trayDepth, walls: 0 };
+      }
+      case 'coffered': {
+        const { cofferSpacing, cofferBeamWidth = 0.5, cofferBeamDepth = 0.75 } = ceiling;
+        if (!cofferSpacing) return null;
+        // Beam bottoms replace the ceiling they cover; their sides are extra
+        const alongRun = Math.max(0, Math.ceil(span / cofferSpacing - 1e-6) - 1);
+        const alongSpan = Math.max(0, Math.ceil(run / cofferSpacing - 1e-6) - 1);
+        const beamFeet = alongRun * run + alongSpan * span;
+        const crossings = alongRun * alongSpan;
+        const sides = (2 * beamFeet - 4 * crossings * cofferBeamWidth) * cofferBeamDepth;
+        return { ceiling: floorArea + sides, walls: 0 };
+      }
     }
+    return null;
+  }
+
+  /**
+   * Board, bead and angles for a soffit, bulkhead or beam wrap. The wall and
+   * ceiling behind it are hung as usual, so nothing comes off the room.
+   */
+  calculateSoffitArea(soffit: Soffit, ceilingHeight = 8): SoffitAreaResult {
+    const kind = DrywallCalculator.SOFFITS[soffit.kind || 'soffit'];
+    const stick = DrywallCalculator.BEAD_LENGTH;
+    const length = Math.max(0, soffit.length || 0);
+    const depth = Math.max(0, soffit.depth || 0);
+    const drop = Utils.clamp(
+      soffit.drop ?? (soffit.height !== undefined ? ceilingHeight - soffit.height : kind.drop),
+      0,
+      ceilingHeight
+    );
+    const faces = Utils.clamp(Math.round(soffit.faces ?? kind.faces), 0, 2);
+    const openEnds = Utils.clamp(Math.round(soffit.openEnds ?? 0), 0, 2);
+
+    const bottom = length * depth;
+    const face = faces * length * drop;
+    const sides = openEnds * depth * drop;
+    // Strips longer than the longest board are pieced along the run
+    const piecesPerStrip = Math.max(
+      1,
+      Math.ceil(length / Math.max(...DrywallCalculator.STOCK_LENGTHS))
+    );
+    const endEdges = depth + faces * drop;
 
-    // Add ceiling under stairs if applicable
-    let ceilingArea = 0;
-    if (underCeiling) {
-      ceilingArea = stringerLength * width;
+    return {
+      drop,
+      bottom,
+      face,
+      sides,
+      total: bottom + face + sides,
+      // Every exposed edge of the bottom and end panels is an outside corner
+      bead: faces * length + openEnds * endEdges,
+      beadPieces:
+        faces * Math.ceil(length / stick) +
+        openEnds * (Math.ceil(depth / stick) + faces * Math.ceil(drop / stick)),
+      joints: {
+        butt: (piecesPerStrip - 1) * endEdges,
+        insideCorner: (2 - faces) * length + (2 - openEnds) * endEdges,
+        wallCeiling: faces * length + openEnds * depth,
+      },
+    };
+  }
+
+  /**
+   * Plan of a stair's flights and landings, in feet from its foot
+   */
+  getStairLayout(stairs: Stairwell): StairLayout {
+    const defaults = DrywallCalculator.STAIR_DEFAULTS;
+    const {
+      shape = 'straight',
+      turn = 'right',
+      totalRise,
+      treadWidth = defaults.treadWidth,
+      width = defaults.width,
+    } = stairs;
+    const risers =
+      stairs.risers ||
+      (totalRise ? Math.ceil(totalRise / defaults.maxRiserHeight - 1e-6) : defaults.risers);
+    const riserHeight = totalRise ? totalRise / risers : stairs.riserHeight || defaults.riserHeight;
+    const landingDepth = stairs.landingDepth || width;
+    const tread = treadWidth / 12;
+    const step = riserHeight / 12;
+
+    // Each flight climbs one riser more than it has treads, onto a landing or the floor above
+    const flightCount = shape === 'straight' ? (stairs.landings || 0) + 1 : 2;
+    const treads = Math.max(0, risers - flightCount);
+    const split = Array.from(
+      { length: flightCount },
+      (_, i) => Math.floor(treads / flightCount) + (i < treads % flightCount ? 1 : 0)
+    );
+
+    const flights: StairFlight[] = [];
+    const landings: StairLanding[] = [];
+    let elevation = 0;
+    const addFlight = (x: number, y: number, dx: number, dy: number, count: number) => {
+      const flight = { x, y, dx, dy, treads: count, run: count * tread, rise: (count + 1) * step };
+      flights.push({ ...flight, elevation });
+      elevation += flight.rise;
+      return flight.run;
+    };
+    const addLanding = (landing: Omit<StairLanding, 'elevation'>) => {
+      landings.push({ ...landing, elevation });
+    };
+
+    const first = addFlight(0, 0, 1, 0, split[0]);
+    const right = turn === 'right';
+    // Landing edges on the outside of the turn get a wall; the inside is open to the flights
+    const outside = (feet: number) => ({
+      leftEdges: right ? feet : 0,
+      rightEdges: right ? 0 : feet,
+    });
+    if (shape === 'l-turn') {
+      addLanding({ x: first, y: 0, length: width, width, ...outside(2 * width) });
+      if (right) {
+        addFlight(first + width, width, 0, 1, split[1]);
+      } else {
+        addFlight(first, 0, 0, -1, split[1]);
+      }
+    } else if (shape === 'u-turn') {
+      const y = right ? 0 : -width;
+      addLanding({
+        x: first,
+        y,
+        length: landingDepth,
+        width: 2 * width,
+        ...outside(2 * width + 2 * landingDepth),
+      });
+      addFlight(first, right ? 2 * width : 0, -1, 0, split[1]);
+    } else {
+      let x = first;
+      split.slice(1).forEach((count) => {
+        addLanding({
+          x,
+          y: 0,
+          length: landingDepth,
+          width,
+          leftEdges: landingDepth,
+          rightEdges: landingDepth,
+        });
+        x += landingDepth;
+        x += addFlight(x, 0, 1, 0, count);
+      });
     }
 
-    // Add stairwell walls (vertical portions)
-    const stairwellWallArea = 2 * (length * totalRise); // Front and back walls
+    // Flights extend to the climber's right, (-dy, dx) from their start corner
+    const corners = [
+      ...flights.flatMap((f) => [
+        { x: f.x, y: f.y },
+        { x: f.x + f.dx * f.run - f.dy * width, y: f.y + f.dy * f.run + f.dx * width },
+      ]),
+      ...landings.flatMap((l) => [
+        { x: l.x, y: l.y },
+        { x: l.x + l.length, y: l.y + l.width },
+      ]),
+    ];
+    const minX = Math.min(...corners.map((c) => c.x));
+    const minY = Math.min(...corners.map((c) => c.y));
+
+    return {
+      risers,
+      riserHeight,
+      treadWidth,
+      totalRise: elevation,
+      width,
+      flights,
+      landings,
+      footprint: {
+        x: minX,
+        y: minY,
+        length: Math.max(...corners.map((c) => c.x)) - minX,
+        width: Math.max(...corners.map((c) => c.y)) - minY,
+      },
+    };
+  }
+
+  /**
+   * Drawing-unit position of a point given in feet on a drawn stair's plan
+   */
+  getStairPoint(stairs: Stairwell, x: number, y: number): Point {
+    const { start = { x: 0, y: 0 }, end = start, scale = 1 } = stairs;
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+      x: start.x + (x * cos - y * sin) * scale,
+      y: start.y + (x * sin + y * cos) * scale,
+    };
+  }
+
+  /**
+   * Drawing-unit outline of a drawn stair's footprint
+   */
+  getStairOutline(stairs: Stairwell): Point[] {
+    const { x, y, length, width } = this.getStairLayout(stairs).footprint;
+    return [
+      this.getStairPoint(stairs, x, y),
+      this.getStairPoint(stairs, x + length, y),
+      this.getStairPoint(stairs, x + length, y + width),
+      this.getStairPoint(stairs, x, y + width),
+    ];
+  }
+
+  /**
+   * Whether a stair drawn going down from this floor is one already drawn going
+   * up on the floor it comes from, found by its footprint
+   */
+  isStairDrawnBelow(project: Project, floorIndex: number, stair: Stairwell): boolean {
+    if (stair.type !== 'stairs-down' || !stair.start || !stair.end) return false;
+    const from = stair.fromFloor ?? floorIndex - 1;
+    const outline = this.getStairOutline(stair);
+    const center = {
+      x: outline.reduce((sum, p) => sum + p.x, 0) / outline.length,
+      y: outline.reduce((sum, p) => sum + p.y, 0) / outline.length,
+    };
+
+    return (project.floors[from]?.stairs || []).some(
+      (other) =>
+        other.type !== 'stairs-down' &&
+        other.start &&
+        other.end &&
+        (other.toFloor ?? from + 1) === floorIndex &&
+        Utils.geometry.isPointInPolygon(center, this.getStairOutline(other))
+    );
+  }
+
+  /**
+   * Stairs and chases with no opening on a floor they pass through. Floors
+   * share one drawing origin, so openings line up by position.
+   */
+  findFloorStackGaps(project: Project): FloorStackGap[] {
+    const { floors } = project;
+    const gaps: FloorStackGap[] = [];
+    const seen = new Set<string>();
+    const addGap = (gap: FloorStackGap) => {
+      const key = `${gap.kind}:${gap.id}:${gap.missingOn}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      gaps.push(gap);
+    };
+    // A stair drawn on the floor above marks the same hole as an opening would
+    const isOpenAt = (floor: Floor, point: Point) =>
+      (floor.openings || []).some((opening) =>
+        Utils.geometry.isPointInPolygon(point, opening.points)
+      ) ||
+      (floor.stairs || []).some(
+        (stair) =>
+          stair.start &&
+          stair.end &&
+          Utils.geometry.isPointInPolygon(point, this.getStairOutline(stair))
+      );
+
+    floors.forEach((floor, index) => {
+      (floor.stairs || []).forEach((stair) => {
+        const to = stair.toFloor ?? (stair.type === 'stairs-down' ? index : index + 1);
+        if (to === index || !floors[to] || !stair.start || !stair.end) return;
+
+        // Headroom is needed over the top flight, so its middle must be open above
+        const layout = this.getStairLayout(stair);
+        const top = layout.flights[layout.flights.length - 1];
+        const head = this.getStairPoint(
+          stair,
+          top.x + (top.dx * top.run - top.dy * layout.width) / 2,
+          top.y + (top.dy * top.run + top.dx * layout.width) / 2
+        );
+        if (!isOpenAt(floors[to], head)) {
+          addGap({
+            kind: 'stair',
+            id: stair.id,
+            floor: index,
+            missingOn: to,
+            points: this.getStairOutline(stair),
+          });
+        }
+      });
+
+      (floor.openings || [])
+        .filter((opening) => opening.kind === 'chase')
+        .forEach((chase) => {
+          const id = chase.chaseId || chase.id;
+          const center = {
+            x: chase.points.reduce((sum, p) => sum + p.x, 0) / chase.points.length,
+            y: chase.points.reduce((sum, p) => sum + p.y, 0) / chase.points.length,
+          };
+          for (let k = chase.fromFloor ?? index; k <= (chase.toFloor ?? index); k++) {
+            if (k === index || !floors[k]) continue;
+            const registered = (floors[k].openings || []).some(
+              (opening) =>
+                opening.chaseId === id || Utils.geometry.isPointInPolygon(center, opening.points)
+            );
+            if (!registered) {
+              addGap({ kind: 'chase', id, floor: index, missingOn: k, points: chase.points });
+            }
+          }
+        });
+    });
+
+    return gaps;
+  }
+
+  /**
+   * Garage walls and ceilings that separate it from the dwelling: outline edges
+   * shared with another room on the same floor, and the ceiling when a room sits
+   * over it on the floor above. Only drawn garages can be placed, so garages
+   * without an outline are left out.
+   */
+  findGarageSeparations(project: Project): GarageSeparation[] {
+    const separations: GarageSeparation[] = [];
+    const hasOutline = (room: Room) => !!room.points && room.points.length >= 3;
+    const isFireRated = (type: DrywallType) => type === 'typex' || type === 'firerated';
+
+    project.floors.forEach((floor, index) => {
+      floor.rooms.filter(hasOutline).forEach((garage) => {
+        if (garage.type !== 'garage') return;
+        const points = garage.points as Point[];
+        const faces = this.getWallFaces(garage);
+        const dwelling = floor.rooms.filter((room) => room.type !== 'garage' && hasOutline(room));
+
+        points.forEach((a, edge) => {
+          const b = points[(edge + 1) % points.length];
+          const adjoining = dwelling.find((room) =>
+            (room.points as Point[]).some(
+              (c, i) => this.getSharedRun(a, b, c, room.points![(i + 1) % room.points!.length]) > 1
+            )
+          );
+          if (!adjoining || !faces[edge]) return;
+
+          const wall = (floor.walls || [])
+            .map((w) => ({ wall: w, run: this.getSharedRun(a, b, w.start, w.end) }))
+            .filter(({ run }) => run > 1)
+            .sort((x, y) => y.run - x.run)[0]?.wall;
+          const { status, assembly } = faces[edge];
+          const drywallType = assembly?.drywallType || garage.drywallType || 'standard';
+          separations.push({
+            floor: index,
+            garage: garage.name,
+            surface: 'wall',
+            edge,
+            wallId: wall?.id,
+            adjoining: adjoining.name,
+            drywallType,
+            status,
+            passes: status !== 'skip' && isFireRated(drywallType),
+          });
+        });
+
+        // Living space over any part of the garage puts its ceiling in the separation
+        const above = (project.floors[index + 1]?.rooms || []).find(
+          (room) =>
+            room.type !== 'garage' &&
+            hasOutline(room) &&
+            polygonsOverlap(points, room.points as Point[])
+        );
+        if (above) {
+          const drywallType = garage.drywallType || 'standard';
+          const status: WallFaceStatus = garage.includeCeiling === false ? 'skip' : 'hang';
+          separations.push({
+            floor: index,
+            garage: garage.name,
+            surface: 'ceiling',
+            adjoining: above.name,
+            drywallType,
+            status,
+            passes: status !== 'skip' && isFireRated(drywallType),
+          });
+        }
+      });
+    });
+
+    return separations;
+  }
+
+  /**
+   * Length two segments run along each other, within a drawing unit of the same line
+   */
+  getSharedRun(a: Point, b: Point, c: Point, d: Point): number {
+    const length = Utils.geometry.distance(a, b);
+    if (length === 0) return 0;
+
+    const dx = (b.x - a.x) / length;
+    const dy = (b.y - a.y) / length;
+    const offset = (p: Point) => Math.abs(dx * (p.y - a.y) - dy * (p.x - a.x));
+    if (offset(c) > 1 || offset(d) > 1) return 0;
+
+    const along = (p: Point) => dx * (p.x - a.x) + dy * (p.y - a.y);
+    const from = Math.max(0, Math.min(along(c), along(d)));
+    const to = Math.min(length, Math.max(along(c), along(d)));
+    return Math.max(0, to - from);
+  }
+
+  /**
+   * Calculate stairwell drywall area, with the ceiling of the floor above
+   * upperHeight feet over its floor
+   */
+  calculateStairwellArea(stairs: Stairwell, upperHeight = 8): StairwellAreaResult {
+    const layout = this.getStairLayout(stairs);
+    const { width, totalRise, flights, landings, footprint } = layout;
+    const left = stairs.leftSide || 'enclosed';
+    const right = stairs.rightSide || (stairs.wallsBothSides === false ? 'open' : 'enclosed');
+    const enclosedSides = (left === 'enclosed' ? 1 : 0) + (right === 'enclosed' ? 1 : 0);
+    const ceilingLine = totalRise + upperHeight;
+
+    // Side walls run from the nosing line up to the ceiling over the well
+    let wallArea = 0;
+    let soffitArea = 0;
+    flights.forEach((flight) => {
+      const height = ceilingLine - flight.elevation - flight.rise / 2;
+      wallArea += enclosedSides * flight.run * height;
+      soffitArea += Math.hypot(flight.run, flight.rise) * width;
+    });
+    landings.forEach((landing) => {
+      const edges =
+        (left === 'enclosed' ? landing.leftEdges : 0) +
+        (right === 'enclosed' ? landing.rightEdges : 0);
+      wallArea += edges * (ceilingLine - landing.elevation);
+      soffitArea += landing.length * landing.width;
+    });
+
+    const ceilingArea = stairs.underCeiling === false ? 0 : soffitArea;
+    const floorDepth = stairs.floorDepth ?? DrywallCalculator.FLOOR_DEPTH;
+    const stairwellWallArea = 2 * (footprint.length + footprint.width) * floorDepth;
 
     return {
       walls: wallArea,
       ceiling: ceilingArea,
       stairwellWalls: stairwellWallArea,
       total: wallArea + ceilingArea + stairwellWallArea,
-      angle: (Math.atan2(totalRise, totalRun) * 180) / Math.PI,
+      wallHeight: ceilingLine,
+      angle: (Math.atan2(layout.riserHeight, layout.treadWidth) * 180) / Math.PI,
+      layout,
+    };
+  }
+
+  /**
+   * Feet from one floor's finished floor up to another's: the difference in
+   * elevation, or without elevations each storey's ceiling height plus the
+   * framing of the floor above it
+   */
+  getFloorToFloor(project: Project, lower: number, upper: number): number {
+    const { floors } = project;
+    const from = floors[lower]?.elevation;
+    const to = floors[upper]?.elevation;
+    if (from !== undefined && to !== undefined && to > from) return to - from;
+
+    let feet = 0;
+    for (let i = lower; i < upper && floors[i + 1]; i++) {
+      feet += floorHeight(floors[i]) + (floors[i + 1].floorDepth ?? DrywallCalculator.FLOOR_DEPTH);
+    }
+    return feet;
+  }
+
+  /**
+   * Room an open-to-below room looks down into: by name, or for drawn rooms
+   * the room under its centre
+   */
+  findRoomBelow(project: Project, floorIndex: number, room: Room): Room | undefined {
+    const rooms = project.floors[floorIndex - 1]?.rooms || [];
+    if (room.belowRoom) return rooms.find((below) => below.name === room.belowRoom);
+    if (!room.points || room.points.length < 3) return undefined;
+
+    const center = {
+      x: room.points.reduce((sum, p) => sum + p.x, 0) / room.points.length,
+      y: room.points.reduce((sum, p) => sum + p.y, 0) / room.points.length,
     };
+    return rooms.find(
+      (below) =>
+        below.points &&
+        below.points.length >= 3 &&
+        Utils.geometry.isPointInPolygon(center, below.points)
+    );
+  }
+
+  /**
+   * Project with double-height spaces merged: an open-to-below room's walls
+   * run down through the floor framing to the room below, which has no ceiling
+   */
+  mergeOpenToBelow(project: Project): Project {
+    const floors = project.floors.map((floor) => ({ ...floor, rooms: [...floor.rooms] }));
+
+    project.floors.forEach((floor, floorIndex) => {
+      if (floorIndex === 0) return;
+      floor.rooms.forEach((room, roomIndex) => {
+        if (!room.openToBelow) return;
+        const below = this.findRoomBelow(project, floorIndex, room);
+        // Without a room drawn below, the upper room carries the whole lower storey
+        const drop =
+          this.getFloorToFloor(project, floorIndex - 1, floorIndex) - (below ? below.height : 0);
+        const upper = floors[floorIndex].rooms;
+        upper[roomIndex] = { ...upper[roomIndex], height: room.height + drop };
+
+        if (below) {
+          const lower = floors[floorIndex - 1].rooms;
+          const index = project.floors[floorIndex - 1].rooms.indexOf(below);
+          lower[index] = { ...lower[index], includeCeiling: false };
+        }
+      });
+    });
+
+    return { ...project, floors };
+  }
+
+  /**
+   * Stairwell area for a stair drawn on a floor, rising between the floors it links
+   */
+  calculateFloorStairwell(
+    project: Project,
+    floorIndex: number,
+    stairs: Stairwell
+  ): StairwellAreaResult {
+    const from = stairs.fromFloor ?? (stairs.type === 'stairs-down' ? floorIndex - 1 : floorIndex);
+    const to = stairs.toFloor ?? from + 1;
+    const above = project.floors[to];
+    if (!project.floors[from] || !above || to <= from) {
+      return this.calculateStairwellArea(stairs, floorHeight(above));
+    }
+
+    return this.calculateStairwellArea(
+      {
+        ...stairs,
+        totalRise: stairs.totalRise ?? this.getFloorToFloor(project, from, to) * 12,
+        floorDepth: stairs.floorDepth ?? above.floorDepth,
+      },
+      floorHeight(above)
+    );
   }
 
   /**
@@ -166,6 +1596,107 @@ export class DrywallCalculator {
     return Math.ceil(areaWithWaste / DrywallCalculator.STANDARD_SHEET_SIZE.area);
   }
 
+  /**
+   * Group board area by drywall type and thickness, then count sheets per group
+   */
+  calculateSheetGroups(
+    areas: BoardArea[],
+    wasteFactor = 0.1,
+    sheetSizes?: SheetSize[]
+  ): SheetGroup[] {
+    const groups: Record<string, SheetGroup> = {};
+    const surfaces: Record<string, LayoutSurface[]> = {};
+    const mixes: Record<string, SheetMix[]> = {};
+    const flatAreas: Record<string, number> = {};
+
+    areas.forEach(({ drywallType = 'standard', thickness, area, surfaces: roomSurfaces, mix }) => {
+      const boardThickness = thickness || DrywallCalculator.DRYWALL_TYPES[drywallType].thickness;
+      const key = this.getSheetGroupKey(drywallType, thickness);
+      if (!groups[key]) {
+        groups[key] = { key, drywallType, thickness: boardThickness, area: 0, sheets: 0 };
+        surfaces[key] = [];
+        mixes[key] = [];
+        flatAreas[key] = 0;
+      }
+      groups[key].area += area;
+      if (sheetSizes && roomSurfaces) {
+        surfaces[key].push(...roomSurfaces);
+      } else if (mix) {
+        mixes[key].push(mix);
+      } else {
+        flatAreas[key] += area;
+      }
+    });
+
+    return Object.values(groups)
+      .filter((group) => group.area > 0)
+      .map((group) => {
+        if (!sheetSizes && mixes[group.key].length === 0) {
+          return { ...group, sheets: this.calculateSheets(group.area, wasteFactor) };
+        }
+
+        // Lay out or mix the surfaces we have geometry for; anything else keeps the waste factor
+        const sizes: SheetCount[] = [];
+        const addSheets = (size: SheetCount) => {
+          const existing = sizes.find((s) => s.label === size.label);
+          if (existing) {
+            existing.count += size.count;
+          } else {
+            sizes.push({ ...size });
+          }
+        };
+
+        const layout =
+          sheetSizes && surfaces[group.key].length > 0
+            ? new SheetLayoutEngine(sheetSizes).layout(surfaces[group.key])
+            : undefined;
+        layout?.sheetsBySize.forEach(addSheets);
+        mixes[group.key].forEach((mix) => mix.sizes.forEach(addSheets));
+
+        const flatSheets =
+          flatAreas[group.key] > 0 ? this.calculateSheets(flatAreas[group.key], wasteFactor) : 0;
+        if (flatSheets > 0) {
+          const { width, height } = DrywallCalculator.STANDARD_SHEET_SIZE;
+          const label = SheetLayoutEngine.sizeLabel({ width, length: height });
+          addSheets({ label, width, length: height, count: flatSheets });
+        }
+
+        sizes.sort((a, b) => a.width - b.width || a.length - b.length);
+        const sheets = sizes.reduce((sum, size) => sum + size.count, 0);
+        return layout ? { ...group, sheets, sizes, layout } : { ...group, sheets, sizes };
+      });
+  }
+
+  /**
+   * Key a board type and thickness the way sheet groups do
+   */
+  getSheetGroupKey(drywallType: DrywallType = 'standard', thickness?: number): string {
+    const boardThickness = thickness || DrywallCalculator.DRYWALL_TYPES[drywallType].thickness;
+    return `${drywallType}-${boardThickness}`;
+  }
+
+  /**
+   * Price per sheet for a board type, falling back to the standard sheet price
+   */
+  getSheetPrice(pricing: Pricing, drywallType: DrywallType = 'standard', size?: SheetSize): number {
+    const price = pricing.drywallPrices?.[drywallType] ?? pricing.drywallPerSheet;
+    if (!size) return price;
+
+    // Other stock sizes are priced by area relative to a standard sheet
+    return (price * size.width * size.length) / DrywallCalculator.STANDARD_SHEET_SIZE.area;
+  }
+
+  /**
+   * Describe a sheet group for material lists
+   */
+  getSheetDescription(group: SheetGroup, size?: SheetSize): string {
+    const thickness = DrywallCalculator.THICKNESS_LABELS[group.thickness] || `${group.thickness}"`;
+    const label = DrywallCalculator.DRYWALL_TYPES[group.drywallType].label;
+    const feet = (value: number) => (Number.isInteger(value) ? `${value}'` : `${value * 12}"`);
+    const dimensions = size ? `${feet(size.width)} x ${feet(size.length)}` : `4' x 8'`;
+    return `${thickness} x ${dimensions} ${label ? `${label} ` : ''}Drywall Sheet`;
+  }
+
   /**
    * Calculate joint compound needed
    */
@@ -188,11 +1719,47 @@ export class DrywallCalculator {
     return Math.ceil(bucketsNeeded);
   }
 
+  /**
+   * Calculate joint compound in gallons from joint footage, coat by coat
+   */
+  calculateMudByJoint(
+    joints: JointFootage,
+    boardArea: number,
+    finishLevel: EstimateOptions['finishLevel'] = 'level4',
+    fastenerFactor = 1
+  ): JointCompoundBreakdown {
+    const coats = DrywallCalculator.FINISH_COATS[finishLevel || 'level4'];
+    const rate = DrywallCalculator.MUD_COVERAGE;
+    const joint = (feet: number, fillRate: number, jointCoats: number) =>
+      jointCoats > 0 ? (feet * (rate.tapeCoat + fillRate * (jointCoats - 1))) / 100 : 0;
+
+    const mud: JointCompoundBreakdown = {
+      tapered: joint(joints.tapered, rate.tapered, coats.joints),
+      butt: joint(joints.butt, rate.butt, coats.joints),
+      insideCorner: joint(joints.insideCorner, rate.insideCorner, coats.angles),
+      wallCeiling: joint(joints.wallCeiling, rate.wallCeiling, coats.angles),
+      fasteners: (boardArea * rate.fasteners * coats.fasteners * fastenerFactor) / 100,
+      skimCoat: (boardArea * rate.skimCoat * coats.skim) / 100,
+      patches: 0,
+      total: 0,
+    };
+
+    mud.total =
+      mud.tapered + mud.butt + mud.insideCorner + mud.wallCeiling + mud.fasteners + mud.skimCoat;
+    return mud;
+  }
+
   /**
    * Calculate tape needed
    */
   calculateTape(sheets: number, tapeType: 'paper' | 'mesh' = 'paper'): number {
-    const linearFeet = sheets * DrywallCalculator.COVERAGE.tape_per_sheet;
+    return this.calculateTapeRolls(sheets * DrywallCalculator.COVERAGE.tape_per_sheet, tapeType);
+  }
+
+  /**
+   * Calculate tape rolls for a known length of joint
+   */
+  calculateTapeRolls(linearFeet: number, tapeType: 'paper' | 'mesh' = 'paper'): number {
     const rolls = Math.ceil(linearFeet / DrywallCalculator.COVERAGE.tape_per_roll);
 
     // Mesh tape typically requires less
@@ -212,32 +1779,176 @@ export class DrywallCalculator {
   }
 
   /**
-   * Calculate corner bead needed
+   * Count vertical outside corners, from the wall graph or else the room outline
    */
-  calculateCornerBead(rooms: Room[], cornerType: 'metal' | 'bullnose' = 'metal'): number {
-    let totalCorners = 0;
-    let totalHeight = 0;
+  countOutsideCorners(room: Room): number {
+    if (room.outsideCorners !== undefined) return room.outsideCorners;
+    if (room.points && room.points.length >= 3) {
+      return Utils.geometry
+        .polygonVertexTypes(room.points)
+        .filter((type: string) => type === 'reflex').length;
+    }
+    return 0;
+  }
+
+  /**
+   * Openings wrapped in drywall returns, with their size and arch rise.
+   * Arched heads are wrapped unless the opening says otherwise.
+   */
+  getWrappedOpenings(
+    room: Room,
+    openingReturns: EstimateOptions['openingReturns'] = 'none'
+  ): Array<{ sill: boolean; width: number; height: number; rise: number }> {
+    const door = DrywallCalculator.STANDARD_DOOR_SIZE;
+    const window = DrywallCalculator.STANDARD_WINDOW;
+    const doorDetails: DoorDetail[] =
+      room.doorDetails || Array.from({ length: room.doors || 0 }, () => ({}));
+    const windowDetails: WindowDetail[] =
+      room.windowDetails || Array.from({ length: room.windows || 0 }, () => ({}));
+    const wrapped = (
+      details: Array<DoorDetail | WindowDetail>,
+      byDefault: boolean,
+      size: { width: number; height: number },
+      sill: boolean
+    ) =>
+      details
+        .filter((d) => d.returns ?? (!!d.arch || byDefault))
+        .map((d) => {
+          const width = d.width || size.width;
+          const height = d.height || size.height;
+          return { sill, width, height, rise: this.getArchRise(width, height, d.arch) };
+        });
+
+    return [
+      ...wrapped(windowDetails, openingReturns !== 'none', window, true),
+      ...wrapped(doorDetails, openingReturns === 'all', door, false),
+    ];
+  }
+
+  /**
+   * Linear feet of straight opening edges wrapped in drywall returns
+   */
+  calculateOpeningReturns(
+    room: Room,
+    openingReturns: EstimateOptions['openingReturns'] = 'none'
+  ): number {
+    // Windows are wrapped on all four sides, doors on the head and both jambs;
+    // jambs stop at the spring line of an arched head
+    return this.getWrappedOpenings(room, openingReturns).reduce(
+      (sum, o) =>
+        sum + 2 * (o.height - o.rise) + (o.sill ? o.width : 0) + (o.rise > 0 ? 0 : o.width),
+      0
+    );
+  }
+
+  /**
+   * Calculate bead footage and sticks: outside corners, soffit and niche edges
+   * and return edges get corner bead, returns get L-bead where the board meets
+   * the frame, and arches get flexible archway bead
+   */
+  calculateBeads(
+    rooms: Room[],
+    cornerType: EstimateOptions['cornerType'] = 'metal',
+    openingReturns: EstimateOptions['openingReturns'] = 'none'
+  ): BeadCount[] {
+    const stick = DrywallCalculator.BEAD_LENGTH;
+    let cornerFeet = 0;
+    let cornerPieces = 0;
+    let returnFeet = 0;
+    let archFeet = 0;
+    let archPieces = 0;
 
     rooms.forEach((room) => {
-      // Standard rooms have 4 vertical corners
-      const corners = room.corners || 4;
-      totalCorners += corners;
-      totalHeight += room.height;
+      const corners = this.countOutsideCorners(room);
+      cornerFeet += corners * room.height;
+      // Full-height corners are run in one piece, so offcuts aren't reused
+      cornerPieces += corners * Math.ceil(room.height / stick);
+      returnFeet += this.calculateOpeningReturns(room, openingReturns);
+      (room.soffits || []).forEach((soffit) => {
+        const box = this.calculateSoffitArea(soffit, room.height);
+        cornerFeet += box.bead;
+        cornerPieces += box.beadPieces;
+      });
+      (room.niches || []).forEach((niche) => {
+        const lined = this.calculateNicheArea(niche);
+        cornerFeet += lined.bead;
+        cornerPieces += Math.ceil(lined.bead / stick);
+      });
+
+      // Each arch is bent from its own length of flexible bead
+      const arches = [
+        ...this.getWrappedOpenings(room, openingReturns).map((o) =>
+          this.getArchLength(o.width, o.height, o.rise)
+        ),
+        ...(room.niches || []).flatMap((niche) =>
+          Array.from({ length: Math.max(0, Math.round(niche.count ?? 1)) }, () =>
+            this.getArchLength(niche.width, niche.height, niche.arch)
+          )
+        ),
+      ].filter((length) => length > 0);
+      archFeet += arches.reduce((sum, length) => sum + length, 0);
+      archPieces += arches.reduce((sum, length) => sum + Math.ceil(length / stick), 0);
     });
 
-    // Calculate linear feet of corner bead
-    const avgHeight = rooms.length > 0 ? totalHeight / rooms.length : 8;
-    const linearFeet = totalCorners * avgHeight;
+    const beads: BeadCount[] = [];
+    if (cornerFeet + returnFeet > 0) {
+      beads.push({
+        type: cornerType || 'metal',
+        feet: cornerFeet + returnFeet,
+        pieces: cornerPieces + Math.ceil(returnFeet / stick),
+      });
+    }
+    if (returnFeet > 0) {
+      beads.push({ type: 'lbead', feet: returnFeet, pieces: Math.ceil(returnFeet / stick) });
+    }
+    if (archFeet > 0) {
+      beads.push({ type: 'arch', feet: archFeet, pieces: archPieces });
+    }
+
+    return beads;
+  }
 
-    // Corner bead typically comes in 10-foot lengths
-    const units = Math.ceil(linearFeet / 10);
+  /**
+   * Calculate corner bead needed
+   */
+  calculateCornerBead(rooms: Room[], cornerType: EstimateOptions['cornerType'] = 'metal'): number {
+    return this.calculateBeads(rooms, cornerType).reduce((sum, bead) => sum + bead.pieces, 0);
+  }
 
-    // Bullnose corners typically require 1.2x more
-    if (cornerType === 'bullnose') {
-      return Math.ceil(units * 1.2);
-    }
+  /**
+   * Price per 10' stick for a bead type, falling back to the corner bead price
+   */
+  getBeadPrice(pricing: Pricing, type: BeadType): number {
+    return pricing.beadPrices?.[type] ?? pricing.cornerBeadPer10ft;
+  }
 
-    return units;
+  /**
+   * Price per unit of an assembly accessory, falling back to the library price
+   */
+  getAccessoryPrice(pricing: Pricing, id: string): number {
+    return pricing.accessoryPrices?.[id] ?? DrywallCalculator.ACCESSORIES[id]?.price ?? 0;
+  }
+
+  /**
+   * Total assembly sundries, rounded up to whole units
+   */
+  calculateAccessories(parts: Array<Record<string, number> | undefined>): AccessoryCount[] {
+    const raw: Record<string, number> = {};
+    parts.forEach((part) =>
+      Object.entries(part || {}).forEach(([id, quantity]) => {
+        raw[id] = (raw[id] || 0) + quantity;
+      })
+    );
+
+    return Object.entries(raw).map(([id, quantity]) => {
+      const accessory = DrywallCalculator.ACCESSORIES[id];
+      return {
+        id,
+        name: accessory?.name || id,
+        unit: accessory?.unit || 'each',
+        quantity: Math.ceil(quantity - 1e-9),
+      };
+    });
   }
 
   /**
@@ -260,29 +1971,71 @@ export class DrywallCalculator {
    * Calculate material costs
    */
   calculateMaterialCosts(materials: Materials, pricing: Pricing): MaterialCosts {
+    const drywallByGroup: Record<string, number> = {};
+    materials.sheetGroups.forEach((group) => {
+      drywallByGroup[group.key] = group.sizes
+        ? group.sizes.reduce(
+            (sum, size) => sum + size.count * this.getSheetPrice(pricing, group.drywallType, size),
+            0
+          )
+        : group.sheets * this.getSheetPrice(pricing, group.drywallType);
+    });
+
+    const cornerBeadByType: MaterialCosts['cornerBeadByType'] = {};
+    materials.beads.forEach((bead) => {
+      cornerBeadByType[bead.type] = bead.pieces * this.getBeadPrice(pricing, bead.type);
+    });
+
+    const accessoriesById: Record<string, number> = {};
+    materials.accessories.forEach((accessory) => {
+      accessoriesById[accessory.id] =
+        accessory.quantity * this.getAccessoryPrice(pricing, accessory.id);
+    });
+
     const costs: MaterialCosts = {
-      drywall: materials.sheets * pricing.drywallPerSheet,
+      drywall: Object.values(drywallByGroup).reduce((sum, cost) => sum + cost, 0),
+      drywallByGroup,
       mud: materials.mud * pricing.mudPerBucket,
       tape: materials.tape * pricing.tapePerRoll,
       screws: materials.screws * pricing.screwsPerPound,
-      cornerBead: materials.cornerBead * pricing.cornerBeadPer10ft,
+      cornerBead: Object.values(cornerBeadByType).reduce((sum, cost) => sum + cost, 0),
+      cornerBeadByType,
+      accessories: Object.values(accessoriesById).reduce((sum, cost) => sum + cost, 0),
+      accessoriesById,
+      disposal:
+        materials.debris * (pricing.disposalPerYard ?? DrywallCalculator.REPAIR.disposalPerYard),
       primer: materials.primer * pricing.primerPerGallon,
       texture: materials.texture * pricing.texturePerBag,
       total: 0,
     };
 
-    costs.total = Object.values(costs).reduce((sum, cost) => sum + cost, 0) - costs.total;
+    costs.total =
+      costs.drywall +
+      costs.mud +
+      costs.tape +
+      costs.screws +
+      costs.cornerBead +
+      costs.accessories +
+      costs.disposal +
+      costs.primer +
+      costs.texture;
     return costs;
   }
 
   /**
    * Calculate labor costs
    */
-  calculateLaborCosts(totalArea: number, laborRates: LaborRates): LaborCosts {
+  calculateLaborCosts(
+    totalArea: number,
+    laborRates: LaborRates,
+    finishLevel: EstimateOptions['finishLevel'] = 'level4'
+  ): LaborCosts {
+    const share = DrywallCalculator.FINISH_LABOR[finishLevel || 'level4'];
     const costs: LaborCosts = {
       hanging: totalArea * laborRates.hanging,
-      taping: totalArea * laborRates.taping,
-      finishing: totalArea * laborRates.finishing,
+      taping: totalArea * laborRates.taping * share.taping,
+      finishing: totalArea * laborRates.finishing * share.finishing,
+      demolition: 0,
       total: 0,
     };
 
@@ -290,6 +2043,204 @@ export class DrywallCalculator {
     return costs;
   }
 
+  /**
+   * The part of a room a repair scope covers: the whole room, or one wall
+   * without the ceiling and with only the openings on it
+   */
+  getRepairSurfaces(room: Room, scope: RepairScope): Room {
+    if (scope.edge === undefined) {
+      const includeCeiling = scope.ceiling ?? room.includeCeiling;
+      // Soffits come and go with the ceiling they hang from
+      return { ...room, includeCeiling, soffits: includeCeiling ? room.soffits : undefined };
+    }
+
+    const onEdge = (detail: { edge?: number }) => detail.edge === scope.edge;
+    const own = room.wallFaces?.find((face) => face.edge === scope.edge);
+    return {
+      ...room,
+      includeCeiling: false,
+      soffits: undefined,
+      niches: undefined, // not placed on a wall, so they go with whole-room work
+      outsideCorners: 0,
+      wallFaces: this.getWallRuns(room).map((_, edge) =>
+        edge === scope.edge
+          ? { ...own, edge, status: 'hang' as const }
+          : { edge, status: 'skip' as const }
+      ),
+      doors: 0,
+      windows: 0,
+      doorDetails: (room.doorDetails || []).filter(onEdge),
+      windowDetails: (room.windowDetails || []).filter(onEdge),
+    };
+  }
+
+  /**
+   * Board cut away below a water line: the covered walls up to the cut
+   * height, with openings clipped to it
+   */
+  getWaterCut(room: Room, scope: RepairScope): Room | null {
+    const cutHeight = Math.min(scope.cutHeight ?? DrywallCalculator.REPAIR.cutHeight, room.height);
+    if (!(cutHeight > 0)) return null;
+
+    const walls = this.getRepairSurfaces(room, { ...scope, ceiling: false });
+    const door = DrywallCalculator.STANDARD_DOOR_SIZE;
+    const window = DrywallCalculator.STANDARD_WINDOW;
+    const doorDetails: DoorDetail[] =
+      walls.doorDetails || Array.from({ length: walls.doors || 0 }, () => ({}));
+    const windowDetails: WindowDetail[] =
+      walls.windowDetails || Array.from({ length: walls.windows || 0 }, () => ({}));
+
+    return {
+      ...walls,
+      height: cutHeight,
+      ceilingType: 'standard',
+      ceiling: undefined,
+      niches: undefined,
+      doors: 0,
+      windows: 0,
+      // Openings the cut passes through are taken as square below it
+      doorDetails: doorDetails.map((d) => {
+        const height = d.height || door.height;
+        return {
+          ...d,
+          width: d.width || door.width,
+          height: Math.min(height, cutHeight),
+          arch: height > cutHeight ? undefined : d.arch,
+        };
+      }),
+      windowDetails: windowDetails.flatMap((w) => {
+        const sill = w.sillHeight ?? DrywallCalculator.STANDARD_SILL_HEIGHT;
+        const height = w.height || window.height;
+        const top = Math.min(cutHeight, sill + height);
+        return top > sill
+          ? [
+              {
+                ...w,
+                width: w.width || window.width,
+                height: top - sill,
+                arch: sill + height > cutHeight ? undefined : w.arch,
+              },
+            ]
+          : [];
+      }),
+    };
+  }
+
+  /**
+   * Remodel work in a room: the surfaces torn out or cut away, to hang and
+   * finish as new, plus the demolition, skim coats and patches around them
+   */
+  getRepairWork(room: Room): RepairWork {
+    const work: RepairWork = {
+      rebuild: [],
+      demolition: 0,
+      skim: 0,
+      patches: { small: 0, medium: 0, large: 0 },
+    };
+    const existing: Room = { ...room, repairs: undefined };
+    const boardArea = (part: Room) =>
+      this.calculateWallArea(part).net +
+      (part.includeCeiling ? this.calculateCeilingArea(part) : 0) +
+      (part.soffits || []).reduce(
+        (sum, soffit) => sum + this.calculateSoffitArea(soffit, part.height).total,
+        0
+      ) +
+      (part.niches || []).reduce((sum, niche) => sum + this.calculateNicheArea(niche).total, 0);
+
+    (room.repairs || []).forEach((scope) => {
+      switch (scope.kind) {
+        case 'tearout': {
+          const torn = this.getRepairSurfaces(existing, scope);
+          work.rebuild.push({ room: torn });
+          work.demolition += boardArea(torn);
+          break;
+        }
+        case 'skim':
+          work.skim += boardArea(this.getRepairSurfaces(existing, scope));
+          break;
+        case 'water': {
+          const cut = this.getWaterCut(existing, scope);
+          if (!cut) break;
+          // New board meets the old along the cut line
+          const seam = this.getWallFaces(cut).reduce(
+            (sum, face) => sum + (face.status === 'hang' ? face.run : 0),
+            0
+          );
+          work.rebuild.push({ room: cut, seam });
+          work.demolition += boardArea(cut);
+          break;
+        }
+        case 'patch':
+          (['small', 'medium', 'large'] as const).forEach((size) => {
+            work.patches[size] += Math.max(0, Math.round(scope[size] || 0));
+          });
+          break;
+      }
+    });
+
+    return work;
+  }
+
+  /**
+   * Board, tape and fill the patches in a repair take
+   */
+  calculatePatches(work: RepairWork): { board: number; tape: number; mud: number } {
+    return (Object.keys(work.patches) as PatchSize[]).reduce(
+      (sum, size) => {
+        const patch = DrywallCalculator.PATCH_SIZES[size];
+        const count = work.patches[size];
+        return {
+          board: sum.board + count * patch.board,
+          tape: sum.tape + count * patch.tape,
+          mud: sum.mud + count * patch.mud,
+        };
+      },
+      { board: 0, tape: 0, mud: 0 }
+    );
+  }
+
+  /**
+   * Cubic yards of debris from torn-out board and patch cut-outs
+   */
+  calculateDebris(work: RepairWork): number {
+    return (
+      (work.demolition + this.calculatePatches(work).board) * DrywallCalculator.REPAIR.debrisPerSqFt
+    );
+  }
+
+  /**
+   * Labor for demolition, skim coats and patches
+   */
+  calculateRepairLabor(work: RepairWork, laborRates: LaborRates): LaborCosts {
+    const { REPAIR, PATCH_SIZES } = DrywallCalculator;
+    const patchArea = (Object.keys(work.patches) as PatchSize[]).reduce(
+      (sum, size) => sum + work.patches[size] * PATCH_SIZES[size].laborArea,
+      0
+    );
+    const costs = this.calculateLaborCosts(patchArea, laborRates);
+    costs.finishing += work.skim * laborRates.finishing * REPAIR.skimLabor;
+    costs.demolition = work.demolition * (laborRates.demolition ?? REPAIR.demolitionRate);
+    costs.total = costs.hanging + costs.taping + costs.finishing + costs.demolition;
+    return costs;
+  }
+
+  /**
+   * Hours for demolition, skim coats and patches
+   */
+  estimateRepairTime(work: RepairWork): InstallationTime {
+    const { REPAIR, PATCH_SIZES } = DrywallCalculator;
+    const time = this.estimateInstallationTime(0, 'level0', false);
+    time.demolition = work.demolition / REPAIR.demolitionPerHour;
+    time.skimCoat = work.skim / REPAIR.skimPerHour;
+    time.patching = (Object.keys(work.patches) as PatchSize[]).reduce(
+      (sum, size) => sum + work.patches[size] * PATCH_SIZES[size].hours,
+      0
+    );
+    time.total = time.demolition + time.skimCoat + time.patching;
+    time.days = Math.ceil(time.total / 8);
+    return time;
+  }
+
   /**
    * Comprehensive estimate for entire project
    */
@@ -301,11 +2252,16 @@ export class DrywallCalculator {
   ): ProjectEstimate {
     const {
       wasteFactor = 0.1,
+      optimizeLayout = false,
+      sheetSizes = SheetLayoutEngine.DEFAULT_SHEET_SIZES,
+      mixedLengths = false,
+      sheetLengths = DrywallCalculator.STOCK_LENGTHS,
       finishLevel = 'level4',
       includePrimer = true,
       includeTexture = false,
       tapeType = 'paper',
       cornerType = 'metal',
+      openingReturns = 'none',
       markup = 0.2,
     } = options;
 
@@ -313,71 +2269,436 @@ export class DrywallCalculator {
     let totalWallArea = 0;
     let totalCeilingArea = 0;
     let totalStairArea = 0;
+    let totalSoffitArea = 0;
+    let totalDemolition = 0;
     const rooms: ProjectEstimate['rooms'] = [];
+    const boardAreas: BoardArea[] = [];
+    const finishAreas: FinishArea[] = [];
+    const stacked = this.mergeOpenToBelow(project);
+    const beadRooms: Room[] = []; // what is hung new, for corner bead
 
     // Calculate areas for each floor
-    project.floors.forEach((floor) => {
+    stacked.floors.forEach((floor, floorIndex) => {
       floor.rooms.forEach((room) => {
-        const wallArea = this.calculateWallArea(room);
-        const ceilingArea = room.includeCeiling ? this.calculateCeilingArea(room) : 0;
-
-        totalWallArea += wallArea.net;
-        totalCeilingArea += ceilingArea;
+        const label =
+          project.floors.length > 1 ? `${room.name} (floor ${floorIndex + 1})` : room.name;
+        const roomIndex = rooms.length;
+        const roomFinishLevel = room.finishLevel || finishLevel;
+        const roomPrimer = room.includePrimer ?? includePrimer;
+        const roomTexture = room.includeTexture ?? includeTexture;
+        const mixes: SheetMix[] = [];
+        let roomWallArea = 0;
+        let roomCeilingArea = 0;
+        let roomSoffitArea = 0;
+
+        // Remodels only hang and finish what is torn out or cut away
+        const work = room.repairs?.length ? this.getRepairWork(room) : undefined;
+        const builds = work ? work.rebuild : [{ room, seam: undefined }];
+        builds.forEach(({ room: build, seam }, buildIndex) => {
+          const buildLabel = builds.length > 1 ? `${label} (${buildIndex + 1})` : label;
+          beadRooms.push(build);
+          // Faces built to an assembly take its board, fastening and sundries
+          this.splitByAssembly(build).forEach(({ room: part, assembly }, partIndex) => {
+            const wallArea = this.calculateWallArea(part);
+            const ceilingArea = part.includeCeiling ? this.calculateCeilingArea(part) : 0;
+            const partArea = wallArea.net + ceilingArea;
+            const partLabel = assembly ? `${buildLabel} ${assembly.name}` : buildLabel;
+            const surfaces = optimizeLayout
+              ? this.getRoomSurfaces(part, 'horizontal', partLabel)
+              : [];
+
+            // The cut-list optimizer already picks lengths, so only mix without it
+            const sheetMix =
+              mixedLengths && !optimizeLayout
+                ? this.calculateSheetMix(part, sheetLengths)
+                : undefined;
+            if (sheetMix) mixes.push(sheetMix);
+
+            roomWallArea += wallArea.net;
+            roomCeilingArea += ceilingArea;
+            // Gable ends aren't rectangles the layout or mix can plan, so they take the waste factor
+            const gable = Math.max(0, wallArea.gable);
+            boardAreas.push({
+              drywallType: part.drywallType,
+              thickness: part.drywallThickness,
+              area: partArea - gable,
+              surfaces: optimizeLayout ? surfaces : undefined,
+              mix: sheetMix,
+            });
+            if (gable > 0) {
+              boardAreas.push({
+                drywallType: part.drywallType,
+                thickness: part.drywallThickness,
+                area: gable,
+              });
+            }
+            // Layers behind the face layer are board and screws, but no finishing
+            if (wallArea.baseLayers > 0) {
+              boardAreas.push({
+                drywallType: part.drywallType,
+                thickness: part.drywallThickness,
+                area: wallArea.baseLayers,
+              });
+            }
+
+            const accessories: Record<string, number> = {};
+            assembly?.accessories?.forEach((accessory) => {
+              accessories[accessory.id] = wallArea.net * accessory.perSqFt;
+            });
+
+            // Each room is finished to its own spec; project options fill the gaps
+            finishAreas.push({
+              floor: floorIndex,
+              room: roomIndex,
+              groupKey: this.getSheetGroupKey(part.drywallType, part.drywallThickness),
+              // Beads follow the whole outline, so they go with the room itself
+              beadFeet:
+                partIndex === 0
+                  ? this.calculateBeads([build], cornerType, openingReturns).reduce(
+                      (sum, bead) => sum + bead.feet,
+                      0
+                    )
+                  : 0,
+              area: partArea,
+              baseArea: wallArea.baseLayers,
+              hangFactor: assembly?.laborFactor,
+              fastenerFactor: assembly
+                ? DrywallCalculator.FASTENER_SPACING / assembly.fastenerSpacing
+                : undefined,
+              accessories,
+              finishLevel: roomFinishLevel,
+              includePrimer: roomPrimer,
+              includeTexture: roomTexture,
+              // With the optimizer, seams are read off the cut list once it is laid out
+              joints: [
+                optimizeLayout
+                  ? this.calculateAngles(part)
+                  : sheetMix
+                    ? sheetMix.joints
+                    : this.calculateJointFootage(part),
+                { butt: partIndex === 0 && seam ? seam : 0 },
+              ],
+              surfaceIds: optimizeLayout
+                ? new Set(surfaces.map((surface) => surface.id))
+                : undefined,
+            });
+
+            // Soffits are ripped strips the layout can't plan; their bead goes with the room's
+            (part.soffits || []).forEach((soffit) => {
+              const box = this.calculateSoffitArea(soffit, part.height);
+              if (box.total <= 0) return;
+              roomSoffitArea += box.total;
+              boardAreas.push({
+                drywallType: part.drywallType,
+                thickness: part.drywallThickness,
+                area: box.total,
+              });
+              finishAreas.push({
+                floor: floorIndex,
+                room: roomIndex,
+                groupKey: this.getSheetGroupKey(part.drywallType, part.drywallThickness),
+                beadFeet: 0,
+                area: box.total,
+                laborFactor: DrywallCalculator.SOFFITS[soffit.kind || 'soffit'].laborFactor,
+                finishLevel: roomFinishLevel,
+                includePrimer: roomPrimer,
+                includeTexture: roomTexture,
+                joints: [box.joints],
+              });
+            });
+
+            // Niche linings count with the walls; arched tops are bent in flexible board
+            (part.niches || []).forEach((niche) => {
+              const lined = this.calculateNicheArea(niche);
+              roomWallArea += lined.total;
+              [
+                {
+                  drywallType: part.drywallType,
+                  thickness: part.drywallThickness,
+                  area: lined.lining,
+                },
+                {
+                  drywallType: 'flexible' as const,
+                  thickness: DrywallCalculator.CURVED_WALL.thickness,
+                  area: lined.curved,
+                },
+              ].forEach((board, i) => {
+                if (board.area <= 0) return;
+                boardAreas.push(board);
+                finishAreas.push({
+                  floor: floorIndex,
+                  room: roomIndex,
+                  groupKey: this.getSheetGroupKey(board.drywallType, board.thickness),
+                  beadFeet: 0,
+                  area: board.area,
+                  laborFactor: DrywallCalculator.NICHE.laborFactor,
+                  finishLevel: roomFinishLevel,
+                  includePrimer: roomPrimer,
+                  includeTexture: roomTexture,
+                  joints: [{ insideCorner: i === 0 ? lined.insideCorner : 0 }],
+                });
+              });
+            });
+          });
+        });
 
+        if (work) {
+          const patches = this.calculatePatches(work);
+          if (patches.board > 0) {
+            boardAreas.push({
+              drywallType: room.drywallType,
+              thickness: room.drywallThickness,
+              area: patches.board,
+            });
+          }
+          totalDemolition += work.demolition;
+          finishAreas.push({
+            floor: floorIndex,
+            room: roomIndex,
+            groupKey: this.getSheetGroupKey(room.drywallType, room.drywallThickness),
+            beadFeet: 0,
+            area: 0,
+            repair: work,
+            finishLevel: roomFinishLevel,
+            includePrimer: roomPrimer,
+            includeTexture: roomTexture,
+            joints: [{ butt: patches.tape }],
+          });
+        }
+
+        totalWallArea += roomWallArea;
+        totalCeilingArea += roomCeilingArea;
+        totalSoffitArea += roomSoffitArea;
         rooms.push({
           name: room.name,
-          wallArea: wallArea.net,
-          ceilingArea: ceilingArea,
+          wallArea: roomWallArea,
+          ceilingArea: roomCeilingArea,
+          soffitArea: roomSoffitArea,
           type: room.type,
+          finishLevel: roomFinishLevel,
+          includePrimer: roomPrimer,
+          includeTexture: roomTexture,
+          ...(mixes.length > 0 && { sheetMix: mergeSheetMixes(mixes) }),
+          cost: this.sumCostBreakdowns([]), // allocated once project costs are known
         });
       });
 
-      // Add stairwells
+      // Add stairwells, each once however many floors it's drawn on
       if (floor.stairs) {
         floor.stairs.forEach((stair) => {
-          const stairArea = this.calculateStairwellArea(stair);
+          if (this.isStairDrawnBelow(project, floorIndex, stair)) return;
+          const stairArea = this.calculateFloorStairwell(project, floorIndex, stair);
           totalStairArea += stairArea.total;
+          boardAreas.push({ area: stairArea.total });
+          finishAreas.push({
+            floor: floorIndex,
+            groupKey: this.getSheetGroupKey(),
+            beadFeet: 0,
+            area: stairArea.total,
+            finishLevel,
+            includePrimer,
+            includeTexture,
+            // No seam geometry for stairs, so keep the per-sheet allowance
+            joints: [
+              {
+                tapered:
+                  this.calculateSheets(stairArea.total, wasteFactor) *
+                  DrywallCalculator.COVERAGE.tape_per_sheet,
+              },
+            ],
+          });
         });
       }
     });
 
-    const totalArea = totalWallArea + totalCeilingArea + totalStairArea;
+    const totalArea = totalWallArea + totalCeilingArea + totalStairArea + totalSoffitArea;
 
     // Calculate materials
-    const sheets = this.calculateSheets(totalArea, wasteFactor);
-    const mud = this.calculateJointCompound(sheets, finishLevel);
-    const tape = this.calculateTape(sheets, tapeType);
-    const screws = this.calculateScrews(sheets);
-    const cornerBead = this.calculateCornerBead(
-      project.floors.flatMap((f) => f.rooms),
-      cornerType
+    const sheetGroups = this.calculateSheetGroups(
+      boardAreas,
+      wasteFactor,
+      optimizeLayout ? sheetSizes : undefined
+    );
+    const sheets = sheetGroups.reduce((sum, group) => sum + group.sheets, 0);
+    const cuts = sheetGroups.flatMap((group) => group.layout?.cuts || []);
+    finishAreas.forEach((finish) => {
+      const ids = finish.surfaceIds;
+      if (ids)
+        finish.joints.push(this.calculateSeams({ cuts: cuts.filter((c) => ids.has(c.surface)) }));
+    });
+
+    // Finish each room to its own level, then roll up
+    const roomJoints = finishAreas.map((finish) => sumJoints(finish.joints));
+    const joints = sumJoints(roomJoints);
+    const roomMud = finishAreas.map((finish, i) => {
+      const mud = this.calculateMudByJoint(
+        roomJoints[i],
+        finish.area,
+        finish.finishLevel,
+        finish.fastenerFactor
+      );
+      // Skim coats over existing board and patch fill
+      if (finish.repair) {
+        const skim = (finish.repair.skim * DrywallCalculator.MUD_COVERAGE.skimCoat) / 100;
+        const patches = this.calculatePatches(finish.repair).mud;
+        mud.skimCoat += skim;
+        mud.patches += patches;
+        mud.total += skim + patches;
+      }
+      return mud;
+    });
+    const mudGallons = sumByKey(roomMud, {
+      tapered: 0,
+      butt: 0,
+      insideCorner: 0,
+      wallCeiling: 0,
+      fasteners: 0,
+      skimCoat: 0,
+      patches: 0,
+      total: 0,
+    });
+    const mud = Math.ceil(mudGallons.total / DrywallCalculator.MUD_COVERAGE.bucket);
+    const tape = this.calculateTapeRolls(joints.total, tapeType);
+    // Tighter assembly spacing counts as extra sheets' worth of screws
+    const sheetArea = DrywallCalculator.STANDARD_SHEET_SIZE.area;
+    const screws = this.calculateScrews(
+      finishAreas.reduce(
+        (sum, finish) =>
+          sum +
+          ((finish.area + (finish.baseArea || 0)) / sheetArea) * ((finish.fastenerFactor ?? 1) - 1),
+        sheets
+      )
+    );
+    const accessories = this.calculateAccessories(finishAreas.map((finish) => finish.accessories));
+    const beads = this.calculateBeads(beadRooms, cornerType, openingReturns);
+    const cornerBead = beads.reduce((sum, bead) => sum + bead.pieces, 0);
+    // Skimmed and patched walls are primed and textured like new board
+    const coatedArea = finishAreas.map(
+      (f) => f.area + (f.repair ? f.repair.skim + this.calculatePatches(f.repair).board : 0)
+    );
+    const primerArea = finishAreas.reduce(
+      (sum, f, i) => sum + (f.includePrimer ? coatedArea[i] : 0),
+      0
+    );
+    const textureArea = finishAreas.reduce(
+      (sum, f, i) => sum + (f.includeTexture ? coatedArea[i] : 0),
+      0
     );
-    const primer = includePrimer ? this.calculatePrimer(totalArea) : 0;
-    const texture = includeTexture ? this.calculateTexture(totalArea) : 0;
+    const roomDebris = finishAreas.map((f) => (f.repair ? this.calculateDebris(f.repair) : 0));
+    const debris = Math.ceil(roomDebris.reduce((sum, yards) => sum + yards, 0) - 1e-9);
+    const primer = this.calculatePrimer(primerArea);
+    const texture = this.calculateTexture(textureArea);
 
     const materials: Materials = {
       sheets,
+      sheetGroups,
       mud,
       tape,
+      joints,
+      mudGallons,
       screws,
       cornerBead,
+      beads,
+      accessories,
+      debris,
       primer,
       texture,
     };
 
     // Calculate costs
     const materialCosts = this.calculateMaterialCosts(materials, pricing);
-    const laborCosts = this.calculateLaborCosts(totalArea, laborRates);
-
-    const subtotal = materialCosts.total + laborCosts.total;
-    const markupAmount = subtotal * markup;
-    const total = subtotal + markupAmount;
+    // Small-piece work takes longer at every stage
+    const laborArea = finishAreas.map((finish) => finish.area * (finish.laborFactor ?? 1));
+    // Under-layers and slower assemblies add hanging only
+    const hangOnly = finishAreas.map((finish) => {
+      const hung = finish.area + (finish.baseArea || 0);
+      return (finish.baseArea || 0) + hung * ((finish.hangFactor ?? 1) - 1);
+    });
+    const noLabor = { hanging: 0, taping: 0, finishing: 0, demolition: 0, total: 0 };
+    const roomLabor = finishAreas.map((finish, i) =>
+      sumByKey(
+        [
+          this.calculateLaborCosts(laborArea[i], laborRates, finish.finishLevel),
+          this.calculateLaborCosts(hangOnly[i], laborRates, 'level0'),
+          finish.repair ? this.calculateRepairLabor(finish.repair, laborRates) : noLabor,
+        ],
+        noLabor
+      )
+    );
+    const laborCosts = sumByKey(roomLabor, noLabor);
+    const installationTime = sumByKey(
+      finishAreas.flatMap((finish, i) => [
+        this.estimateInstallationTime(laborArea[i], finish.finishLevel, finish.includePrimer),
+        this.estimateInstallationTime(hangOnly[i], 'level0', false),
+        ...(finish.repair ? [this.estimateRepairTime(finish.repair)] : []),
+      ]),
+      {
+        hanging: 0,
+        taping: 0,
+        firstCoat: 0,
+        secondCoat: 0,
+        skimCoat: 0,
+        sanding: 0,
+        priming: 0,
+        demolition: 0,
+        patching: 0,
+        total: 0,
+        days: 0,
+      }
+    );
+    installationTime.days = Math.ceil(installationTime.total / 8);
+
+    // Work in whole cents so rooms and floors reconcile with the totals exactly
+    const materialCents = Math.round(materialCosts.total * 100);
+    const laborCents = Math.round(laborCosts.total * 100);
+    const markupCents = Math.round((materialCents + laborCents) * markup);
+    materialCosts.total = materialCents / 100;
+    laborCosts.total = laborCents / 100;
+    const subtotal = (materialCents + laborCents) / 100;
+    const markupAmount = markupCents / 100;
+    const total = (materialCents + laborCents + markupCents) / 100;
+
+    const breakdowns = this.allocateCosts(
+      finishAreas.map((finish, i) => ({
+        groupKey: finish.groupKey,
+        area:
+          finish.area +
+          (finish.baseArea || 0) +
+          (finish.repair ? this.calculatePatches(finish.repair).board : 0),
+        debris: roomDebris[i],
+        accessories: finish.accessories || {},
+        mudGallons: roomMud[i].total,
+        jointFeet: roomJoints[i].total,
+        beadFeet: finish.beadFeet,
+        primedArea: finish.includePrimer ? coatedArea[i] : 0,
+        texturedArea: finish.includeTexture ? coatedArea[i] : 0,
+        labor: roomLabor[i].total,
+      })),
+      materials,
+      materialCosts,
+      { materials: materialCents, labor: laborCents, markup: markupCents }
+    );
+    // A room split by assembly has one area per part
+    finishAreas.forEach((finish, i) => {
+      if (finish.room !== undefined) {
+        rooms[finish.room].cost = this.sumCostBreakdowns([rooms[finish.room].cost, breakdowns[i]]);
+      }
+    });
+    const floors = project.floors.map((floor, floorIndex) => ({
+      name: floor.name || `Floor ${floorIndex + 1}`,
+      rooms: floor.rooms.map((room) => room.name),
+      cost: this.sumCostBreakdowns(
+        breakdowns.filter((_, i) => finishAreas[i].floor === floorIndex)
+      ),
+    }));
 
     return {
       areas: {
         wall: totalWallArea,
         ceiling: totalCeilingArea,
         stairs: totalStairArea,
+        soffits: totalSoffitArea,
+        demolition: totalDemolition,
         total: totalArea,
       },
       materials,
@@ -389,41 +2710,167 @@ export class DrywallCalculator {
         total,
       },
       rooms,
+      floors,
+      installationTime,
       options: {
         wasteFactor,
+        optimizeLayout,
+        sheetSizes,
+        mixedLengths,
+        sheetLengths,
         finishLevel,
         includePrimer,
         includeTexture,
         tapeType,
         cornerType,
+        openingReturns,
         markup,
       },
+      pricing,
+      laborRates,
     };
   }
 
   /**
-   * Calculate optimal sheet layout for a room
+   * Split project materials and costs across rooms and stairs by what each one
+   * drives: board area per sheet group, joint footage, bead and primed area
    */
-  calculateOptimalLayout(room: Room): OptimalLayout {
-    const { width, height } = room;
-    const sheetWidth = DrywallCalculator.STANDARD_SHEET_SIZE.width;
-    const sheetHeight = DrywallCalculator.STANDARD_SHEET_SIZE.height;
+  allocateCosts(
+    units: CostUnit[],
+    materials: Materials,
+    materialCosts: MaterialCosts,
+    cents: { materials: number; labor: number; markup: number }
+  ): CostBreakdown[] {
+    const share = (part: number, whole: number) => (whole > 0 ? part / whole : 0);
+    const total = (pick: (unit: CostUnit) => number) =>
+      units.reduce((sum, unit) => sum + pick(unit), 0);
+
+    const totals = {
+      area: total((u) => u.area),
+      mudGallons: total((u) => u.mudGallons),
+      jointFeet: total((u) => u.jointFeet),
+      beadFeet: total((u) => u.beadFeet),
+      primedArea: total((u) => u.primedArea),
+      texturedArea: total((u) => u.texturedArea),
+      debris: total((u) => u.debris),
+    };
+    const groups: Record<string, SheetGroup> = {};
+    materials.sheetGroups.forEach((group) => {
+      groups[group.key] = group;
+    });
 
-    // Calculate vertical vs horizontal orientation
-    const sheetsVertical =
-      Math.ceil(width / sheetWidth) * Math.ceil(height / sheetHeight);
-    const sheetsHorizontal =
-      Math.ceil(width / sheetHeight) * Math.ceil(height / sheetWidth);
+    const shares = units.map((unit) => {
+      const group = groups[unit.groupKey];
+      const boardShare = group ? share(unit.area, group.area) : 0;
+      const mudShare = share(unit.mudGallons, totals.mudGallons);
+      const tapeShare = share(unit.jointFeet, totals.jointFeet);
+      const screwShare = share(unit.area, totals.area);
+      const beadShare = share(unit.beadFeet, totals.beadFeet);
+      const primerShare = share(unit.primedArea, totals.primedArea);
+      const textureShare = share(unit.texturedArea, totals.texturedArea);
+      const debrisShare = share(unit.debris, totals.debris);
+      const accessoryCost = materials.accessories.reduce((sum, accessory) => {
+        const raw = total((u) => u.accessories[accessory.id] || 0);
+        return (
+          sum +
+          (materialCosts.accessoriesById[accessory.id] || 0) *
+            share(unit.accessories[accessory.id] || 0, raw)
+        );
+      }, 0);
+
+      const quantities: MaterialShare = {
+        sheets: group ? group.sheets * boardShare : 0,
+        mud: materials.mud * mudShare,
+        tape: materials.tape * tapeShare,
+        screws: materials.screws * screwShare,
+        cornerBead: materials.cornerBead * beadShare,
+        primer: materials.primer * primerShare,
+        texture: materials.texture * textureShare,
+      };
+      const cost =
+        (group ? (materialCosts.drywallByGroup[group.key] || 0) * boardShare : 0) +
+        materialCosts.mud * mudShare +
+        materialCosts.tape * tapeShare +
+        materialCosts.screws * screwShare +
+        materialCosts.cornerBead * beadShare +
+        accessoryCost +
+        materialCosts.disposal * debrisShare +
+        materialCosts.primer * primerShare +
+        materialCosts.texture * textureShare;
+
+      return { quantities, cost };
+    });
+
+    const materialCents = allocateCents(
+      cents.materials,
+      shares.map((s) => s.cost)
+    );
+    const laborCents = allocateCents(
+      cents.labor,
+      units.map((unit) => unit.labor)
+    );
+    const markupCents = allocateCents(
+      cents.markup,
+      units.map((_, i) => materialCents[i] + laborCents[i])
+    );
 
+    return units.map((_, i) => ({
+      materials: shares[i].quantities,
+      materialCost: materialCents[i] / 100,
+      laborCost: laborCents[i] / 100,
+      markup: markupCents[i] / 100,
+      total: (materialCents[i] + laborCents[i] + markupCents[i]) / 100,
+    }));
+  }
+
+  /**
+   * Add up cost breakdowns, e.g. the rooms and stairs of a floor
+   */
+  sumCostBreakdowns(breakdowns: CostBreakdown[]): CostBreakdown {
+    const cents = (pick: (b: CostBreakdown) => number) =>
+      breakdowns.reduce((sum, b) => sum + Math.round(pick(b) * 100), 0);
+    const materialCents = cents((b) => b.materialCost);
+    const laborCents = cents((b) => b.laborCost);
+    const markupCents = cents((b) => b.markup);
+
+    return {
+      materials: sumByKey(
+        breakdowns.map((b) => b.materials),
+        { sheets: 0, mud: 0, tape: 0, screws: 0, cornerBead: 0, primer: 0, texture: 0 }
+      ),
+      materialCost: materialCents / 100,
+      laborCost: laborCents / 100,
+      markup: markupCents / 100,
+      total: (materialCents + laborCents + markupCents) / 100,
+    };
+  }
+
+  /**
+   * Calculate optimal sheet layout for a room, comparing horizontal and vertical hanging
+   */
+  calculateOptimalLayout(
+    room: Room,
+    sheetSizes: SheetSize[] = SheetLayoutEngine.DEFAULT_SHEET_SIZES
+  ): OptimalLayout {
+    const engine = new SheetLayoutEngine(sheetSizes);
+    const vertical = engine.layout(this.getRoomSurfaces(room, 'vertical'));
+    const horizontal = engine.layout(this.getRoomSurfaces(room, 'horizontal'));
+
+    // Least board bought wins; sheet count breaks ties
     const optimalOrientation =
-      sheetsVertical <= sheetsHorizontal ? 'vertical' : 'horizontal';
+      vertical.purchasedArea < horizontal.purchasedArea ||
+      (vertical.purchasedArea === horizontal.purchasedArea && vertical.sheets < horizontal.sheets)
+        ? 'vertical'
+        : 'horizontal';
+    const layout = optimalOrientation === 'vertical' ? vertical : horizontal;
 
     return {
       orientation: optimalOrientation,
-      sheets: Math.min(sheetsVertical, sheetsHorizontal),
-      vertical: sheetsVertical,
-      horizontal: sheetsHorizontal,
-      savings: Math.abs(sheetsVertical - sheetsHorizontal),
+      sheets: layout.sheets,
+      vertical: vertical.sheets,
+      horizontal: horizontal.sheets,
+      savings: Math.abs(vertical.sheets - horizontal.sheets),
+      layout,
     };
   }
 
@@ -432,7 +2879,8 @@ export class DrywallCalculator {
    */
   estimateInstallationTime(
     totalArea: number,
-    finishLevel: EstimateOptions['finishLevel'] = 'level4'
+    finishLevel: EstimateOptions['finishLevel'] = 'level4',
+    includePrimer = true
   ): InstallationTime {
     // Average installation rates (sq ft per hour)
     const rates = {
@@ -440,26 +2888,27 @@ export class DrywallCalculator {
       taping: 80,
       firstCoat: 120,
       secondCoat: 150,
+      skimCoat: 150,
       sanding: 100,
       priming: 200,
     };
 
+    // Stages follow the coats each finish level calls for
+    const coats = DrywallCalculator.FINISH_COATS[finishLevel || 'level4'];
     const timeEstimate: InstallationTime = {
       hanging: totalArea / rates.hanging,
-      taping: totalArea / rates.taping,
-      firstCoat: totalArea / rates.firstCoat,
-      secondCoat: 0,
-      sanding: totalArea / rates.sanding,
-      priming: totalArea / rates.priming,
+      taping: coats.joints >= 1 ? totalArea / rates.taping : 0,
+      firstCoat: coats.joints >= 2 ? totalArea / rates.firstCoat : 0,
+      secondCoat: coats.joints >= 3 ? totalArea / rates.secondCoat : 0,
+      skimCoat: coats.skim > 0 ? totalArea / rates.skimCoat : 0,
+      sanding: coats.joints >= 2 ? totalArea / rates.sanding : 0,
+      priming: includePrimer ? totalArea / rates.priming : 0,
+      demolition: 0,
+      patching: 0,
       total: 0,
       days: 0,
     };
 
-    // Add additional coats based on finish level
-    if (finishLevel === 'level4' || finishLevel === 'level5') {
-      timeEstimate.secondCoat = totalArea / rates.secondCoat;
-    }
-
     timeEstimate.total = Object.entries(timeEstimate).reduce((sum, [key, time]) => {
       return key !== 'total' && key !== 'days' ? sum + time : sum;
     }, 0);
@@ -473,6 +2922,7 @@ export class DrywallCalculator {
    */
   calculateWasteOptimization(rooms: Room[]): WasteOptimization {
     let totalWaste = 0;
+    let totalUsableArea = 0;
     const recommendations: WasteOptimization['recommendations'] = [];
 
     rooms.forEach((room) => {
@@ -486,15 +2936,12 @@ export class DrywallCalculator {
         });
       }
 
-      // Calculate actual waste
-      const actualArea = room.width * room.height;
-      const sheetArea = layout.sheets * DrywallCalculator.STANDARD_SHEET_SIZE.area;
-      const waste = sheetArea - actualArea;
-      totalWaste += waste;
+      totalWaste += layout.layout.wasteArea;
+      totalUsableArea += layout.layout.coveredArea;
     });
 
-    const totalUsableArea = rooms.reduce((sum, r) => sum + r.width * r.height, 0);
-    const wastePercentage = (totalWaste / (totalWaste + totalUsableArea)) * 100;
+    const wastePercentage =
+      totalWaste + totalUsableArea > 0 ? (totalWaste / (totalWaste + totalUsableArea)) * 100 : 0;
 
     return {
       totalWaste,
@@ -538,16 +2985,37 @@ export class DrywallCalculator {
   generateMaterialList(estimate: ProjectEstimate): MaterialListItem[] {
     const list: MaterialListItem[] = [];
 
-    if (estimate.materials.sheets > 0) {
-      list.push({
-        category: 'Drywall Sheets',
-        item: '1/2" x 4\' x 8\' Drywall Sheet',
-        quantity: estimate.materials.sheets,
-        unit: 'sheets',
-        unitCost: estimate.costs.materials.drywall / estimate.materials.sheets,
-        totalCost: estimate.costs.materials.drywall,
+    estimate.materials.sheetGroups.forEach((group) => {
+      if (group.sheets === 0) return;
+      const totalCost = estimate.costs.materials.drywallByGroup[group.key] || 0;
+
+      if (!group.sizes) {
+        list.push({
+          category: 'Drywall Sheets',
+          item: this.getSheetDescription(group),
+          quantity: group.sheets,
+          unit: 'sheets',
+          unitCost: totalCost / group.sheets,
+          totalCost,
+        });
+        return;
+      }
+
+      // Split the group cost across stock sizes by board area
+      const groupArea = group.sizes.reduce((sum, s) => sum + s.count * s.width * s.length, 0);
+      group.sizes.forEach((size) => {
+        if (size.count === 0) return;
+        const sizeCost = (totalCost * size.count * size.width * size.length) / groupArea;
+        list.push({
+          category: 'Drywall Sheets',
+          item: this.getSheetDescription(group, size),
+          quantity: size.count,
+          unit: 'sheets',
+          unitCost: sizeCost / size.count,
+          totalCost: sizeCost,
+        });
       });
-    }
+    });
 
     if (estimate.materials.mud > 0) {
       list.push({
@@ -582,14 +3050,40 @@ export class DrywallCalculator {
       });
     }
 
-    if (estimate.materials.cornerBead > 0) {
+    estimate.materials.beads.forEach((bead) => {
+      if (bead.pieces === 0) return;
+      const totalCost = estimate.costs.materials.cornerBeadByType[bead.type] || 0;
       list.push({
         category: 'Accessories',
-        item: `${estimate.options.cornerType === 'metal' ? 'Metal' : 'Bullnose'} Corner Bead (10')`,
-        quantity: estimate.materials.cornerBead,
+        item: `${DrywallCalculator.BEAD_LABELS[bead.type]} (10')`,
+        quantity: bead.pieces,
         unit: 'pieces',
-        unitCost: estimate.costs.materials.cornerBead / estimate.materials.cornerBead,
-        totalCost: estimate.costs.materials.cornerBead,
+        unitCost: totalCost / bead.pieces,
+        totalCost,
+      });
+    });
+
+    estimate.materials.accessories.forEach((accessory) => {
+      if (accessory.quantity === 0) return;
+      const totalCost = estimate.costs.materials.accessoriesById[accessory.id] || 0;
+      list.push({
+        category: 'Accessories',
+        item: accessory.name,
+        quantity: accessory.quantity,
+        unit: accessory.unit,
+        unitCost: totalCost / accessory.quantity,
+        totalCost,
+      });
+    });
+
+    if (estimate.materials.debris > 0) {
+      list.push({
+        category: 'Disposal',
+        item: 'Debris Haul-Away',
+        quantity: estimate.materials.debris,
+        unit: 'cu yd',
+        unitCost: estimate.costs.materials.disposal / estimate.materials.debris,
+        totalCost: estimate.costs.materials.disposal,
       });
     }
 
@@ -0,0 +1,434 @@
+import type {
+  CodeComparison,
+  CodeCondition,
+  CodeFact,
+  CodeFinding,
+  CodeRule,
+  CodeRulePack,
+  CodeRuleScope,
+  CodeValue,
+  DrywallType,
+  Project,
+  WallAssembly,
+  WallFaceStatus,
+} from '@drywall/types';
+
+import { calculator, DrywallCalculator } from '../calculator';
+
+type CodeFacts = Record<CodeRuleScope, CodeFact[]>;
+
+const SCOPES: CodeRuleScope[] = ['project', 'room', 'wall', 'assembly'];
+const SEVERITIES = ['danger', 'warning', 'info'];
+
+const isFireRated = (type: DrywallType, status: WallFaceStatus) =>
+  status !== 'skip' && (type === 'typex' || type === 'firerated');
+
+const describeBoard = (type: DrywallType, status: WallFaceStatus) =>
+  status === 'skip'
+    ? 'left unboarded on the garage side'
+    : `hung in ${DrywallCalculator.DRYWALL_TYPES[type]?.label || type} board`;
+
+// Rules both residential editions share; none of these sections changed in 2021
+function ircRules(edition: string): CodeRule[] {
+  const code = `IRC ${edition}`;
+  return [
+    {
+      id: 'garage-wall-separation',
+      scope: 'wall',
+      citation: `${code} R302.6`,
+      severity: 'danger',
+      title: 'Garage Wall Not Fire Separated',
+      message:
+        'Wall {wall} of {room}, shared with {adjoining}, is {hung}. It separates the garage from living space and needs 5/8" Type X.',
+      action: 'Assign a Type X assembly to this wall',
+      when: (fact) => fact.adjoining !== undefined && !fact.fireRated,
+    },
+    {
+      id: 'garage-ceiling-separation',
+      scope: 'room',
+      citation: `${code} R302.6`,
+      severity: 'danger',
+      title: 'Garage Ceiling Not Fire Separated',
+      message:
+        'The {room} ceiling, under {livingAbove}, is {ceilingHung}. Garages beneath habitable rooms need 5/8" Type X on the ceiling.',
+      action: 'Switch the garage ceiling to 5/8" Type X',
+      fix: { drywallType: 'typex' },
+      when: (fact) => fact.livingAbove !== undefined && !fact.ceilingFireRated,
+    },
+    {
+      id: 'garage-unplaced',
+      scope: 'room',
+      citation: `${code} R302.6`,
+      severity: 'warning',
+      priority: 'high',
+      title: 'Garage Fire Separation',
+      message:
+        'Garages need 5/8" Type X on the garage side of walls shared with the house, and on the ceiling under living space. Draw {room} on the plan to check which surfaces need it.',
+      when: { roomType: 'garage', drawn: false },
+    },
+    {
+      id: 'min-ceiling-height',
+      scope: 'room',
+      citation: `${code} R305.1`,
+      severity: 'danger',
+      title: 'Minimum Ceiling Height Violation',
+      message: "Habitable rooms need at least a 7' ceiling. {room} has only {height}'.",
+      when: { height: { lt: 7 } },
+    },
+    {
+      id: 'rated-wall-assembly',
+      scope: 'room',
+      citation: `${code} R302`,
+      severity: 'danger',
+      title: 'Wall Assembly Below Required Rating',
+      message:
+        '{room} needs {fireRating}-hour walls, but {shortFaces} of {faces} hung walls are built to {builtTo}.',
+      action: 'Assign an assembly rated {fireRating} hour or more to those walls',
+      when: { shortFaces: { gt: 0 } },
+    },
+    {
+      id: 'listed-assembly',
+      scope: 'assembly',
+      citation: `${code} R302`,
+      severity: 'info',
+      priority: 'medium',
+      title: 'Build Rated Assemblies as Listed',
+      message:
+        '{assemblyName} only carries its {rating}-hour rating when built as tested: {board}, screws {fastenerSpacing}" on center, joints taped and penetrations sealed with listed firestop.',
+      when: { rating: { gt: 0 } },
+    },
+    {
+      id: 'wall-fastener-spacing',
+      scope: 'assembly',
+      citation: `${code} Table R702.3.5`,
+      severity: 'warning',
+      title: 'Screw Spacing Over Code Maximum',
+      message:
+        '{assemblyName} calls for screws {fastenerSpacing}" on center; wall board needs them 16" on center or closer.',
+      when: { fastenerSpacing: { gt: 16 } },
+    },
+    {
+      id: 'wet-area-vapor-retarder',
+      scope: 'project',
+      citation: `${code} R702.7`,
+      severity: 'info',
+      priority: 'medium',
+      title: 'Vapor Barrier Requirements',
+      message:
+        'Check the vapor retarder class required for your climate zone in wet areas. Many jurisdictions require poly sheeting behind drywall in bathrooms.',
+      when: { wetRooms: { gt: 0 } },
+    },
+    {
+      id: 'accessibility',
+      scope: 'project',
+      citation: 'ADA Standards',
+      severity: 'info',
+      title: 'Accessibility Considerations',
+      message:
+        'If building for accessibility (ADA), ensure proper backing for grab bars in bathrooms and appropriate outlet/switch heights.',
+      when: {},
+    },
+  ];
+}
+
+// Commercial and multifamily work: taller minimum ceilings and the IBC's own sections
+function ibcRules(edition: string): CodeRule[] {
+  const code = `IBC ${edition}`;
+  const irc = ircRules(edition);
+  const reuse = (id: string, changes: Partial<CodeRule>): CodeRule => ({
+    ...(irc.find((rule) => rule.id === id) as CodeRule),
+    ...changes,
+  });
+  return [
+    reuse('garage-wall-separation', { citation: `${code} 406.3.2` }),
+    reuse('garage-ceiling-separation', { citation: `${code} 406.3.2` }),
+    reuse('garage-unplaced', { citation: `${code} 406.3.2` }),
+    reuse('min-ceiling-height', {
+      citation: `${code} 1208.2`,
+      message: "Occupiable spaces need at least a 7'6\" ceiling. {room} has only {height}'.",
+      when: { height: { lt: 7.5 } },
+    }),
+    reuse('rated-wall-assembly', { citation: `${code} 703.2` }),
+    reuse('listed-assembly', { citation: `${code} 703.2` }),
+    reuse('wall-fastener-spacing', { citation: `${code} 2508.1` }),
+    reuse('wet-area-vapor-retarder', { citation: `${code} 1404.3` }),
+    reuse('accessibility', { citation: `${code} Chapter 11` }),
+  ];
+}
+
+/**
+ * Code Rule Book
+ * Checks a project against the building code its jurisdiction has adopted.
+ * Rules are grouped in packs by code edition; local amendments are packs
+ * loaded from JSON that extend one of these, replacing or disabling its
+ * rules by id and adding their own, e.g.
+ *
+ *   { "id": "travis-2021", "name": "Travis County", "extends": "irc-2021",
+ *     "disable": ["accessibility"],
+ *     "rules": [{ "id": "garage-door-wall", "scope": "wall", "severity": "warning",
+ *       "citation": "TC 25-12-3", "title": "...", "message": "Wall {wall} of {room} ...",
+ *       "when": { "roomType": "garage", "status": { "ne": "skip" } } }] }
+ */
+export class CodeRuleBook {
+  static readonly DEFAULT_PACK = 'irc-2021';
+
+  static readonly BUILT_IN_PACKS: CodeRulePack[] = [
+    { id: 'irc-2018', name: 'IRC 2018', rules: ircRules('2018') },
+    { id: 'irc-2021', name: 'IRC 2021', rules: ircRules('2021') },
+    { id: 'ibc-2021', name: 'IBC 2021', rules: ibcRules('2021') },
+  ];
+
+  private readonly packs = new Map<string, CodeRulePack>();
+
+  constructor() {
+    CodeRuleBook.BUILT_IN_PACKS.forEach((pack) => this.register(pack));
+  }
+
+  /**
+   * Add a pack, replacing any with the same id
+   */
+  register(pack: CodeRulePack): CodeRulePack {
+    this.validate(pack);
+    this.packs.set(pack.id, pack);
+    return pack;
+  }
+
+  /**
+   * Parse and register a local amendment pack
+   */
+  loadJSON(text: string): CodeRulePack {
+    return this.register(JSON.parse(text));
+  }
+
+  validate(pack: CodeRulePack): void {
+    if (!pack || typeof pack.id !== 'string' || !Array.isArray(pack.rules)) {
+      throw new Error('Code rule pack needs an id and a list of rules');
+    }
+    pack.rules.forEach((rule) => {
+      const missing = ['id', 'citation', 'title', 'message', 'when'].filter(
+        (key) => !rule[key as keyof CodeRule]
+      );
+      if (missing.length > 0) {
+        throw new Error(`Rule ${rule.id || '(no id)'} in ${pack.id} has no ${missing.join(', ')}`);
+      }
+      if (!SCOPES.includes(rule.scope)) {
+        throw new Error(`Rule ${rule.id} in ${pack.id} has unknown scope '${rule.scope}'`);
+      }
+      if (!SEVERITIES.includes(rule.severity)) {
+        throw new Error(`Rule ${rule.id} in ${pack.id} has unknown severity '${rule.severity}'`);
+      }
+    });
+  }
+
+  /**
+   * Packs to choose from; a project's own amendments come first
+   */
+  list(amendments: CodeRulePack[] = []): Array<{ id: string; name: string }> {
+    const ids = new Set(amendments.map((pack) => pack.id));
+    return [...amendments, ...[...this.packs.values()].filter((pack) => !ids.has(pack.id))].map(
+      ({ id, name }) => ({ id, name: name || id })
+    );
+  }
+
+  /**
+   * Rules in force under a pack, following what it extends
+   */
+  resolve(packId: string, amendments: CodeRulePack[] = []): CodeRule[] {
+    const seen = new Set<string>();
+    const collect = (id: string): Map<string, CodeRule> => {
+      const pack = amendments.find((p) => p.id === id) || this.packs.get(id);
+      if (!pack) throw new Error(`Unknown code rule pack '${id}'`);
+      if (seen.has(id)) throw new Error(`Code rule pack '${id}' extends itself`);
+      seen.add(id);
+
+      const rules = pack.extends ? collect(pack.extends) : new Map<string, CodeRule>();
+      (pack.disable || []).forEach((ruleId) => rules.delete(ruleId));
+      pack.rules.forEach((rule) => rules.set(rule.id, rule));
+      return rules;
+    };
+
+    return [...collect(packId).values()];
+  }
+
+  /**
+   * Check a project against its pack, or the default edition
+   */
+  check(project: Project, packId = project.codePack || CodeRuleBook.DEFAULT_PACK): CodeFinding[] {
+    const rules = this.resolve(packId, project.codeAmendments);
+    const facts = this.getFacts(project);
+
+    return rules.flatMap((rule) =>
+      facts[rule.scope]
+        .filter((fact) => this.matches(rule.when, fact))
+        .map((fact) => ({
+          ruleId: rule.id,
+          scope: rule.scope,
+          citation: rule.citation,
+          severity: rule.severity,
+          priority:
+            rule.priority ||
+            (rule.severity === 'info' ? 'low' : rule.severity === 'warning' ? 'medium' : 'high'),
+          title: rule.title,
+          message: this.fill(rule.message, fact),
+          action: rule.action && this.fill(rule.action, fact),
+          room: fact.room,
+          floorIndex: fact.floorIndex,
+          wallId: fact.wallId,
+          patch:
+            rule.fix && rule.scope === 'room'
+              ? {
+                  rooms: [
+                    {
+                      floorIndex: fact.floorIndex as number,
+                      room: fact.room as string,
+                      changes: rule.fix,
+                    },
+                  ],
+                }
+              : undefined,
+        }))
+    );
+  }
+
+  /**
+   * Everything rules can test, one fact per room, wall face and assembly in use
+   */
+  getFacts(project: Project): CodeFacts {
+    const facts: CodeFacts = { project: [], room: [], wall: [], assembly: [] };
+    const separations = calculator.findGarageSeparations(project);
+    const assemblies = new Map<string, WallAssembly>();
+    const rooms = project.floors.flatMap((floor) => floor.rooms);
+
+    facts.project.push({
+      rooms: rooms.length,
+      wetRooms: rooms.filter((room) => ['bathroom', 'laundry'].includes(room.type || '')).length,
+      garages: rooms.filter((room) => room.type === 'garage').length,
+    });
+
+    project.floors.forEach((floor, floorIndex) => {
+      const floorName = floor.name || `Floor ${floorIndex + 1}`;
+
+      floor.rooms.forEach((room) => {
+        const roomBoard = room.drywallType || 'standard';
+        const faces = calculator.getWallFaces(room);
+        const hung = faces.filter((face) => face.status === 'hang');
+        const short = room.fireRating
+          ? hung.filter((face) => (face.assembly?.rating || 0) < (room.fireRating as number))
+          : [];
+        const ceiling = separations.find(
+          (s) => s.surface === 'ceiling' && s.floor === floorIndex && s.garage === room.name
+        );
+        const base = { floorIndex, floor: floorName, room: room.name, roomType: room.type };
+
+        facts.room.push({
+          ...base,
+          height: room.height,
+          drawn: !!room.points && room.points.length >= 3,
+          drywallType: roomBoard,
+          fireRating: room.fireRating,
+          faces: hung.length,
+          shortFaces: short.length,
+          builtTo: [
+            ...new Set(
+              short.map((face) =>
+                face.assembly
+                  ? `${face.assembly.name} (${face.assembly.rating}-hr)`
+                  : 'no rated assembly'
+              )
+            ),
+          ].join(', '),
+          livingAbove: ceiling?.adjoining,
+          ceilingHung: ceiling && describeBoard(ceiling.drywallType, ceiling.status),
+          ceilingFireRated: ceiling?.passes,
+        });
+
+        faces.forEach((face, edge) => {
+          if (face.assembly && face.status === 'hang')
+            assemblies.set(face.assembly.id, face.assembly);
+          const separation = separations.find(
+            (s) =>
+              s.surface === 'wall' &&
+              s.floor === floorIndex &&
+              s.garage === room.name &&
+              s.edge === edge
+          );
+          const drywallType = face.assembly?.drywallType || roomBoard;
+
+          facts.wall.push({
+            ...base,
+            edge,
+            wall: edge + 1,
+            wallId: room.wallFaces?.find((f) => f.edge === edge)?.wallId || separation?.wallId,
+            status: face.status,
+            layers: face.layers,
+            assembly: face.assembly?.id,
+            assemblyName: face.assembly?.name,
+            rating: face.assembly?.rating || 0,
+            drywallType,
+            adjoining: separation?.adjoining,
+            hung: describeBoard(drywallType, face.status),
+            fireRated: isFireRated(drywallType, face.status),
+          });
+        });
+      });
+    });
+
+    assemblies.forEach((assembly) => {
+      const thickness =
+        DrywallCalculator.THICKNESS_LABELS[
+          assembly.thickness || DrywallCalculator.DRYWALL_TYPES[assembly.drywallType].thickness
+        ];
+      facts.assembly.push({
+        assembly: assembly.id,
+        assemblyName: assembly.name,
+        rating: assembly.rating,
+        layers: assembly.layers,
+        drywallType: assembly.drywallType,
+        fastenerSpacing: assembly.fastenerSpacing,
+        board: `${assembly.layers} layer${assembly.layers > 1 ? 's' : ''} of ${thickness} board`,
+      });
+    });
+
+    return facts;
+  }
+
+  /**
+   * Whether a fact meets a rule's predicate
+   */
+  matches(when: CodeRule['when'], fact: CodeFact): boolean {
+    if (typeof when === 'function') return when(fact);
+    return Object.entries(when as CodeCondition).every(([key, test]) =>
+      this.compare(fact[key as keyof CodeFact], test)
+    );
+  }
+
+  compare(value: CodeFact[keyof CodeFact], test: CodeValue | CodeComparison): boolean {
+    if (typeof test !== 'object') return value === test;
+
+    const number = typeof value === 'number' ? value : NaN;
+    return (
+      (test.exists === undefined || (value !== undefined) === test.exists) &&
+      (test.eq === undefined || value === test.eq) &&
+      (test.ne === undefined || value !== test.ne) &&
+      (test.lt === undefined || number < test.lt) &&
+      (test.lte === undefined || number <= test.lte) &&
+      (test.gt === undefined || number > test.gt) &&
+      (test.gte === undefined || number >= test.gte) &&
+      (test.in === undefined || test.in.includes(value as CodeValue)) &&
+      (test.notIn === undefined || !test.notIn.includes(value as CodeValue))
+    );
+  }
+
+  /**
+   * Fill {fact} placeholders, leaving unknown ones as written
+   */
+  fill(template: string, fact: CodeFact): string {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key: string) => {
+      const value = fact[key as keyof CodeFact];
+      return value === undefined ? placeholder : String(value);
+    });
+  }
+}
+
+// Export singleton instance
+export const codeRules = new CodeRuleBook();
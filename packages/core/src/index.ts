@@ -1,4 +1,6 @@
 export { DrywallCalculator, calculator } from './calculator';
+export { CodeRuleBook, codeRules } from './codes';
+export { SheetLayoutEngine } from './layout';
 export { default as RecommendationEngine } from './recommendations';
 export { default as Utils } from './utils';
 export * from '@drywall/types';
@@ -0,0 +1,265 @@
+import type {
+  LayoutOpening,
+  LayoutSurface,
+  SheetCount,
+  SheetCut,
+  SheetLayout,
+  SheetSize,
+} from '@drywall/types';
+
+interface Offcut {
+  width: number;
+  length: number;
+  sheet: string; // stock size it was cut from
+}
+
+interface StockChoice {
+  size?: SheetSize;
+  offcut?: Offcut;
+}
+
+/**
+ * Sheet Layout Engine
+ * Tiles walls and ceilings with stock sheet sizes, cuts around openings and
+ * reuses offcuts from earlier surfaces before opening a new sheet
+ */
+export class SheetLayoutEngine {
+  static readonly DEFAULT_SHEET_SIZES: SheetSize[] = [
+    { width: 4, length: 8 },
+    { width: 4, length: 10 },
+    { width: 4, length: 12 },
+    { width: 4.5, length: 12 },
+  ];
+
+  // Pieces smaller than this (feet) are scrap rather than reusable offcuts
+  static readonly MIN_OFFCUT_WIDTH = 1;
+  static readonly MIN_OFFCUT_LENGTH = 2;
+
+  private static readonly EPSILON = 1e-6;
+
+  private readonly sheetSizes: SheetSize[];
+  private offcuts: Offcut[] = [];
+  private cuts: SheetCut[] = [];
+  private purchased: Record<string, SheetCount> = {};
+
+  constructor(sheetSizes: SheetSize[] = SheetLayoutEngine.DEFAULT_SHEET_SIZES) {
+    if (sheetSizes.length === 0) {
+      throw new Error('SheetLayoutEngine needs at least one sheet size');
+    }
+    this.sheetSizes = [...sheetSizes].sort((a, b) => a.length - b.length);
+  }
+
+  /**
+   * Label a stock size, e.g. 4x12 or 54"x12
+   */
+  static sizeLabel(size: SheetSize): string {
+    const width = Number.isInteger(size.width) ? `${size.width}` : `${size.width * 12}"`;
+    return `${width}x${size.length}`;
+  }
+
+  /**
+   * Lay out every surface, sharing offcuts between them
+   */
+  layout(surfaces: LayoutSurface[]): SheetLayout {
+    this.offcuts = [];
+    this.cuts = [];
+    this.purchased = {};
+
+    let coveredArea = 0;
+    surfaces.forEach((surface) => {
+      coveredArea += this.layoutSurface(surface);
+    });
+
+    const sheetsBySize = Object.values(this.purchased);
+    const sheets = sheetsBySize.reduce((sum, size) => sum + size.count, 0);
+    const purchasedArea = sheetsBySize.reduce((sum, s) => sum + s.count * s.width * s.length, 0);
+    const wasteArea = Math.max(0, purchasedArea - coveredArea);
+
+    return {
+      cuts: this.cuts,
+      sheets,
+      sheetsBySize,
+      purchasedArea,
+      coveredArea,
+      wasteArea,
+      wastePercentage: purchasedArea > 0 ? (wasteArea / purchasedArea) * 100 : 0,
+    };
+  }
+
+  /**
+   * Lay out one surface and return its net board area
+   */
+  private layoutSurface(surface: LayoutSurface): number {
+    const vertical = surface.orientation === 'vertical';
+    // Hanging vertically is the same problem with the surface turned on its side
+    const run = vertical ? surface.rise : surface.run;
+    const rise = vertical ? surface.run : surface.rise;
+    const openings = (surface.openings || []).map((o) =>
+      vertical ? { x: o.y, y: o.x, width: o.height, height: o.width } : o
+    );
+
+    const openingArea = openings.reduce((sum, o) => sum + o.width * o.height, 0);
+    const rows = this.chooseRowWidths(rise);
+
+    let y = 0;
+    rows.forEach((sheetWidth, row) => {
+      const height = Math.min(sheetWidth, rise - y);
+      this.spanSegments(run, y, y + height, openings).forEach(([start, end]) => {
+        this.fillSegment(surface.id, row, start, end, y, height, sheetWidth);
+      });
+      y += height;
+    });
+
+    return Math.max(0, run * rise - openingArea);
+  }
+
+  /**
+   * Pick the stack of sheet widths that covers the rise with the fewest rows,
+   * then the least ripped-off width
+   */
+  private chooseRowWidths(rise: number): number[] {
+    const widths = [...new Set(this.sheetSizes.map((s) => s.width))].sort((a, b) => b - a);
+    const maxRows = Math.ceil(rise / widths[widths.length - 1] - SheetLayoutEngine.EPSILON);
+
+    let best: number[] = [];
+    let bestOvershoot = Infinity;
+
+    const search = (stack: number[], covered: number, from: number) => {
+      if (covered >= rise - SheetLayoutEngine.EPSILON) {
+        const overshoot = covered - rise;
+        if (
+          best.length === 0 ||
+          stack.length < best.length ||
+          (stack.length === best.length && overshoot < bestOvershoot)
+        ) {
+          best = [...stack];
+          bestOvershoot = overshoot;
+        }
+        return;
+      }
+      if (stack.length >= maxRows) return;
+      for (let i = from; i < widths.length; i++) {
+        search([...stack, widths[i]], covered + widths[i], i);
+      }
+    };
+
+    search([], 0, 0);
+    return best;
+  }
+
+  /**
+   * Stretches of a row that need board; openings spanning the full row height
+   * split the row, partial openings are cut out of the pieces
+   */
+  private spanSegments(
+    run: number,
+    y0: number,
+    y1: number,
+    openings: LayoutOpening[]
+  ): Array<[number, number]> {
+    const gaps = openings
+      .filter(
+        (o) =>
+          o.y <= y0 + SheetLayoutEngine.EPSILON && o.y + o.height >= y1 - SheetLayoutEngine.EPSILON
+      )
+      .map((o) => [Math.max(0, o.x), Math.min(run, o.x + o.width)] as [number, number])
+      .filter(([start, end]) => end > start)
+      .sort((a, b) => a[0] - b[0]);
+
+    const segments: Array<[number, number]> = [];
+    let cursor = 0;
+    gaps.forEach(([start, end]) => {
+      if (start > cursor) segments.push([cursor, start]);
+      cursor = Math.max(cursor, end);
+    });
+    if (run > cursor) segments.push([cursor, run]);
+
+    return segments.filter(([start, end]) => end - start > SheetLayoutEngine.EPSILON);
+  }
+
+  /**
+   * Cover one stretch of a row, longest sheets first, finishing short ends
+   * from offcuts where one fits
+   */
+  private fillSegment(
+    surface: string,
+    row: number,
+    start: number,
+    end: number,
+    y: number,
+    height: number,
+    sheetWidth: number
+  ): void {
+    const sizes = this.sheetSizes.filter((s) => s.width === sheetWidth);
+    const longest = sizes[sizes.length - 1];
+
+    let x = start;
+    while (end - x > SheetLayoutEngine.EPSILON) {
+      const remaining = end - x;
+      const needed = Math.min(remaining, longest.length);
+      const choice = this.chooseStock(needed, height, sizes);
+
+      let sheet: string;
+      if (choice.offcut) {
+        sheet = choice.offcut.sheet;
+        this.useOffcut(choice.offcut, needed, height);
+      } else {
+        const size = choice.size || longest;
+        sheet = this.buy(size);
+        this.keepOffcut({ width: size.width, length: size.length - needed, sheet });
+        this.keepOffcut({ width: size.width - height, length: needed, sheet });
+      }
+
+      this.cuts.push({
+        surface,
+        row,
+        x,
+        y,
+        length: needed,
+        height,
+        sheet,
+        fromOffcut: Boolean(choice.offcut),
+      });
+      x += needed;
+    }
+  }
+
+  private chooseStock(length: number, height: number, sizes: SheetSize[]): StockChoice {
+    const offcut = this.offcuts
+      .filter(
+        (o) =>
+          o.length >= length - SheetLayoutEngine.EPSILON &&
+          o.width >= height - SheetLayoutEngine.EPSILON
+      )
+      .sort((a, b) => a.width * a.length - b.width * b.length)[0];
+    if (offcut) return { offcut };
+
+    const size =
+      sizes.find((s) => s.length >= length - SheetLayoutEngine.EPSILON) || sizes[sizes.length - 1];
+    return { size };
+  }
+
+  private useOffcut(offcut: Offcut, length: number, height: number): void {
+    this.offcuts.splice(this.offcuts.indexOf(offcut), 1);
+    this.keepOffcut({ width: offcut.width, length: offcut.length - length, sheet: offcut.sheet });
+    this.keepOffcut({ width: offcut.width - height, length, sheet: offcut.sheet });
+  }
+
+  private keepOffcut(offcut: Offcut): void {
+    if (
+      offcut.width >= SheetLayoutEngine.MIN_OFFCUT_WIDTH &&
+      offcut.length >= SheetLayoutEngine.MIN_OFFCUT_LENGTH
+    ) {
+      this.offcuts.push(offcut);
+    }
+  }
+
+  private buy(size: SheetSize): string {
+    const label = SheetLayoutEngine.sizeLabel(size);
+    if (!this.purchased[label]) {
+      this.purchased[label] = { label, width: size.width, length: size.length, count: 0 };
+    }
+    this.purchased[label].count += 1;
+    return label;
+  }
+}
@@ -4,6 +4,77 @@
  * code compliance, and best practices
  */
 
+import type {
+    EstimateOptions,
+    Pricing,
+    Project,
+    ProjectEstimate,
+    ProjectPatch,
+    RecommendationStatus,
+    Room
+} from '@drywall/types';
+
+import { calculator, DrywallCalculator } from '../calculator';
+import { codeRules } from '../codes';
+
+// What a recommendation would change, to price it by re-running the estimate
+type Alternative = { patch?: ProjectPatch; pricing?: Partial<Pricing> };
+
+// What each room type should be built with: the board it needs, the finish
+// levels that make sense for it, and the backing to get in before it's hung
+const ROOM_TYPE_RULES = {
+    bathroom: {
+        board: { types: ['moisture'], reason: 'steam and splashes grow mold on the paper facing of standard board' },
+        finish: { min: 4, reason: 'the gloss paint bathrooms get shows every flaw below Level 4' },
+        backing: ['grab bars by the toilet, tub and shower (2x10 blocking 33"-36" up)', 'the vanity, mirror and medicine cabinet', 'towel bars and the paper holder'],
+        notes: [{
+            title: 'Keep Board Off Tubs and Pans',
+            message: 'Stop board 1/4" above tub and shower pan flanges and caulk the gap; tile areas take cement backer board, not drywall.'
+        }]
+    },
+    kitchen: {
+        board: { types: ['moisture'], reason: 'the sink and dishwasher walls see leaks and steam' },
+        finish: { min: 4, reason: 'washable gloss paint shows flaws below Level 4' },
+        backing: ['upper cabinets (a continuous 2x6 at the cabinet rail)', 'base cabinets and island ends', 'the range hood or microwave', 'open shelving']
+    },
+    utility: {
+        board: { types: ['moisture'], reason: 'washers, water heaters and utility sinks leak and sweat' },
+        finish: { max: 3, reason: 'Level 3 is plenty behind appliances and shelving' },
+        backing: ['a plywood backboard at the electrical panel', 'water heater strapping', 'shelves or cabinets over the washer']
+    },
+    closet: {
+        finish: { max: 3, reason: 'Level 3 is plenty behind hanging clothes' },
+        backing: ['shelf and rod cleats (a 2x6 band at 66" and 84")', 'closet system standards'],
+        notes: [{
+            title: 'Closets Under Stairs',
+            message: 'A closet under a stair needs 1/2" drywall on its walls, the underside of the stair and any soffits.',
+            code: 'IRC R302.7'
+        }]
+    },
+    basement: {
+        board: { types: ['moisture'], reason: 'below-grade walls pick up ground moisture; hold the board 1/2" off the slab too' },
+        backing: ['fire blocking at the top of furred foundation walls and at soffits', 'stair handrails'],
+        notes: [{
+            title: 'Check Basement Moisture First',
+            message: 'Tape plastic to the foundation for a couple of days before framing; damp walls need drainage or a vapor retarder before any board goes up.'
+        }]
+    },
+    theater: {
+        board: {
+            types: ['firerated', 'typex'],
+            assemblies: ['sound-rc'],
+            reason: 'mass keeps sound in, so 5/8" board or a resilient channel assembly beats 1/2"'
+        },
+        finish: { max: 4, reason: 'dark flat paint hides what Level 5 would fix' },
+        backing: ['the screen or TV mount', 'a ceiling projector mount', 'in-wall and surround speakers', 'acoustic panels']
+    }
+};
+
+// Totals of the estimates re-run with each alternative, kept against the
+// estimate they started from so showing the same recommendations again (after
+// a dismissal, say) doesn't re-run anything
+const alternativeTotals = new WeakMap<ProjectEstimate, Map<string, number>>();
+
 const RecommendationEngine = {
     /**
      * Generate all recommendations for a project
@@ -15,23 +86,91 @@ const RecommendationEngine = {
         recommendations.push(...this.getMaterialRecommendations(project));
 
         // Room-specific recommendations
-        recommendations.push(...this.getRoomTypeRecommendations(project));
+        recommendations.push(...this.getRoomTypeRecommendations(project, estimate));
 
         // Cost optimization recommendations
         if (estimate) {
-            recommendations.push(...this.getCostOptimizationRecommendations(estimate, project));
+            recommendations.push(...this.getCostOptimizationRecommendations(estimate));
         }
 
         // Code compliance recommendations
         recommendations.push(...this.getCodeComplianceRecommendations(project));
 
+        // Stairs and chases lined up between floors
+        recommendations.push(...this.getFloorStackRecommendations(project));
+
         // Installation best practices
         recommendations.push(...this.getInstallationRecommendations(project));
 
         // Safety recommendations
         recommendations.push(...this.getSafetyRecommendations(project));
 
-        return recommendations;
+        return this.applyResponses(recommendations, project);
+    },
+
+    /**
+     * ID that stays the same every time the recommendation comes up: code
+     * findings by rule and what they're about, everything else by its title,
+     * where it applies and the stair or chase it's about
+     */
+    getRecommendationId(rec) {
+        const parts = rec.ruleId
+            ? ['code', rec.ruleId, rec.floorIndex, rec.room, rec.wallId]
+            : [rec.category, rec.title, rec.floorIndex ?? rec.floor, rec.room, rec.gap?.id ?? rec.stairId];
+
+        return parts
+            .filter(part => part !== undefined && part !== '')
+            .map(part => String(part).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''))
+            .join(':');
+    },
+
+    /**
+     * Give recommendations their IDs, leave out the dismissed ones and mark
+     * the ones that were acknowledged
+     */
+    applyResponses(recommendations, project) {
+        const responses = new Map((project.recommendationResponses || []).map(response => [response.id, response]));
+
+        return recommendations
+            .map(rec => {
+                const id = this.getRecommendationId(rec);
+                return responses.has(id) ? { ...rec, id, response: responses.get(id) } : { ...rec, id };
+            })
+            .filter(rec => rec.response?.status !== 'dismissed');
+    },
+
+    /**
+     * Record that a recommendation was dismissed or acknowledged, replacing
+     * any earlier response to it. Returns a copy of the project.
+     */
+    respond(project: Project, rec, status: RecommendationStatus, { note, by }: { note?: string; by?: string } = {}) {
+        const id = rec.id || this.getRecommendationId(rec);
+        const response = {
+            id,
+            status,
+            title: rec.title,
+            code: rec.code,
+            room: rec.room,
+            note: note || undefined,
+            by: by || undefined,
+            at: new Date().toISOString()
+        };
+
+        return {
+            ...project,
+            recommendationResponses: [
+                ...(project.recommendationResponses || []).filter(existing => existing.id !== id),
+                response
+            ]
+        };
+    },
+
+    /**
+     * Code findings the user acknowledged, for the estimate
+     */
+    getAcknowledgedCodeWarnings(project) {
+        return (project.recommendationResponses || [])
+            .filter(response => response.status === 'acknowledged' && response.code);
     },
 
     /**
@@ -39,58 +178,37 @@ const RecommendationEngine = {
      */
     getMaterialRecommendations(project) {
         const recommendations = [];
-        const rooms = this.getAllRooms(project);
-
-        rooms.forEach(room => {
+        // Double-height rooms count their wall from the floor below
+        const rooms = (project.floors || []).flatMap((floor, floorIndex) => (floor.rooms || []).map(room => ({
+            room: room.openToBelow && floorIndex > 0
+                ? { ...room, height: calculator.getFloorToFloor(project, floorIndex - 1, floorIndex) + room.height }
+                : room,
+            floorIndex
+        })));
+
+        rooms.forEach(({ room, floorIndex }) => {
             const type = room.type || 'standard';
 
-            // Moisture-resistant drywall for wet areas
+            // Tile areas need more than moisture-resistant board
             if (['bathroom', 'kitchen', 'laundry'].includes(type)) {
-                if (room.drywallType !== 'moisture') {
-                    recommendations.push({
-                        type: 'warning',
-                        category: 'Material Selection',
-                        room: room.name,
-                        title: 'Use Moisture-Resistant Drywall',
-                        message: `${room.name} should use moisture-resistant (green board or purple board) drywall to prevent mold and water damage.`,
-                        action: 'Switch to moisture-resistant drywall',
-                        priority: 'high',
-                        code: 'Use 1/2" or 5/8" moisture-resistant gypsum board in wet areas'
-                    });
-                }
-
                 recommendations.push({
                     type: 'info',
                     category: 'Material Selection',
                     room: room.name,
+                    floorIndex,
                     title: 'Consider Cement Board for Tile Areas',
                     message: `For areas where tile will be installed (shower, tub surround), cement backer board is required instead of standard drywall.`,
                     priority: 'medium'
                 });
             }
 
-            // Fire-rated drywall for garage
-            if (type === 'garage') {
-                if (room.drywallType !== 'firerated' && room.drywallType !== 'typex') {
-                    recommendations.push({
-                        type: 'warning',
-                        category: 'Code Compliance',
-                        room: room.name,
-                        title: 'Fire-Rated Drywall Required',
-                        message: `Garages attached to living spaces require 5/8" Type X fire-rated drywall on walls and ceiling for fire safety.`,
-                        action: 'Switch to 5/8" Type X drywall',
-                        priority: 'high',
-                        code: 'IRC R302.6 requires 1/2-hour fire rating between garage and dwelling'
-                    });
-                }
-            }
-
             // Soundproofing recommendations
             if (['bedroom', 'office'].includes(type)) {
                 recommendations.push({
                     type: 'info',
                     category: 'Upgrade Options',
                     room: room.name,
+                    floorIndex,
                     title: 'Consider Soundproofing',
                     message: `For better sound isolation, consider using 5/8" drywall, resilient channels, or sound-dampening insulation.`,
                     priority: 'low'
@@ -103,8 +221,28 @@ const RecommendationEngine = {
                     type: 'info',
                     category: 'Installation',
                     room: room.name,
+                    floorIndex,
                     title: 'Special Equipment Needed',
-                    message: `Ceiling height of ${room.height}' requires drywall lifts or scaffolding. Consider using 12' or 14' sheets to minimize horizontal joints.`,
+                    message: `${room.openToBelow ? 'Open-to-below wall' : 'Ceiling'} height of ${+room.height.toFixed(1)}' requires drywall lifts or scaffolding. Consider using 12' or 14' sheets to minimize horizontal joints.`,
+                    priority: 'medium'
+                });
+            }
+
+            // Shaped ceilings priced from a rough multiplier until they're measured
+            if (['vaulted', 'cathedral', 'shed', 'tray', 'coffered'].includes(room.ceilingType) &&
+                !calculator.calculateCeilingGeometry(room)) {
+                recommendations.push({
+                    type: 'warning',
+                    category: 'Estimate Accuracy',
+                    room: room.name,
+                    floorIndex,
+                    title: 'Measure Ceiling Geometry',
+                    message: `The ${room.ceilingType} ceiling in ${room.name} is estimated with a fixed multiplier, which can be off by 30% or more and leaves out gable-end walls.`,
+                    action: room.ceilingType === 'tray'
+                        ? 'Enter the tray depth and step width'
+                        : room.ceilingType === 'coffered'
+                            ? 'Enter the coffer grid spacing and beam size'
+                            : 'Enter the roof pitch and ridge direction',
                     priority: 'medium'
                 });
             }
@@ -114,79 +252,109 @@ const RecommendationEngine = {
     },
 
     /**
-     * Room type-specific recommendations
+     * Room type-specific recommendations: board, finish level and backing for
+     * each room whose type has rules, laundries going by the utility room's.
+     * Given the estimate, rooms without their own finish level are held to the
+     * project's.
      */
-    getRoomTypeRecommendations(project) {
+    getRoomTypeRecommendations(project, estimate: ProjectEstimate | null = null) {
         const recommendations = [];
-        const rooms = this.getAllRooms(project);
+        const rooms = (project.floors || []).flatMap((floor, floorIndex) =>
+            (floor.rooms || []).map(room => ({ room, floorIndex })));
+
+        rooms.forEach(({ room, floorIndex }) => {
+            const fix = (changes) => ({ rooms: [{ floorIndex, room: room.name, changes }] });
+            const rules = ROOM_TYPE_RULES[room.type === 'laundry' ? 'utility' : room.type];
+            if (!rules) return;
+            const { board, finish, backing, notes = [] } = rules;
+
+            const drywallType = room.drywallType || 'standard';
+            const assemblies = [room.wallAssembly, ...(room.wallFaces || []).map(face => face.assembly)];
+            if (board && !board.types.includes(drywallType) &&
+                !assemblies.some(id => board.assemblies?.includes(id))) {
+                const label = DrywallCalculator.DRYWALL_TYPES[board.types[0]].label;
+                recommendations.push({
+                    type: 'warning',
+                    category: 'Material Selection',
+                    room: room.name,
+                    floorIndex,
+                    title: `Use ${label} Drywall`,
+                    message: `${room.name} should be hung in ${label.toLowerCase()} board: ${board.reason}.`,
+                    action: `Switch ${room.name} to ${label} drywall`,
+                    priority: 'high',
+                    patch: fix({ drywallType: board.types[0] })
+                });
+            }
 
-        // Bathroom recommendations
-        const bathrooms = rooms.filter(r => r.type === 'bathroom');
-        if (bathrooms.length > 0) {
-            recommendations.push({
-                type: 'info',
-                category: 'Best Practices',
-                title: 'Bathroom Installation Tips',
-                message: `
-                    - Install cement board behind all tile areas
-                    - Use mold-resistant joint compound
-                    - Ensure proper ventilation to prevent moisture buildup
-                    - Leave 1/4" gap between drywall and tub/shower pan
-                    - Caulk all gaps with waterproof silicone caulk
-                `,
-                priority: 'high',
-                rooms: bathrooms.map(r => r.name)
-            });
-        }
+            // Rooms without their own level get the project's, as in the estimate
+            const finishLevel = room.finishLevel || estimate?.options.finishLevel || 'level4';
+            const level = parseInt(finishLevel.replace('level', ''));
+            if (finish?.min !== undefined && level < finish.min) {
+                recommendations.push({
+                    type: 'warning',
+                    category: 'Installation',
+                    room: room.name,
+                    floorIndex,
+                    title: `Finish ${room.name} to Level ${finish.min}`,
+                    message: `${room.name} is finished to Level ${level}, but ${finish.reason}.`,
+                    action: `Raise the finish level to Level ${finish.min}`,
+                    priority: 'medium',
+                    patch: fix({ finishLevel: `level${finish.min}` })
+                });
+            } else if (finish?.max !== undefined && level > finish.max) {
+                const patch = fix({ finishLevel: `level${finish.max}` });
+                recommendations.push({
+                    type: 'info',
+                    category: 'Cost Optimization',
+                    room: room.name,
+                    floorIndex,
+                    title: `Finish ${room.name} to Level ${finish.max}`,
+                    message: `${room.name} is finished to Level ${level}; ${finish.reason}, and every level above it is another coat and sanding.`,
+                    action: `Lower the finish level to Level ${finish.max}`,
+                    priority: 'low',
+                    patch,
+                    alternative: { patch }
+                });
+            }
 
-        // Kitchen recommendations
-        const kitchens = rooms.filter(r => r.type === 'kitchen');
-        if (kitchens.length > 0) {
-            recommendations.push({
-                type: 'info',
-                category: 'Best Practices',
-                title: 'Kitchen Installation Tips',
-                message: `
-                    - Use moisture-resistant drywall behind sink areas
-                    - Plan for electrical boxes before hanging drywall
-                    - Account for cabinet mounting - use 5/8" for heavy cabinets
-                    - Consider backing for range hood mounting
-                `,
-                priority: 'medium',
-                rooms: kitchens.map(r => r.name)
-            });
-        }
+            if (backing) {
+                recommendations.push({
+                    type: 'info',
+                    category: 'Installation',
+                    room: room.name,
+                    floorIndex,
+                    title: 'Block Before Hanging',
+                    message: `Get backing into ${room.name} before board goes up for ${backing.join(', ')}.`,
+                    priority: 'medium'
+                });
+            }
 
-        // Basement recommendations
-        const basements = rooms.filter(r => r.type === 'basement');
-        if (basements.length > 0) {
-            recommendations.push({
-                type: 'warning',
-                category: 'Code Compliance',
-                title: 'Basement Requirements',
-                message: `
-                    - Check for moisture issues before installation
-                    - Consider vapor barrier if below grade
-                    - Use mold-resistant drywall in basement areas
-                    - Ensure proper egress windows in bedrooms
-                    - Verify headroom clearance (minimum 7')
-                `,
-                priority: 'high',
-                rooms: basements.map(r => r.name)
+            notes.forEach(note => {
+                recommendations.push({
+                    type: 'info',
+                    category: 'Best Practices',
+                    room: room.name,
+                    floorIndex,
+                    priority: 'medium',
+                    ...note
+                });
             });
-        }
+        });
 
         return recommendations;
     },
 
     /**
-     * Cost optimization recommendations
+     * Cost optimization recommendations, each carrying the alternative to price
+     * it with (see priceAlternatives). Buying tips that can't be priced go
+     * under material selection.
      */
-    getCostOptimizationRecommendations(estimate, project) {
+    getCostOptimizationRecommendations(estimate) {
         const recommendations = [];
 
         // Check waste factor
         if (estimate.options.wasteFactor > 0.15) {
+            const patch = { options: { wasteFactor: 0.10 } };
             recommendations.push({
                 type: 'warning',
                 category: 'Cost Optimization',
@@ -194,31 +362,66 @@ const RecommendationEngine = {
                 message: `Your waste factor of ${(estimate.options.wasteFactor * 100).toFixed(0)}% is higher than typical (10-15%). This may be adding unnecessary cost. Consider optimizing sheet layout.`,
                 action: 'Reduce waste factor to 10-12%',
                 priority: 'medium',
-                savings: estimate.costs.materials.drywall * (estimate.options.wasteFactor - 0.10)
+                patch,
+                alternative: { patch }
             });
         }
 
-        // Bulk purchasing recommendations
+        // Bulk purchasing recommendations, priced at the middle of the usual discount
         if (estimate.materials.sheets > 50) {
+            const discount = (price) => Math.round(price * 0.875 * 100) / 100;
+            const pricing = estimate.pricing && {
+                drywallPerSheet: discount(estimate.pricing.drywallPerSheet || 0),
+                drywallPrices: Object.fromEntries(Object.entries(estimate.pricing.drywallPrices || {})
+                    .map(([type, price]) => [type, discount(price)]))
+            };
             recommendations.push({
                 type: 'success',
                 category: 'Cost Optimization',
                 title: 'Bulk Purchase Discount Available',
                 message: `With ${estimate.materials.sheets} sheets needed, you qualify for bulk pricing. Contact suppliers for 10-15% discounts on large orders.`,
                 priority: 'high',
-                savings: estimate.costs.materials.drywall * 0.125 // Avg 12.5% savings
+                ...(pricing && { alternative: { pricing } })
+            });
+        }
+
+        // Mixed sheet lengths
+        const mixedRooms = (estimate.rooms || []).filter(room => room.sheetMix);
+        if (mixedRooms.length > 0) {
+            const buttJoints = mixedRooms.reduce((sum, room) => sum + room.sheetMix.buttJoints, 0);
+            recommendations.push({
+                type: 'success',
+                category: 'Installation',
+                title: 'Mixed Sheet Lengths Ordered',
+                message: `Sheet lengths are matched to each room's walls, leaving ${buttJoints} butt joint(s) across ${mixedRooms.length} room(s). Stage each room's order separately so the long sheets reach the long walls.`,
+                priority: 'low'
+            });
+        } else if (!estimate.options.mixedLengths && !estimate.options.optimizeLayout) {
+            const patch = { options: { mixedLengths: true } };
+            recommendations.push({
+                type: 'info',
+                category: 'Cost Optimization',
+                title: 'Order Mixed Sheet Lengths',
+                message: `Every sheet is estimated as 4x8. Ordering 10', 12' and 14' sheets to fit each wall cuts butt joints, the slowest joints to tape and finish.`,
+                action: 'Turn on mixed sheet lengths',
+                priority: 'medium',
+                patch,
+                alternative: { patch }
             });
         }
 
         // Finish level optimization
         if (estimate.options.finishLevel === 'level5') {
+            const patch = { options: { finishLevel: 'level4' } };
             recommendations.push({
                 type: 'info',
                 category: 'Cost Optimization',
                 title: 'Level 5 Finish Is Premium',
                 message: `Level 5 finish is the highest quality but adds significant cost. Consider if Level 4 is sufficient for your needs (standard for most applications).`,
+                action: 'Make Level 4 the project finish level',
                 priority: 'medium',
-                savings: estimate.costs.labor.total * 0.20 // Approx 20% savings
+                patch,
+                alternative: { patch }
             });
         }
 
@@ -227,7 +430,7 @@ const RecommendationEngine = {
         if (totalCost > 5000) {
             recommendations.push({
                 type: 'info',
-                category: 'Cost Optimization',
+                category: 'Material Selection',
                 title: 'Consider Material Alternatives',
                 message: `
                     Potential cost savings:
@@ -242,7 +445,7 @@ const RecommendationEngine = {
         // Seasonal pricing
         recommendations.push({
             type: 'info',
-            category: 'Cost Optimization',
+            category: 'Material Selection',
             title: 'Best Time to Buy',
             message: `Material prices are typically lower in winter months (Jan-Feb) and late summer (Aug-Sep). Consider timing your project accordingly.`,
             priority: 'low'
@@ -252,64 +455,49 @@ const RecommendationEngine = {
     },
 
     /**
-     * Code compliance recommendations
+     * Code compliance recommendations, from the rule pack for the project's jurisdiction
      */
     getCodeComplianceRecommendations(project) {
-        const recommendations = [];
-        const rooms = this.getAllRooms(project);
-
-        // Fire separation requirements
-        const garages = rooms.filter(r => r.type === 'garage');
-        if (garages.length > 0) {
-            recommendations.push({
-                type: 'warning',
-                category: 'Code Compliance',
-                title: 'Garage Fire Separation',
-                message: `IRC R302.6 requires 1/2-hour fire-resistance rating between garage and living space. Use 5/8" Type X drywall on garage side, including ceiling if there's living space above.`,
-                code: 'IRC R302.6',
-                priority: 'high'
-            });
-        }
-
-        // Ceiling height requirements
-        rooms.forEach(room => {
-            if (room.height < 7) {
-                recommendations.push({
-                    type: 'danger',
-                    category: 'Code Compliance',
-                    room: room.name,
-                    title: 'Minimum Ceiling Height Violation',
-                    message: `IRC R305.1 requires minimum 7' ceiling height for habitable rooms. ${room.name} has only ${room.height}' height.`,
-                    code: 'IRC R305.1',
-                    priority: 'high'
-                });
-            }
-        });
+        const floors = project.floors || [];
 
-        // Moisture barrier requirements
-        const wetRooms = rooms.filter(r => ['bathroom', 'laundry'].includes(r.type));
-        if (wetRooms.length > 0) {
-            recommendations.push({
-                type: 'info',
-                category: 'Code Compliance',
-                title: 'Vapor Barrier Requirements',
-                message: `Check local codes for vapor barrier requirements in wet areas. Many jurisdictions require poly sheeting behind drywall in bathrooms.`,
-                code: 'Local Building Code',
-                priority: 'medium'
-            });
-        }
-
-        // Accessibility requirements
-        recommendations.push({
-            type: 'info',
+        return codeRules.check(project).map(finding => ({
+            type: finding.severity,
             category: 'Code Compliance',
-            title: 'Accessibility Considerations',
-            message: `If building for accessibility (ADA), ensure proper backing for grab bars in bathrooms and appropriate outlet/switch heights.`,
-            code: 'ADA Standards',
-            priority: 'low'
-        });
+            room: finding.room,
+            floor: finding.floorIndex !== undefined
+                ? floors[finding.floorIndex]?.name || `Floor ${finding.floorIndex + 1}`
+                : undefined,
+            title: finding.title,
+            message: finding.message,
+            action: finding.action,
+            code: finding.citation,
+            priority: finding.priority,
+            ruleId: finding.ruleId,
+            wallId: finding.wallId,
+            floorIndex: finding.floorIndex,
+            patch: finding.patch
+        }));
+    },
 
-        return recommendations;
+    /**
+     * Stairs and chases missing their opening on another floor
+     */
+    getFloorStackRecommendations(project) {
+        const floors = project.floors || [];
+        const floorName = (index) => floors[index]?.name || `Floor ${index + 1}`;
+
+        return calculator.findFloorStackGaps(project).map(gap => ({
+            type: 'warning',
+            category: 'Floor Stack',
+            floor: floorName(gap.missingOn),
+            title: gap.kind === 'stair' ? 'Stair Without Opening Above' : 'Chase Not Carried Through',
+            message: gap.kind === 'stair'
+                ? `A stair on ${floorName(gap.floor)} climbs to ${floorName(gap.missingOn)}, but there is no floor opening over it there.`
+                : `A chase drawn on ${floorName(gap.floor)} runs through ${floorName(gap.missingOn)}, which has no opening for it.`,
+            action: 'Register openings between floors, or draw the opening on the floor above',
+            priority: 'high',
+            gap
+        }));
     },
 
     /**
@@ -421,9 +609,122 @@ const RecommendationEngine = {
             priority: 'high'
         });
 
+        // Stairwell walls run from the lower floor to the ceiling above
+        (project.floors || []).forEach((floor, index) => {
+            (floor.stairs || []).forEach((stair, stairIndex: number) => {
+                const { wallHeight } = calculator.calculateFloorStairwell(project, index, stair);
+                if (wallHeight > 10) {
+                    recommendations.push({
+                        type: 'warning',
+                        category: 'Safety',
+                        floor: floor.name || `Floor ${index + 1}`,
+                        stairId: stair.id ?? stairIndex,
+                        title: 'Scaffolding Needed Over Stairwell',
+                        message: `Stairwell walls reach ${wallHeight.toFixed(1)}' above the lower floor. Ladders can't stand on the treads safely; use stair scaffolding or a ladder-jack plank system.`,
+                        action: 'Budget stair scaffolding rental and setup time',
+                        priority: 'high'
+                    });
+                }
+            });
+        });
+
         return recommendations;
     },
 
+    /**
+     * Apply a recommendation's patch to copies of the project and estimate
+     * options. Rooms are found by floor and name; ones that have since been
+     * renamed or removed are left out, of the revert patch too. Applying the
+     * returned revert patch puts back what was there before.
+     */
+    applyPatch(project: Project, options: EstimateOptions, patch: ProjectPatch) {
+        const floors = [...(project.floors || [])];
+        const revert: ProjectPatch = {};
+
+        (patch.rooms || []).forEach(({ floorIndex, room: name, changes }) => {
+            const floor = floors[floorIndex];
+            const index = (floor?.rooms || []).findIndex(room => room.name === name);
+            if (index < 0) return;
+
+            const rooms = [...floor.rooms];
+            (revert.rooms = revert.rooms || []).push({
+                floorIndex,
+                room: name,
+                changes: Object.fromEntries(Object.keys(changes).map(key => [key, rooms[index][key as keyof Room]]))
+            });
+            rooms[index] = { ...rooms[index], ...changes };
+            floors[floorIndex] = { ...floor, rooms };
+        });
+
+        if (patch.options) {
+            revert.options = Object.fromEntries(Object.keys(patch.options).map(key => [key, options[key as keyof EstimateOptions]]));
+        }
+
+        return {
+            project: { ...project, floors },
+            options: { ...options, ...patch.options },
+            revert
+        };
+    },
+
+    /**
+     * Re-run the estimate with an alternative: a patch to the project or its
+     * options, prices to use instead, or both
+     */
+    estimateAlternative(project: Project, estimate: ProjectEstimate, { patch, pricing }: Alternative = {}) {
+        const applied = patch
+            ? this.applyPatch(project, estimate.options, patch)
+            : { project, options: estimate.options };
+
+        return calculator.calculateProjectEstimate(
+            applied.project,
+            { ...estimate.pricing, ...pricing },
+            estimate.laborRates,
+            applied.options
+        );
+    },
+
+    /**
+     * Returns a function giving what an alternative saves against the
+     * estimate. Both sides are re-run, from the project as it stands when the
+     * estimate is first priced, so an estimate loaded with the project compares
+     * fairly; each alternative only once per estimate. Estimates saved before
+     * they carried their prices can't be re-run, and save nothing.
+     */
+    savingsCalculator(project: Project, estimate: ProjectEstimate | null) {
+        return (alternative: Alternative) => {
+            if (!estimate?.pricing) return 0;
+            const totals = alternativeTotals.get(estimate) || new Map<string, number>();
+            alternativeTotals.set(estimate, totals);
+            const total = (alt: Alternative) => {
+                const key = JSON.stringify(alt);
+                let value = totals.get(key);
+                if (value === undefined) {
+                    value = this.estimateAlternative(project, estimate, alt).costs.total;
+                    totals.set(key, value);
+                }
+                return value;
+            };
+
+            return Math.round((total({}) - total(alternative)) * 100) / 100;
+        };
+    },
+
+    /**
+     * Put a savings figure on each recommendation carrying an alternative that
+     * saves something. Kept out of generateRecommendations so the estimate is
+     * only re-run where savings are shown.
+     */
+    priceAlternatives(recommendations, project: Project, estimate: ProjectEstimate | null) {
+        const getSavings = this.savingsCalculator(project, estimate);
+
+        return recommendations.map(rec => {
+            if (!rec.alternative) return rec;
+            const savings = getSavings(rec.alternative);
+            return savings > 0 ? { ...rec, savings } : rec;
+        });
+    },
+
     /**
      * Get all rooms from project
      */
@@ -440,9 +741,12 @@ const RecommendationEngine = {
     },
 
     /**
-     * Generate recommendations summary
+     * Generate recommendations summary. Given the project and estimate, the
+     * savings total comes from re-running it with every alternative at once,
+     * since suggestions touching the same costs (a lower waste factor and a
+     * bulk discount both shrink the board bill) overlap; otherwise it's the sum.
      */
-    generateSummary(recommendations) {
+    generateSummary(recommendations, project: Project | null = null, estimate: ProjectEstimate | null = null) {
         const byCategory = {};
         const byPriority = {
             high: [],
@@ -464,10 +768,35 @@ const RecommendationEngine = {
         });
 
         // Calculate potential savings
-        const totalSavings = recommendations
+        if (project && estimate?.pricing) {
+            recommendations = this.priceAlternatives(recommendations, project, estimate);
+        }
+        let totalSavings = recommendations
             .filter(r => r.savings)
             .reduce((sum, r) => sum + r.savings, 0);
 
+        const alternatives = recommendations
+            .filter(r => r.savings && r.alternative)
+            .sort((a, b) => b.savings - a.savings);
+        if (project && estimate?.pricing && alternatives.length > 0) {
+            // The bigger saving wins where two alternatives set the same thing
+            const combined: { patch: Required<ProjectPatch>; pricing: Partial<Pricing> } = { patch: { rooms: [], options: {} }, pricing: {} };
+            alternatives.forEach(({ alternative }: { alternative: Alternative }) => {
+                const { patch = {}, pricing = {} } = alternative;
+                combined.patch = {
+                    rooms: [...(patch.rooms || []), ...combined.patch.rooms],
+                    options: { ...patch.options, ...combined.patch.options }
+                };
+                combined.pricing = { ...pricing, ...combined.pricing };
+            });
+            const separate = recommendations
+                .filter(r => r.savings && !r.alternative)
+                .reduce((sum, r) => sum + r.savings, 0);
+
+            const savings = this.savingsCalculator(project, estimate)(combined);
+            totalSavings = separate + Math.max(savings, 0);
+        }
+
         return {
             total: recommendations.length,
             byCategory,
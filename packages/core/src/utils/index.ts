@@ -87,6 +87,103 @@ const Utils = {
             };
         },
 
+        /**
+         * Sweep, arc length, area between arc and chord, and rise of a circular
+         * arc over a chord. Radii under half the chord are taken as a half circle.
+         */
+        arcMeasure(chord, radius) {
+            const r = Math.max(Math.abs(radius || 0), chord / 2);
+            if (!(r > 0) || !isFinite(r)) return { sweep: 0, length: chord, segment: 0, rise: 0 };
+
+            const sweep = 2 * Math.asin(Math.min(1, chord / (2 * r)));
+            return {
+                sweep,
+                length: r * sweep,
+                segment: (r * r / 2) * (sweep - Math.sin(sweep)),
+                rise: r - Math.sqrt(Math.max(0, r * r - chord * chord / 4))
+            };
+        },
+
+        /**
+         * Radius of the arc that rises a given height over a chord
+         */
+        arcRadius(chord, rise) {
+            return rise > 0 ? (chord * chord / 4 + rise * rise) / (2 * rise) : Infinity;
+        },
+
+        /**
+         * Centre, radius and angles of the arc from start to end. Positive radii bow
+         * to the left of start → end in y-down screen coordinates, negative to the
+         * right; null when the radius is missing or infinite (a straight segment).
+         */
+        arcGeometry(start, end, radius) {
+            const chord = this.distance(start, end);
+            if (!radius || !isFinite(radius) || chord === 0) return null;
+
+            const r = Math.max(Math.abs(radius), chord / 2);
+            const side = Math.sign(radius);
+            const mid = this.midpoint(start, end);
+            // Left normal of the chord; the centre sits opposite the bow
+            const normal = { x: (end.y - start.y) / chord, y: -(end.x - start.x) / chord };
+            const offset = Math.sqrt(Math.max(0, r * r - chord * chord / 4));
+            const center = { x: mid.x - normal.x * offset * side, y: mid.y - normal.y * offset * side };
+            const { sweep, rise } = this.arcMeasure(chord, r);
+
+            const startAngle = this.angle(center, start);
+            // Angles grow clockwise on screen, which is the way a left bow turns
+            const delta = side > 0 ? sweep : -sweep;
+            return {
+                center,
+                radius: r,
+                startAngle,
+                endAngle: startAngle + delta,
+                delta,
+                anticlockwise: delta < 0,
+                apex: { x: mid.x + normal.x * rise * side, y: mid.y + normal.y * rise * side },
+                length: r * sweep
+            };
+        },
+
+        /**
+         * Points along an arc from start to end, for drawing and offsetting;
+         * just the two ends when it is straight
+         */
+        arcPoints(start, end, radius, segments = 16) {
+            const arc = this.arcGeometry(start, end, radius);
+            if (!arc) return [{ ...start }, { ...end }];
+
+            return Array.from({ length: segments + 1 }, (_, i) => {
+                const angle = arc.startAngle + (arc.delta * i) / segments;
+                return {
+                    x: arc.center.x + Math.cos(angle) * arc.radius,
+                    y: arc.center.y + Math.sin(angle) * arc.radius
+                };
+            });
+        },
+
+        /**
+         * Calculate distance from point to an arc, or to the chord when it is straight
+         */
+        distanceToArc(point, start, end, radius) {
+            const arc = this.arcGeometry(start, end, radius);
+            if (!arc) return this.distanceToLineSegment(point, start, end);
+
+            // Within the sweep the nearest point is straight out from the centre
+            const turn = Math.PI * 2;
+            const along = ((this.angle(arc.center, point) - arc.startAngle) * Math.sign(arc.delta) % turn + turn) % turn;
+            if (along <= Math.abs(arc.delta)) {
+                return Math.abs(this.distance(point, arc.center) - arc.radius);
+            }
+            return Math.min(this.distance(point, start), this.distance(point, end));
+        },
+
+        /**
+         * Check if point is near an arc
+         */
+        isPointNearArc(point, start, end, radius, threshold = 10) {
+            return this.distanceToArc(point, start, end, radius) <= threshold;
+        },
+
         /**
          * Calculate area of polygon using shoelace formula
          */
@@ -100,6 +197,25 @@ const Utils = {
             return Math.abs(area / 2);
         },
 
+        /**
+         * Classify each polygon vertex as convex, reflex (interior angle over 180°) or straight
+         */
+        polygonVertexTypes(points) {
+            let winding = 0;
+            for (let i = 0; i < points.length; i++) {
+                const j = (i + 1) % points.length;
+                winding += points[i].x * points[j].y - points[j].x * points[i].y;
+            }
+
+            return points.map((point, i) => {
+                const prev = points[(i - 1 + points.length) % points.length];
+                const next = points[(i + 1) % points.length];
+                const cross = (point.x - prev.x) * (next.y - point.y) - (point.y - prev.y) * (next.x - point.x);
+                if (Math.abs(cross) < 1e-9) return 'straight';
+                return Math.sign(cross) === Math.sign(winding) ? 'convex' : 'reflex';
+            });
+        },
+
         /**
          * Calculate center of polygon
          */
@@ -1,6 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { DrywallCalculator } from '../src/calculator';
-import type { Room } from '@drywall/types';
+import { SheetLayoutEngine } from '../src/layout';
+import type { LaborRates, Point, Pricing, Project, Room } from '@drywall/types';
 
 describe('DrywallCalculator', () => {
   const calculator = new DrywallCalculator();
@@ -48,6 +49,48 @@ describe('DrywallCalculator', () => {
     });
   });
 
+  describe('polygon rooms', () => {
+    // L-shaped room drawn at 20 px per foot: 12' x 10' with a 4' x 4' notch
+    const room: Room = {
+      name: 'Detected Room',
+      height: 8,
+      scale: 20,
+      points: [
+        { x: 0, y: 0 },
+        { x: 240, y: 0 },
+        { x: 240, y: 120 },
+        { x: 160, y: 120 },
+        { x: 160, y: 200 },
+        { x: 0, y: 200 },
+      ],
+      doorDetails: [{ width: 3, height: 7 }],
+    };
+
+    it('should use the outline perimeter for wall area', () => {
+      const result = calculator.calculateWallArea(room);
+
+      // Perimeter: 12 + 6 + 4 + 4 + 8 + 10 = 44 feet
+      expect(result.perimeter).toBe(44);
+      expect(result.gross).toBe(352);
+      expect(result.net).toBe(352 - 21);
+    });
+
+    it('should use the outline area for the ceiling', () => {
+      // 12 * 10 - 4 * 4 = 104 sq ft
+      expect(calculator.calculateCeilingArea(room)).toBe(104);
+    });
+
+    it('should count only convex outline corners as inside corners', () => {
+      // Five inside corners; the notch corner is an outside corner
+      expect(calculator.calculateAngles(room)).toEqual({ insideCorner: 40, wallCeiling: 0 });
+    });
+
+    it('should bead the outline notch as an outside corner', () => {
+      expect(calculator.countOutsideCorners(room)).toBe(1);
+      expect(calculator.calculateBeads([room])).toEqual([{ type: 'metal', feet: 8, pieces: 1 }]);
+    });
+  });
+
   describe('calculateCeilingArea', () => {
     it('should calculate standard ceiling area', () => {
       const room: Room = {
@@ -75,6 +118,82 @@ describe('DrywallCalculator', () => {
       expect(result).toBe(420); // 15 * 20 * 1.4
     });
 
+    it('should calculate a cathedral ceiling from its pitch', () => {
+      const room: Room = {
+        name: 'Great Room',
+        width: 16,
+        length: 20,
+        height: 8,
+        ceilingType: 'cathedral',
+        ceiling: { pitch: 9 },
+      };
+
+      // Ridge along the 20' length; a 9/12 slope stretches each plane by 15/12
+      expect(calculator.calculateCeilingArea(room)).toBeCloseTo(400); // 320 * 1.25
+      // 8' half-span rises 6', so each gable end gains a 16' x 6' triangle
+      const walls = calculator.calculateWallArea(room);
+      expect(walls.gable).toBeCloseTo(96);
+      expect(walls.gross).toBeCloseTo(672); // 72 * 8 + 96
+    });
+
+    it('should add the tall wall and end triangles for a shed ceiling', () => {
+      const room: Room = {
+        name: 'Sunroom',
+        width: 12,
+        length: 20,
+        height: 8,
+        ceilingType: 'shed',
+        ceiling: { pitch: 9, ridge: 'length' },
+      };
+
+      expect(calculator.calculateCeilingArea(room)).toBeCloseTo(300); // 240 * 1.25
+      // Full 12' span rises 9': two 54 sq ft triangles plus 20' x 9' on the high wall
+      expect(calculator.calculateWallArea(room).gable).toBeCloseTo(288);
+    });
+
+    it('should shorten the eave walls under knee walls', () => {
+      const room: Room = {
+        name: 'Bonus Room',
+        width: 16,
+        length: 20,
+        height: 8,
+        ceilingType: 'vaulted',
+        ceiling: { pitch: 9, kneeWallHeight: 4 },
+      };
+
+      // Ends: 2 * (16 * 4 + 48) = 224, eaves: 2 * 20 * 4 = 160, against 72 * 8 = 576
+      expect(calculator.calculateWallArea(room).gable).toBeCloseTo(-192);
+      expect(calculator.calculateWallArea(room).gross).toBeCloseTo(384);
+    });
+
+    it('should add the riser band of a tray ceiling', () => {
+      const room: Room = {
+        name: 'Bedroom',
+        width: 12,
+        length: 14,
+        height: 8,
+        ceilingType: 'tray',
+        ceiling: { trayDepth: 1, trayStep: 2 },
+      };
+
+      // 8' x 10' tray has a 36' perimeter, 1' deep
+      expect(calculator.calculateCeilingArea(room)).toBeCloseTo(204); // 168 + 36
+    });
+
+    it('should add the beam sides of a coffered ceiling', () => {
+      const room: Room = {
+        name: 'Library',
+        width: 12,
+        length: 16,
+        height: 9,
+        ceilingType: 'coffered',
+        ceiling: { cofferSpacing: 4, cofferBeamWidth: 0.5, cofferBeamDepth: 0.75 },
+      };
+
+      // 2 beams x 16' + 3 beams x 12' = 68'; 6 crossings each cut 4 x 0.5' of side
+      expect(calculator.calculateCeilingArea(room)).toBeCloseTo(285); // 192 + (136 - 12) * 0.75
+    });
+
     it('should return 0 for no ceiling', () => {
       const room: Room = {
         name: 'Garage',
@@ -148,6 +267,104 @@ describe('DrywallCalculator', () => {
     });
   });
 
+  describe('joint footage', () => {
+    it('should measure seams and angles for a room hung with 4x8 sheets', () => {
+      const room: Room = {
+        name: 'Bedroom',
+        width: 10,
+        length: 12,
+        height: 8,
+        includeCeiling: true,
+      };
+      const joints = calculator.calculateJointFootage(room);
+
+      // Walls: one row seam each (44') and a butt joint up every wall (4 * 8')
+      // Ceiling: three 12' rows (24' of seams), one butt joint across the 10' span
+      expect(joints).toEqual({
+        tapered: 44 + 24,
+        butt: 32 + 10,
+        insideCorner: 32,
+        wallCeiling: 44,
+        total: 186,
+      });
+    });
+
+    it('should read seams off a sheet layout', () => {
+      const layout = new SheetLayoutEngine([{ width: 4, length: 8 }]).layout([
+        { id: 'wall', kind: 'wall', run: 12, rise: 8 },
+      ]);
+
+      // An 8' + 4' piece per row: one 12' row seam, a 4' butt joint per row
+      expect(calculator.calculateSeams(layout)).toEqual({ tapered: 12, butt: 8 });
+    });
+
+    it('should build up mud coat by coat for the finish level', () => {
+      const joints = { tapered: 100, butt: 50, insideCorner: 40, wallCeiling: 0, total: 190 };
+
+      const level4 = calculator.calculateMudByJoint(joints, 400, 'level4');
+      // Tape coat at 1 gal/100' plus two fill coats at each joint type's rate
+      expect(level4.tapered).toBeCloseTo(3);
+      expect(level4.butt).toBeCloseTo(2.5);
+      // Angles get the tape coat and one fill coat
+      expect(level4.insideCorner).toBeCloseTo(0.7);
+      // Three fastener coats at 0.1 gal/100 sq ft
+      expect(level4.fasteners).toBeCloseTo(1.2);
+      expect(level4.skimCoat).toBe(0);
+
+      const level5 = calculator.calculateMudByJoint(joints, 400, 'level5');
+      expect(level5.skimCoat).toBeCloseTo(4);
+      expect(level5.total).toBeCloseTo(level4.total + 4);
+
+      expect(calculator.calculateMudByJoint(joints, 400, 'level0').total).toBe(0);
+    });
+  });
+
+  describe('calculateBeads', () => {
+    it('should not bead the inside corners of a rectangular room', () => {
+      const room: Room = { name: 'Bedroom', width: 10, length: 12, height: 8 };
+
+      expect(calculator.calculateBeads([room])).toEqual([]);
+      expect(calculator.calculateCornerBead([room])).toBe(0);
+    });
+
+    it('should run each outside corner in whole sticks', () => {
+      const room: Room = {
+        name: 'Great Room',
+        width: 20,
+        length: 24,
+        height: 12,
+        outsideCorners: 3,
+      };
+
+      // Three 12' corners, each needing two 10' sticks
+      expect(calculator.calculateBeads([room], 'vinyl')).toEqual([
+        { type: 'vinyl', feet: 36, pieces: 6 },
+      ]);
+    });
+
+    it('should add corner bead and L-bead for opening returns', () => {
+      const room: Room = {
+        name: 'Office',
+        width: 10,
+        length: 12,
+        height: 8,
+        windows: 2,
+        doorDetails: [
+          { width: 3, height: 7, returns: true },
+          { width: 3, height: 7 },
+        ],
+      };
+
+      expect(calculator.calculateOpeningReturns(room)).toBe(17);
+      // Two 3' x 4' windows wrapped on four sides (28') plus the flagged door (17')
+      expect(calculator.calculateOpeningReturns(room, 'windows')).toBe(45);
+      expect(calculator.calculateBeads([room], 'metal', 'windows')).toEqual([
+        { type: 'metal', feet: 45, pieces: 5 },
+        { type: 'lbead', feet: 45, pieces: 5 },
+      ]);
+    });
+  });
+
   describe('calculateScrews', () => {
     it('should calculate screws needed in pounds', () => {
       const sheets = 50;
@@ -158,4 +375,1089 @@ describe('DrywallCalculator', () => {
       expect(result).toBe(8);
     });
   });
+
+  describe('calculateSheetMix', () => {
+    it('should cover a run with the fewest sheets, then the least board', () => {
+      expect(calculator.chooseSheetLengths(14)).toEqual([14]);
+      expect(calculator.chooseSheetLengths(9)).toEqual([10]);
+      // Two sheets are unavoidable past 14'; 12' + 14' wastes nothing
+      expect(calculator.chooseSheetLengths(26)).toEqual([12, 14]);
+    });
+
+    it('should count sheets per length, butt joints and seams for a room', () => {
+      const room: Room = { name: 'Living', width: 12, length: 20, height: 8 };
+      const mix = calculator.calculateSheetMix(room);
+
+      // 12' walls take a 12' per row; 20' walls take 8' + 12' per row
+      expect(mix.sizes).toEqual([
+        { label: '4x8', width: 4, length: 8, count: 4 },
+        { label: '4x12', width: 4, length: 12, count: 8 },
+      ]);
+      expect(mix.sheets).toBe(12);
+      expect(mix.buttJoints).toBe(4);
+      // One row seam per wall (64') plus a butt joint up each 20' wall (2 * 8')
+      expect(mix.joints.tapered).toBe(64);
+      expect(mix.joints.butt).toBe(16);
+      expect(mix.joints.insideCorner).toBe(32);
+    });
+
+    it('should respect the stock lengths offered', () => {
+      const room: Room = { name: 'Living', width: 12, length: 20, height: 8 };
+      const mix = calculator.calculateSheetMix(room, [8]);
+
+      expect(mix.sizes).toEqual([{ label: '4x8', width: 4, length: 8, count: 20 }]);
+      expect(mix.buttJoints).toBe(12);
+    });
+  });
+
+  describe('stairs', () => {
+    it('should derive risers from the floor-to-floor rise', () => {
+      const layout = calculator.getStairLayout({ totalRise: 108 });
+
+      // 108 / 7.75 = 13.9 -> 14 risers of 7.71"
+      expect(layout.risers).toBe(14);
+      expect(layout.riserHeight).toBeCloseTo(108 / 14);
+      expect(layout.flights).toHaveLength(1);
+      expect(layout.flights[0].treads).toBe(13);
+      expect(layout.totalRise).toBeCloseTo(9);
+    });
+
+    it('should measure a straight stair between enclosed walls', () => {
+      const result = calculator.calculateStairwellArea({ risers: 14, riserHeight: 7.5 });
+
+      // 13 treads x 10" = 10.83' run rising 8.75'
+      const run = 130 / 12;
+      // Both sides, from the nosing line up to an 8' ceiling over the well
+      expect(result.walls).toBeCloseTo(2 * run * (8.75 + 8 - 8.75 / 2));
+      expect(result.ceiling).toBeCloseTo(Math.hypot(run, 8.75) * 3);
+      // Opening through 1' of floor framing
+      expect(result.stairwellWalls).toBeCloseTo(2 * (run + 3));
+    });
+
+    it('should lay out an L stair around a square landing', () => {
+      const layout = calculator.getStairLayout({
+        shape: 'l-turn',
+        turn: 'right',
+        risers: 15,
+        riserHeight: 7.5,
+        width: 3,
+      });
+
+      // 13 treads split 7 + 6; each flight climbs onto the landing or the floor above
+      const [lower, upper] = layout.flights;
+      expect(lower).toMatchObject({ treads: 7, x: 0, y: 0, dx: 1, dy: 0, elevation: 0 });
+      expect(lower.rise).toBeCloseTo(5);
+      expect(upper).toMatchObject({ treads: 6, y: 3, dx: 0, dy: 1 });
+      expect(upper.x).toBeCloseTo(70 / 12 + 3);
+      expect(upper.elevation).toBeCloseTo(5);
+
+      expect(layout.landings).toHaveLength(1);
+      expect(layout.landings[0]).toMatchObject({ width: 3, leftEdges: 6, rightEdges: 0 });
+      expect(layout.footprint.length).toBeCloseTo(70 / 12 + 3);
+      expect(layout.footprint.width).toBeCloseTo(3 + 5);
+    });
+
+    it('should double back on a U stair', () => {
+      const layout = calculator.getStairLayout({
+        shape: 'u-turn',
+        turn: 'left',
+        risers: 16,
+        width: 3,
+        landingDepth: 4,
+      });
+
+      const [landing] = layout.landings;
+      expect(landing).toMatchObject({ y: -3, length: 4, width: 6, leftEdges: 0, rightEdges: 14 });
+      expect(layout.flights[1]).toMatchObject({ y: 0, dx: -1, dy: 0, treads: 7 });
+      expect(layout.footprint.width).toBeCloseTo(6);
+    });
+
+    it('should skip open sides and a missing soffit', () => {
+      const result = calculator.calculateStairwellArea({
+        leftSide: 'open',
+        rightSide: 'open',
+        underCeiling: false,
+      });
+
+      expect(result.walls).toBe(0);
+      expect(result.ceiling).toBe(0);
+      expect(result.total).toBeCloseTo(result.stairwellWalls);
+    });
+
+    it('should place a drawn stair in drawing units', () => {
+      const stairs = { start: { x: 40, y: 20 }, end: { x: 40, y: 100 }, scale: 20 };
+
+      // Climbing toward +y, the stair's width extends to -x (the climber's right)
+      const outline = calculator.getStairOutline(stairs);
+      const run = (130 / 12) * 20;
+      expect(outline[0]).toEqual({ x: 40, y: 20 });
+      expect(outline[1].x).toBeCloseTo(40);
+      expect(outline[1].y).toBeCloseTo(20 + run);
+      expect(outline[2].x).toBeCloseTo(40 - 60);
+      expect(outline[2].y).toBeCloseTo(20 + run);
+    });
+
+    it('should flag a stair with no opening in the floor above', () => {
+      const stair = { id: 'st1', start: { x: 0, y: 0 }, end: { x: 10, y: 0 }, scale: 20 };
+      const project: Project = {
+        floors: [{ rooms: [], stairs: [stair] }, { rooms: [] }],
+      };
+
+      const [gap] = calculator.findFloorStackGaps(project);
+      expect(gap).toMatchObject({ kind: 'stair', id: 'st1', floor: 0, missingOn: 1 });
+
+      project.floors[1].openings = [{ id: 'op1', kind: 'stair', points: gap.points }];
+      expect(calculator.findFloorStackGaps(project)).toEqual([]);
+    });
+
+    it('should bill a stair drawn up from one floor and down from the next once', () => {
+      const up = {
+        id: 'up',
+        type: 'stairs-up' as const,
+        start: { x: 0, y: 0 },
+        end: { x: 0, y: 100 },
+        scale: 20,
+      };
+      const down = { ...up, id: 'down', type: 'stairs-down' as const };
+      const stairArea = (project: Project) =>
+        calculator.calculateProjectEstimate(project, {}, {}).areas.stairs;
+
+      const once = stairArea({ floors: [{ rooms: [], stairs: [up] }, { rooms: [] }] });
+      const both = stairArea({
+        floors: [
+          { rooms: [], stairs: [up] },
+          { rooms: [], stairs: [down] },
+        ],
+      });
+      const elsewhere = stairArea({
+        floors: [
+          { rooms: [], stairs: [up] },
+          { rooms: [], stairs: [{ ...down, start: { x: 400, y: 0 }, end: { x: 400, y: 100 } }] },
+        ],
+      });
+
+      expect(both).toBeCloseTo(once);
+      // A down stair somewhere else on the plan is a stair of its own
+      expect(elsewhere).toBeGreaterThan(once);
+    });
+
+    it('should flag each floor a chase passes through without an opening', () => {
+      const points = [
+        { x: 0, y: 0 },
+        { x: 40, y: 0 },
+        { x: 40, y: 40 },
+        { x: 0, y: 40 },
+      ];
+      const chase = { kind: 'chase' as const, chaseId: 'ch1', points, fromFloor: 0, toFloor: 2 };
+      const project: Project = {
+        floors: [
+          { rooms: [], openings: [{ ...chase, id: 'a' }] },
+          { rooms: [], openings: [{ ...chase, id: 'b' }] },
+          { rooms: [] },
+        ],
+      };
+
+      // Both drawn copies miss the top floor; it is reported once
+      expect(calculator.findFloorStackGaps(project)).toEqual([
+        { kind: 'chase', id: 'ch1', floor: 0, missingOn: 2, points },
+      ]);
+    });
+
+    it('should take the wall height above the well from the floor the stair reaches', () => {
+      const stairs = { risers: 14, riserHeight: 7.5, underCeiling: false };
+      const project: Project = {
+        floors: [
+          { rooms: [], stairs: [stairs] },
+          { rooms: [{ name: 'Loft', width: 12, length: 12, height: 10 }] },
+        ],
+      };
+
+      // No elevations: an 8' storey plus 1' of floor framing rises 108"
+      const estimate = calculator.calculateProjectEstimate(project, {}, {});
+      expect(estimate.areas.stairs).toBeCloseTo(
+        calculator.calculateStairwellArea({ ...stairs, totalRise: 108 }, 10).total
+      );
+    });
+
+    it('should measure floor to floor from elevations, else storey height plus framing', () => {
+      const project: Project = {
+        floors: [
+          { rooms: [{ name: 'Den', width: 12, length: 12, height: 9 }] },
+          { rooms: [], floorDepth: 14 / 12 },
+        ],
+      };
+
+      expect(calculator.getFloorToFloor(project, 0, 1)).toBeCloseTo(9 + 14 / 12);
+
+      project.floors[0].elevation = 0;
+      project.floors[1].elevation = 10.5;
+      expect(calculator.getFloorToFloor(project, 0, 1)).toBe(10.5);
+    });
+
+    it('should span stairwell walls from the lower floor to the ceiling above', () => {
+      const project: Project = {
+        floors: [
+          { elevation: 0, rooms: [], stairs: [{ toFloor: 1 }] },
+          { elevation: 10, rooms: [{ name: 'Hall', width: 4, length: 12, height: 8 }] },
+        ],
+      };
+
+      const result = calculator.calculateFloorStairwell(project, 0, project.floors[0].stairs![0]);
+
+      // 120" rise at no more than 7.75" a step: 16 risers of 7.5"
+      expect(result.layout.risers).toBe(16);
+      expect(result.layout.riserHeight).toBeCloseTo(7.5);
+      expect(result.wallHeight).toBeCloseTo(18); // 10' floor to floor + 8' above
+    });
+  });
+
+  describe('open to below', () => {
+    it('should run a double-height wall down to the floor below', () => {
+      const project: Project = {
+        floors: [
+          {
+            elevation: 0,
+            rooms: [{ name: 'Foyer', width: 10, length: 12, height: 8, includeCeiling: true }],
+          },
+          {
+            elevation: 10,
+            rooms: [
+              {
+                name: 'Foyer Above',
+                width: 10,
+                length: 12,
+                height: 8,
+                includeCeiling: true,
+                openToBelow: true,
+                belowRoom: 'Foyer',
+              },
+            ],
+          },
+        ],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, {}, {});
+
+      // 44' perimeter: 8' below, then 2' of floor framing and 8' above = 18' in all
+      expect(estimate.areas.wall).toBeCloseTo(44 * 18);
+      // Only the upper ceiling is hung; the foyer has none of its own
+      expect(estimate.areas.ceiling).toBe(120);
+      expect(estimate.rooms.map((room) => room.ceilingArea)).toEqual([0, 120]);
+    });
+
+    it('should find the room below a drawn room by position', () => {
+      const square = (x: number, y: number, size: number) => [
+        { x, y },
+        { x: x + size, y },
+        { x: x + size, y: y + size },
+        { x, y: y + size },
+      ];
+      const great = { name: 'Great Room', height: 9, points: square(0, 0, 400) };
+      const project: Project = {
+        floors: [
+          { rooms: [{ name: 'Office', height: 9, points: square(500, 0, 200) }, great] },
+          { rooms: [] },
+        ],
+      };
+      const loft = { name: 'Open', height: 8, openToBelow: true, points: square(100, 100, 200) };
+
+      expect(calculator.findRoomBelow(project, 1, loft)).toBe(great);
+    });
+  });
+
+  describe('wall faces', () => {
+    // Garage firewall doubled on the house side, existing finished wall opposite
+    const garage: Room = {
+      name: 'Garage',
+      width: 20,
+      length: 22,
+      height: 8,
+      doorDetails: [{ width: 3, height: 7, edge: 1 }],
+      wallFaces: [
+        { edge: 0, layers: 2 },
+        { edge: 2, status: 'finished' },
+      ],
+    };
+
+    it('should count only the faces being hung', () => {
+      const result = calculator.calculateWallArea(garage);
+
+      // Hung runs: 20 + 22 + 22 = 64' x 8' = 512; the door is on a hung face
+      expect(result.gross).toBe(512);
+      expect(result.openings).toBe(21);
+      expect(result.net).toBe(491);
+      // Second layer on the 20' firewall: 20 x 8
+      expect(result.baseLayers).toBe(160);
+    });
+
+    it('should drop openings on faces that are not hung', () => {
+      const result = calculator.calculateWallArea({
+        ...garage,
+        wallFaces: [{ edge: 1, status: 'skip' }],
+      });
+
+      // 20 + 20 + 22 = 62' x 8' = 496, door went with its wall
+      expect(result.gross).toBe(496);
+      expect(result.openings).toBe(0);
+      expect(result.baseLayers).toBe(0);
+    });
+
+    it('should skip corners between two faces that are not hung', () => {
+      const room: Room = {
+        name: 'Remodel',
+        width: 10,
+        length: 12,
+        height: 8,
+        wallFaces: [
+          { edge: 1, status: 'finished' },
+          { edge: 2, status: 'skip' },
+        ],
+      };
+
+      // Corner 2 joins edges 1 and 2, so three of four are taped
+      expect(calculator.calculateAngles(room).insideCorner).toBe(24);
+      expect(
+        calculator.getRoomSurfaces(room).filter((surface) => surface.kind === 'wall')
+      ).toHaveLength(2);
+      expect(calculator.calculateSheetMix(room).sheets).toBe(4);
+    });
+  });
+
+  describe('wall assemblies', () => {
+    const room: Room = {
+      name: 'Mechanical',
+      width: 10,
+      length: 12,
+      height: 8,
+      wallFaces: [{ edge: 0, assembly: 'fire-1hr-double' }],
+    };
+
+    it('should take layers from the assembly', () => {
+      const result = calculator.calculateWallArea(room);
+
+      // 44' x 8' = 352, with a second layer on the 10' rated wall
+      expect(result.net).toBe(352);
+      expect(result.baseLayers).toBe(80);
+    });
+
+    it('should split a room into its plain faces and each assembly', () => {
+      const [main, rated] = calculator.splitByAssembly(room);
+
+      // 12 + 10 + 12 = 34' x 8' stays with the room
+      expect(calculator.calculateWallArea(main.room).net).toBe(272);
+      expect(rated.assembly?.id).toBe('fire-1hr-double');
+      expect(rated.room.drywallType).toBe('typex');
+      expect(calculator.calculateWallArea(rated.room)).toMatchObject({ net: 80, baseLayers: 80 });
+    });
+  });
+
+  describe('repairs', () => {
+    const room: Room = {
+      name: 'Basement',
+      width: 10,
+      length: 12,
+      height: 8,
+      doors: 1,
+      windows: 1,
+      includeCeiling: true,
+    };
+
+    it('should clip openings to a flood cut', () => {
+      const cut = calculator.getWaterCut(room, { kind: 'water', cutHeight: 4 });
+
+      // 44' x 4' = 176, less the door below the cut (3 x 4) and the window
+      // from its 3' sill up to the cut (3 x 1)
+      expect(cut && calculator.calculateWallArea(cut).net).toBe(161);
+      expect(cut?.includeCeiling).toBe(false);
+    });
+
+    it('should tear out one wall with only its own openings', () => {
+      const work = calculator.getRepairWork({
+        ...room,
+        doors: 0,
+        windows: 0,
+        doorDetails: [{ edge: 0 }],
+        windowDetails: [{ edge: 1 }],
+        repairs: [{ kind: 'tearout', edge: 1 }],
+      });
+
+      // 12' x 8' = 96, less the 3 x 4 window
+      expect(work.demolition).toBe(84);
+      expect(work.rebuild).toHaveLength(1);
+      expect(work.rebuild[0].room.includeCeiling).toBe(false);
+    });
+  });
+
+  describe('soffits', () => {
+    it('should wrap a kitchen soffit with one open end', () => {
+      const box = calculator.calculateSoffitArea(
+        { length: 12, depth: 1.5, height: 7, openEnds: 1 },
+        8
+      );
+
+      // Drops 8 - 7 = 1': bottom 12 x 1.5, face 12 x 1, end panel 1.5 x 1
+      expect(box.drop).toBe(1);
+      expect(box.total).toBe(18 + 12 + 1.5);
+      // Face-to-bottom edge plus the end panel's bottom and front edges
+      expect(box.bead).toBe(12 + 1.5 + 1);
+      expect(box.beadPieces).toBe(2 + 1 + 1);
+      expect(box.joints).toEqual({
+        butt: 0,
+        insideCorner: 12 + 2.5, // bottom against the back wall, closed end against the side wall
+        wallCeiling: 12 + 1.5,
+      });
+    });
+
+    it('should piece a long beam wrap on both faces', () => {
+      const box = calculator.calculateSoffitArea({ kind: 'beam', length: 20, depth: 0.5 });
+
+      // Default 1' drop: bottom 20 x 0.5, two faces 20 x 1
+      expect(box.total).toBe(10 + 40);
+      // 20' strips are two pieces, so one butt across the bottom and each face
+      expect(box.joints.butt).toBe(0.5 + 2);
+      expect(box.bead).toBe(40);
+      expect(box.beadPieces).toBe(4);
+    });
+  });
+
+  describe('curves and arches', () => {
+    const room: Room = { name: 'Foyer', width: 10, length: 12, height: 8 };
+
+    it('should run a curved wall along its arc', () => {
+      const curved = { ...room, curves: [{ edge: 0, radius: 5 }] };
+
+      // A half round over the 10' width: 5π of wall and half a 5' circle of floor
+      expect(calculator.calculatePerimeter(curved)).toBeCloseTo(5 * Math.PI + 34);
+      expect(calculator.calculateFloorArea(curved)).toBeCloseTo(120 + (25 * Math.PI) / 2);
+      expect(
+        calculator.calculateFloorArea({ ...room, curves: [{ edge: 0, radius: 5, inward: true }] })
+      ).toBeCloseTo(120 - (25 * Math.PI) / 2);
+    });
+
+    it('should hang curved walls in two layers of flexible board', () => {
+      const parts = calculator.splitByAssembly({ ...room, curves: [{ edge: 0, radius: 5 }] });
+      const curve = parts[1].room;
+
+      expect(parts).toHaveLength(2);
+      expect(curve.drywallType).toBe('flexible');
+      expect(curve.drywallThickness).toBe(0.25);
+      expect(calculator.calculateWallArea(curve).baseLayers).toBeCloseTo(5 * Math.PI * 8);
+    });
+
+    it('should leave the corners of an arched head as wall', () => {
+      // 3' x 7' door with a half-round head: 3 x 5.5 plus half a 1.5' circle
+      expect(calculator.calculateOpeningArea(3, 7, 1.5)).toBeCloseTo(16.5 + (2.25 * Math.PI) / 2);
+      expect(calculator.calculateOpeningArea(3, 7)).toBe(21);
+    });
+
+    it('should wrap arched openings in archway bead', () => {
+      const beads = calculator.calculateBeads([
+        { ...room, doorDetails: [{ width: 3, height: 7, arch: 1.5 }] },
+      ]);
+
+      // Jambs to the 5.5' spring line take corner bead and L-bead; the arch 1.5π
+      expect(beads).toEqual([
+        { type: 'metal', feet: 11, pieces: 2 },
+        { type: 'lbead', feet: 11, pieces: 2 },
+        { type: 'arch', feet: expect.closeTo(1.5 * Math.PI), pieces: 1 },
+      ]);
+    });
+
+    it('should line niches on their returns', () => {
+      const lined = calculator.calculateNicheArea({
+        width: 1.5,
+        height: 2,
+        depth: 0.5,
+        arch: 0.75,
+        count: 2,
+      });
+
+      // Each: jambs to the 1.25' spring line and the 1.5' bottom, plus a 0.75π arch
+      expect(lined.bead).toBe(2 * 4);
+      expect(lined.lining).toBe(2 * 4 * 0.5);
+      expect(lined.archBead).toBeCloseTo(2 * 0.75 * Math.PI);
+      expect(lined.curved).toBeCloseTo(0.75 * Math.PI);
+    });
+  });
+
+  describe('garage separation', () => {
+    const square = (x: number, y: number, size: number) => [
+      { x, y },
+      { x: x + size, y },
+      { x: x + size, y: y + size },
+      { x, y: y + size },
+    ];
+    // Garage with the kitchen beside it and a bedroom over part of it; the shop is detached
+    const plan = (garage: Partial<Room> = {}): Project => ({
+      floors: [
+        {
+          rooms: [
+            { name: 'Garage', type: 'garage', height: 9, points: square(0, 0, 240), ...garage },
+            { name: 'Kitchen', type: 'kitchen', height: 9, points: square(240, 0, 240) },
+            { name: 'Shop', type: 'garage', height: 9, points: square(600, 0, 200) },
+          ],
+          walls: [
+            { id: 'w-front', start: { x: 0, y: 0 }, end: { x: 480, y: 0 } },
+            { id: 'w-shared', start: { x: 240, y: 0 }, end: { x: 240, y: 240 } },
+          ],
+        },
+        { rooms: [{ name: 'Bedroom', type: 'bedroom', height: 8, points: square(120, 0, 240) }] },
+      ],
+    });
+
+    it('should find the shared wall and the ceiling under living space', () => {
+      expect(calculator.findGarageSeparations(plan())).toEqual([
+        {
+          floor: 0,
+          garage: 'Garage',
+          surface: 'wall',
+          edge: 1,
+          wallId: 'w-shared',
+          adjoining: 'Kitchen',
+          drywallType: 'standard',
+          status: 'hang',
+          passes: false,
+        },
+        {
+          floor: 0,
+          garage: 'Garage',
+          surface: 'ceiling',
+          adjoining: 'Bedroom',
+          drywallType: 'standard',
+          status: 'hang',
+          passes: false,
+        },
+      ]);
+    });
+
+    it('should pass Type X hung on the garage side only', () => {
+      const separations = calculator.findGarageSeparations(
+        plan({
+          drywallType: 'typex',
+          wallFaces: [{ edge: 1, status: 'skip' }],
+        })
+      );
+
+      // An unboarded face fails whatever the room's board is
+      expect(separations.map((s) => [s.surface, s.passes])).toEqual([
+        ['wall', false],
+        ['ceiling', true],
+      ]);
+      expect(
+        calculator
+          .findGarageSeparations(plan({ wallFaces: [{ edge: 1, assembly: 'fire-1hr' }] }))
+          .map((s) => s.passes)
+      ).toEqual([true, false]);
+    });
+
+    it('should find living space over only part of the garage', () => {
+      const ceilingUnder = (garage: Point[], above: Point[]) =>
+        calculator
+          .findGarageSeparations({
+            floors: [
+              { rooms: [{ name: 'Garage', type: 'garage', height: 9, points: garage }] },
+              { rooms: [{ name: 'Bonus', type: 'bedroom', height: 8, points: above }] },
+            ],
+          })
+          .filter((s) => s.surface === 'ceiling')
+          .map((s) => s.adjoining);
+      const lShaped = [
+        { x: 0, y: 0 },
+        { x: 480, y: 0 },
+        { x: 480, y: 240 },
+        { x: 240, y: 240 },
+        { x: 240, y: 480 },
+        { x: 0, y: 480 },
+      ];
+
+      // Over one end: neither room's centre is inside the other
+      expect(ceilingUnder(square(0, 0, 240), square(0, 180, 240))).toEqual(['Bonus']);
+      expect(ceilingUnder(lShaped, square(360, 180, 240))).toEqual(['Bonus']);
+      // Beside the garage, sharing only its edge
+      expect(ceilingUnder(square(0, 0, 240), square(240, 0, 240))).toEqual([]);
+    });
+  });
+
+  describe('calculateProjectEstimate', () => {
+    const pricing: Pricing = {
+      drywallPerSheet: 15,
+      drywallPrices: { moisture: 22.5, typex: 20 },
+      mudPerBucket: 20,
+      tapePerRoll: 8,
+      screwsPerPound: 8,
+      cornerBeadPer10ft: 5,
+      primerPerGallon: 35,
+      texturePerBag: 15,
+    };
+    const laborRates: LaborRates = { hanging: 0.8, taping: 0.9, finishing: 0.8 };
+
+    it('should price each room by its drywall type', () => {
+      const project: Project = {
+        floors: [
+          {
+            rooms: [
+              { name: 'Bath', width: 8, length: 10, height: 8, drywallType: 'moisture' },
+              { name: 'Garage', width: 20, length: 20, height: 8, drywallType: 'typex' },
+            ],
+          },
+        ],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, pricing, laborRates);
+      const [bath, garage] = estimate.materials.sheetGroups;
+
+      // Bath: 36' perimeter * 8 = 288 sq ft * 1.1 / 32 = 9.9 -> 10 sheets of 1/2"
+      expect(bath).toMatchObject({ drywallType: 'moisture', thickness: 0.5, sheets: 10 });
+      // Garage: 80' perimeter * 8 = 640 sq ft * 1.1 / 32 = 22 sheets of 5/8"
+      expect(garage).toMatchObject({ drywallType: 'typex', thickness: 0.625, sheets: 22 });
+
+      expect(estimate.materials.sheets).toBe(32);
+      expect(estimate.costs.materials.drywall).toBe(10 * 22.5 + 22 * 20);
+    });
+
+    it('should list a separate sheet line per board type', () => {
+      const project: Project = {
+        floors: [
+          {
+            rooms: [
+              { name: 'Bedroom', width: 10, length: 12, height: 8 },
+              { name: 'Garage', width: 20, length: 20, height: 8, drywallType: 'typex' },
+            ],
+          },
+        ],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, pricing, laborRates);
+      const sheetLines = calculator
+        .generateMaterialList(estimate)
+        .filter((item) => item.category === 'Drywall Sheets');
+
+      expect(sheetLines.map((item) => item.item)).toEqual([
+        "1/2\" x 4' x 8' Drywall Sheet",
+        "5/8\" x 4' x 8' Type X Drywall Sheet",
+      ]);
+      expect(sheetLines[0].unitCost).toBe(15);
+      expect(sheetLines[1].unitCost).toBe(20);
+    });
+
+    it('should order board for gable ends alongside the laid-out walls', () => {
+      const project: Project = {
+        floors: [
+          {
+            rooms: [
+              {
+                name: 'Bedroom',
+                width: 10,
+                length: 12,
+                height: 8,
+                ceilingType: 'cathedral',
+                ceiling: { pitch: 12 },
+              },
+            ],
+          },
+        ],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, pricing, laborRates, {
+        optimizeLayout: true,
+      });
+
+      // 10' span rises 5' to the ridge: two 10' x 5' triangles = 50 sq ft
+      expect(estimate.areas.wall).toBeCloseTo(352 + 50);
+      // 8 laid-out sheets, plus 50 * 1.1 / 32 = 1.7 -> 2 for the gables
+      expect(estimate.materials.sheets).toBe(10);
+    });
+
+    it('should order stock sizes from the sheet layout when optimizing', () => {
+      const project: Project = {
+        floors: [{ rooms: [{ name: 'Bedroom', width: 10, length: 12, height: 8 }] }],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, pricing, laborRates, {
+        optimizeLayout: true,
+      });
+      const [group] = estimate.materials.sheetGroups;
+
+      // Two 4' rows per wall: 10' walls take 4x10s, 12' walls take 4x12s
+      expect(group.sizes).toEqual([
+        { label: '4x10', width: 4, length: 10, count: 4 },
+        { label: '4x12', width: 4, length: 12, count: 4 },
+      ]);
+      expect(group.layout?.cuts).toHaveLength(8);
+      expect(estimate.materials.sheets).toBe(8);
+      // Priced by area relative to a 4x8: 4 * 15 * 1.25 + 4 * 15 * 1.5
+      expect(estimate.costs.materials.drywall).toBe(165);
+
+      const sheetLines = calculator
+        .generateMaterialList(estimate)
+        .filter((item) => item.category === 'Drywall Sheets');
+      expect(sheetLines.map((item) => [item.item, item.quantity, item.unitCost])).toEqual([
+        ["1/2\" x 4' x 10' Drywall Sheet", 4, 18.75],
+        ["1/2\" x 4' x 12' Drywall Sheet", 4, 22.5],
+      ]);
+    });
+
+    it('should order a mix of lengths and tape its seams when mixing', () => {
+      const project: Project = {
+        floors: [{ rooms: [{ name: 'Bedroom', width: 10, length: 12, height: 8 }] }],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, pricing, laborRates, {
+        mixedLengths: true,
+      });
+      const [group] = estimate.materials.sheetGroups;
+
+      expect(group.sizes).toEqual([
+        { label: '4x10', width: 4, length: 10, count: 4 },
+        { label: '4x12', width: 4, length: 12, count: 4 },
+      ]);
+      expect(estimate.rooms[0].sheetMix?.buttJoints).toBe(0);
+      // One row seam around the 44' perimeter and four 8' corners, no butt joints
+      expect(estimate.materials.joints.total).toBe(76);
+      expect(estimate.materials.tape).toBe(2);
+      expect(estimate.costs.materials.drywall).toBe(165);
+    });
+
+    it('should list and price each bead type from outside corners and returns', () => {
+      const project: Project = {
+        floors: [
+          {
+            rooms: [
+              { name: 'Den', width: 12, length: 14, height: 8, windows: 1, outsideCorners: 2 },
+            ],
+          },
+        ],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(
+        project,
+        { ...pricing, beadPrices: { lbead: 3 } },
+        laborRates,
+        { openingReturns: 'windows' }
+      );
+      const beadLines = calculator
+        .generateMaterialList(estimate)
+        .filter((item) => item.category === 'Accessories');
+
+      // Two 8' corners (one stick each) plus 14' of window return
+      expect(beadLines.map((item) => [item.item, item.quantity, item.totalCost])).toEqual([
+        ["Metal Corner Bead (10')", 4, 20],
+        ["L-Bead (10')", 2, 6],
+      ]);
+      expect(estimate.materials.cornerBead).toBe(6);
+      expect(estimate.costs.materials.cornerBead).toBe(26);
+    });
+
+    it('should finish, prime and texture each room to its own settings', () => {
+      const project: Project = {
+        floors: [
+          {
+            rooms: [
+              {
+                name: 'Great Room',
+                width: 20,
+                length: 24,
+                height: 10,
+                finishLevel: 'level5',
+                includeTexture: true,
+              },
+              {
+                name: 'Garage',
+                width: 20,
+                length: 20,
+                height: 8,
+                finishLevel: 'level2',
+                includePrimer: false,
+              },
+            ],
+          },
+        ],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, pricing, laborRates);
+
+      expect(estimate.rooms.map((room) => [room.finishLevel, room.includePrimer])).toEqual([
+        ['level5', true],
+        ['level2', false],
+      ]);
+      // Only the great room's 880 sq ft is primed and textured
+      expect(estimate.materials.primer).toBe(3);
+      expect(estimate.materials.texture).toBe(2);
+      expect(estimate.materials.mudGallons.skimCoat).toBeCloseTo(8.8);
+      // Great room: 880 * (0.8 + 0.9 + 0.8 * 1.5); garage: 640 * (0.8 + 0.9 * 0.75 + 0.8 * 0.25)
+      expect(estimate.costs.labor.total).toBeCloseTo(2552 + 1072);
+      // The garage gets no first/second coat or sanding time
+      const greatRoomTime = calculator.estimateInstallationTime(880, 'level5');
+      const garageTime = calculator.estimateInstallationTime(640, 'level2', false);
+      expect(garageTime.sanding).toBe(0);
+      expect(estimate.installationTime.total).toBeCloseTo(greatRoomTime.total + garageTime.total);
+    });
+
+    it('should break costs down by room and floor and reconcile to the cent', () => {
+      const project: Project = {
+        floors: [
+          {
+            name: 'Basement',
+            rooms: [
+              { name: 'Rec Room', width: 18, length: 22, height: 8, includeCeiling: true },
+              { name: 'Storage', width: 7, length: 9, height: 8, finishLevel: 'level1' },
+            ],
+            stairs: [{}],
+          },
+          {
+            rooms: [
+              { name: 'Bedroom', width: 11, length: 13, height: 8, includeCeiling: true },
+              {
+                name: 'Garage',
+                width: 20,
+                length: 22,
+                height: 9,
+                drywallType: 'typex',
+                includePrimer: false,
+              },
+            ],
+          },
+        ],
+      };
+
+      const estimate = calculator.calculateProjectEstimate(project, pricing, laborRates);
+      const cents = (value: number) => Math.round(value * 100);
+      const sumCents = (values: number[]) => values.reduce((sum, v) => sum + cents(v), 0);
+
+      expect(estimate.floors.map((floor) => floor.name)).toEqual(['Basement', 'Floor 2']);
+      expect(sumCents(estimate.floors.map((f) => f.cost.total))).toBe(cents(estimate.costs.total));
+      expect(sumCents(estimate.floors.map((f) => f.cost.materialCost))).toBe(
+        cents(estimate.costs.materials.total)
+      );
+      expect(sumCents(estimate.floors.map((f) => f.cost.laborCost))).toBe(
+        cents(estimate.costs.labor.total)
+      );
+      expect(sumCents(estimate.floors.map((f) => f.cost.markup))).toBe(
+        cents(estimate.costs.markup)
+      );
+
+      // The upper floor has no stairs, so its rooms add up to it exactly
+      const upper = estimate.rooms.slice(2);
+      expect(sumCents(upper.map((room) => room.cost.total))).toBe(
+        cents(estimate.floors[1].cost.total)
+      );
+
+      // Type X board is only charged to the garage
+      const garage = estimate.rooms[3];
+      const typexGroup = estimate.materials.sheetGroups.find((g) => g.drywallType === 'typex');
+      expect(garage.cost.materials.sheets).toBeCloseTo(typexGroup?.sheets || 0);
+      expect(garage.cost.materials.primer).toBe(0);
+      expect(garage.cost.markup).toBeCloseTo(
+        (garage.cost.materialCost + garage.cost.laborCost) * 0.2,
+        1
+      );
+    });
+
+    it('should order less tape and mud when longer sheets remove butt joints', () => {
+      const project: Project = {
+        floors: [{ rooms: [{ name: 'Living', width: 14, length: 24, height: 8 }] }],
+      };
+
+      const standard = calculator.calculateProjectEstimate(project, pricing, laborRates);
+      const mixed = calculator.calculateProjectEstimate(project, pricing, laborRates, {
+        mixedLengths: true,
+      });
+
+      // 4x8s butt twice per row on 24' walls and once on 14' walls; 10' + 14' butts once
+      expect(standard.materials.joints.butt).toBe(48);
+      expect(mixed.materials.joints.butt).toBe(16);
+      expect(mixed.materials.mudGallons.butt).toBeLessThan(standard.materials.mudGallons.butt);
+      expect(mixed.materials.joints.tapered).toBe(standard.materials.joints.tapered);
+    });
+
+    it('should hang extra layers without finishing them', () => {
+      const room: Room = { name: 'Garage', width: 20, length: 22, height: 8 };
+      const single = calculator.calculateProjectEstimate(
+        { floors: [{ rooms: [room] }] },
+        pricing,
+        laborRates
+      );
+      const doubled = calculator.calculateProjectEstimate(
+        { floors: [{ rooms: [{ ...room, wallFaces: [{ edge: 0, layers: 2 }] }] }] },
+        pricing,
+        laborRates
+      );
+
+      // 160 sq ft behind the face layer: hung at 0.80, never taped
+      expect(doubled.costs.labor.hanging - single.costs.labor.hanging).toBeCloseTo(128);
+      expect(doubled.costs.labor.taping).toBe(single.costs.labor.taping);
+      expect(doubled.materials.mud).toBe(single.materials.mud);
+      expect(doubled.materials.sheets).toBeGreaterThan(single.materials.sheets);
+      expect(doubled.areas.wall).toBe(single.areas.wall);
+    });
+
+    it('should order assembly board, screws and sundries', () => {
+      const estimate = calculator.calculateProjectEstimate(
+        {
+          floors: [
+            {
+              rooms: [
+                {
+                  name: 'Mechanical',
+                  width: 10,
+                  length: 12,
+                  height: 8,
+                  wallFaces: [{ edge: 0, assembly: 'fire-1hr-double' }],
+                },
+              ],
+            },
+          ],
+        },
+        pricing,
+        laborRates
+      );
+
+      // Type X: 80 face + 80 base layer = 160 sq ft -> ceil(176 / 32) = 6 sheets
+      const typex = estimate.materials.sheetGroups.find((g) => g.drywallType === 'typex');
+      expect(typex?.area).toBe(160);
+      expect(typex?.sheets).toBe(6);
+      // 10 + 6 sheets, plus 160 / 32 * 0.5 more for 8" spacing = 18.5 * 30 / 200 -> 3 lbs
+      expect(estimate.materials.screws).toBe(3);
+      // 80 sq ft at a tube per 200
+      expect(estimate.materials.accessories).toEqual([
+        { id: 'fireSealant', name: 'Fire-Rated Sealant', unit: 'tubes', quantity: 1 },
+      ]);
+      expect(estimate.costs.materials.accessories).toBe(12);
+      expect(estimate.rooms).toHaveLength(1);
+      expect(estimate.rooms[0].wallArea).toBe(352);
+      expect(estimate.rooms[0].cost.total).toBe(estimate.costs.total);
+    });
+
+    it('should scale hanging labor for slower assemblies', () => {
+      const estimate = calculator.calculateProjectEstimate(
+        {
+          floors: [
+            {
+              rooms: [
+                { name: 'Theater', width: 10, length: 12, height: 8, wallAssembly: 'sound-rc' },
+              ],
+            },
+          ],
+        },
+        pricing,
+        laborRates
+      );
+
+      // 352 sq ft at 0.80, 25% slower on channel
+      expect(estimate.costs.labor.hanging).toBeCloseTo(352);
+      // Channel rows 24" on center: 352 * 0.5 = 176 lf
+      expect(estimate.materials.accessories.map((a) => [a.id, a.quantity])).toEqual([
+        ['resilientChannel', 176],
+        ['acousticSealant', 2],
+      ]);
+      expect(estimate.materials.sheetGroups.map((g) => g.key)).toEqual(['standard-0.625']);
+    });
+
+    it('should estimate remodel work instead of new construction', () => {
+      const estimate = calculator.calculateProjectEstimate(
+        {
+          floors: [
+            {
+              rooms: [
+                {
+                  name: 'Basement',
+                  width: 10,
+                  length: 12,
+                  height: 8,
+                  includeCeiling: true,
+                  repairs: [
+                    { kind: 'water', cutHeight: 2 },
+                    { kind: 'skim', edge: 1 },
+                    { kind: 'patch', small: 4, large: 1 },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        pricing,
+        laborRates
+      );
+
+      // Only the 44' x 2' flood cut is hung; the ceiling stays
+      expect(estimate.areas.wall).toBe(88);
+      expect(estimate.areas.ceiling).toBe(0);
+      expect(estimate.areas.demolition).toBe(88);
+      // (88 torn out + 16 patch) / 200 = 0.52 -> 1 cu yd
+      expect(estimate.materials.debris).toBe(1);
+      expect(estimate.costs.materials.disposal).toBe(45);
+      expect(estimate.costs.labor.demolition).toBeCloseTo(44);
+      // Skim on the 12' x 8' wall, 1 gal per 100 sq ft; 4 x 0.02 + 0.4 of patch fill
+      expect(estimate.materials.mudGallons.skimCoat).toBeCloseTo(0.96);
+      expect(estimate.materials.mudGallons.patches).toBeCloseTo(0.48);
+      // Butts of 8' board on 2' rows (4 x 2), the 44' cut line and the large patch
+      expect(estimate.materials.joints.butt).toBe(68);
+      expect(estimate.installationTime.demolition).toBeCloseTo(88 / 150);
+      expect(estimate.rooms[0].cost.total).toBe(estimate.costs.total);
+    });
+
+    it('should add soffits as slower board with their own bead', () => {
+      const estimate = calculator.calculateProjectEstimate(
+        {
+          floors: [
+            {
+              rooms: [
+                {
+                  name: 'Kitchen',
+                  width: 10,
+                  length: 12,
+                  height: 8,
+                  includeCeiling: false,
+                  soffits: [{ length: 12, depth: 1.5, drop: 1, openEnds: 1 }],
+                },
+              ],
+            },
+          ],
+        },
+        pricing,
+        laborRates
+      );
+
+      expect(estimate.areas.soffits).toBe(31.5);
+      expect(estimate.areas.total).toBe(352 + 31.5);
+      expect(estimate.rooms[0].soffitArea).toBe(31.5);
+      // 352 sq ft of wall plus the soffit at half again the time, at 0.80
+      expect(estimate.costs.labor.hanging).toBeCloseTo((352 + 31.5 * 1.5) * 0.8);
+      // 14.5' of soffit edge: two sticks along the 12' face, one per end panel edge
+      expect(estimate.materials.cornerBead).toBe(4);
+    });
+
+    it('should order flexible board for curved walls and arched niches', () => {
+      const estimate = calculator.calculateProjectEstimate(
+        {
+          floors: [
+            {
+              rooms: [
+                {
+                  name: 'Foyer',
+                  width: 10,
+                  length: 12,
+                  height: 8,
+                  includeCeiling: false,
+                  curves: [{ edge: 0, radius: 5 }],
+                  niches: [{ width: 1.5, height: 2, depth: 0.5, arch: 0.75 }],
+                },
+              ],
+            },
+          ],
+        },
+        pricing,
+        laborRates
+      );
+      const flexible = estimate.materials.sheetGroups.find((g) => g.drywallType === 'flexible');
+
+      // Two layers over the 5π x 8 curve plus the niche's arched top, 0.375π
+      expect(flexible?.area).toBeCloseTo(2 * 40 * Math.PI + 0.375 * Math.PI);
+      expect(flexible?.thickness).toBe(0.25);
+      // Straight walls, the curve and the niche lining all count as wall
+      expect(estimate.areas.wall).toBeCloseTo(34 * 8 + 40 * Math.PI + 2 + 0.375 * Math.PI);
+      expect(estimate.materials.beads.map((b) => b.type)).toEqual(['metal', 'arch']);
+      expect(estimate.rooms[0].cost.total).toBe(estimate.costs.total);
+    });
+  });
 });
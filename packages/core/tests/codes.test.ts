@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { CodeRuleBook } from '../src/codes';
+import type { CodeRulePack, Project } from '@drywall/types';
+
+describe('CodeRuleBook', () => {
+  const rules = new CodeRuleBook();
+  const project = (height: number, extra: Partial<Project> = {}): Project => ({
+    floors: [{ rooms: [{ name: 'Basement Den', type: 'living', width: 12, length: 14, height }] }],
+    ...extra,
+  });
+  const ids = (p: Project) => rules.check(p).map((finding) => finding.ruleId);
+
+  it('should check against IRC 2021 unless the project picks a pack', () => {
+    const findings = rules.check(project(6.5));
+    const height = findings.find((finding) => finding.ruleId === 'min-ceiling-height');
+
+    expect(height?.citation).toBe('IRC 2021 R305.1');
+    expect(height?.severity).toBe('danger');
+    expect(height?.priority).toBe('high');
+    expect(height?.message).toBe(
+      "Habitable rooms need at least a 7' ceiling. Basement Den has only 6.5'."
+    );
+  });
+
+  it('should hold commercial work to the IBC minimum', () => {
+    // 7'3" passes the IRC's 7' but not the IBC's 7'6"
+    expect(ids(project(7.25))).not.toContain('min-ceiling-height');
+    expect(ids(project(7.25, { codePack: 'ibc-2021' }))).toContain('min-ceiling-height');
+  });
+
+  it('should carry every IRC rule over to the IBC pack', () => {
+    const ruleIds = (packId: string) => rules.resolve(packId).map((rule) => rule.id);
+
+    expect(ruleIds('ibc-2021')).toEqual(ruleIds('irc-2021'));
+    expect(
+      rules.resolve('ibc-2021').find((rule) => rule.id === 'wall-fastener-spacing')
+    ).toMatchObject({
+      citation: 'IBC 2021 2508.1',
+    });
+  });
+
+  it('should apply local amendments over the pack they extend', () => {
+    const amendment: CodeRulePack = {
+      id: 'county',
+      name: 'County Amendments',
+      extends: 'irc-2018',
+      disable: ['accessibility'],
+      rules: [
+        {
+          id: 'min-ceiling-height',
+          scope: 'room',
+          citation: 'County 12-4',
+          severity: 'warning',
+          title: 'Ceiling Height',
+          message: "{room} is {height}' tall; the county wants 7'6\".",
+          when: { height: { lt: 7.5 }, roomType: { notIn: ['garage'] } },
+        },
+      ],
+    };
+    const findings = rules.check(
+      project(7.25, { codePack: 'county', codeAmendments: [amendment] })
+    );
+
+    expect(findings.map((finding) => finding.ruleId)).toEqual(['min-ceiling-height']);
+    expect(findings[0].citation).toBe('County 12-4');
+    expect(findings[0].priority).toBe('medium');
+    expect(findings[0].message).toBe("Basement Den is 7.25' tall; the county wants 7'6\".");
+  });
+
+  it('should tie garage separation findings to the wall on the plan', () => {
+    const square = (x: number, y: number) => [
+      { x, y },
+      { x: x + 240, y },
+      { x: x + 240, y: y + 240 },
+      { x, y: y + 240 },
+    ];
+    const findings = rules.check({
+      floors: [
+        {
+          rooms: [
+            { name: 'Garage', type: 'garage', height: 9, points: square(0, 0) },
+            { name: 'Mudroom', type: 'laundry', height: 9, points: square(240, 0) },
+          ],
+          walls: [{ id: 'w-shared', start: { x: 240, y: 0 }, end: { x: 240, y: 240 } }],
+        },
+      ],
+    });
+    const wall = findings.find((finding) => finding.ruleId === 'garage-wall-separation');
+
+    expect(wall?.wallId).toBe('w-shared');
+    expect(wall?.floorIndex).toBe(0);
+    expect(wall?.message).toBe(
+      'Wall 2 of Garage, shared with Mudroom, is hung in standard board. It separates the garage from living space and needs 5/8" Type X.'
+    );
+  });
+
+  it('should reject packs it cannot check', () => {
+    expect(() => rules.loadJSON('{"id": "bad", "rules": [{"id": "x", "scope": "attic"}]}')).toThrow(
+      'Rule x in bad has no citation, title, message, when'
+    );
+    expect(() => rules.resolve('nowhere-2030')).toThrow("Unknown code rule pack 'nowhere-2030'");
+    expect(() =>
+      rules.resolve('loop', [{ id: 'loop', name: 'Loop', extends: 'loop', rules: [] }])
+    ).toThrow("Code rule pack 'loop' extends itself");
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { SheetLayoutEngine } from '../src/layout';
+
+describe('SheetLayoutEngine', () => {
+  it('should hang a plain wall in full-length rows', () => {
+    const engine = new SheetLayoutEngine();
+    const layout = engine.layout([{ id: 'wall', kind: 'wall', run: 12, rise: 8 }]);
+
+    // Two 4' rows of 12' each
+    expect(layout.sheetsBySize).toEqual([{ label: '4x12', width: 4, length: 12, count: 2 }]);
+    expect(layout.cuts).toHaveLength(2);
+    expect(layout.wasteArea).toBe(0);
+  });
+
+  it('should use 54" board when it saves a row', () => {
+    const engine = new SheetLayoutEngine();
+    const layout = engine.layout([{ id: 'wall', kind: 'wall', run: 12, rise: 9 }]);
+
+    expect(layout.sheetsBySize).toEqual([{ label: '54"x12', width: 4.5, length: 12, count: 2 }]);
+  });
+
+  it('should reuse offcuts on later surfaces', () => {
+    const engine = new SheetLayoutEngine([{ width: 4, length: 12 }]);
+    const layout = engine.layout([
+      { id: 'wall', kind: 'wall', run: 10, rise: 8 },
+      { id: 'return', kind: 'wall', run: 2, rise: 8 },
+    ]);
+
+    // The 2' return is finished from the two 2' offcuts
+    expect(layout.sheets).toBe(2);
+    expect(layout.cuts.filter((cut) => cut.fromOffcut)).toHaveLength(2);
+  });
+
+  it('should leave board out of rows an opening fully spans', () => {
+    const engine = new SheetLayoutEngine();
+    const layout = engine.layout([
+      {
+        id: 'wall',
+        kind: 'wall',
+        run: 12,
+        rise: 8,
+        openings: [{ x: 4.5, y: 0, width: 3, height: 7 }],
+      },
+    ]);
+
+    const bottomRow = layout.cuts.filter((cut) => cut.row === 0);
+    expect(bottomRow.map((cut) => [cut.x, cut.length])).toEqual([
+      [0, 4.5],
+      [7.5, 4.5],
+    ]);
+    expect(layout.coveredArea).toBe(96 - 21);
+  });
+
+  it('should turn the surface when hanging vertically', () => {
+    const engine = new SheetLayoutEngine([{ width: 4, length: 8 }]);
+    const layout = engine.layout([
+      { id: 'wall', kind: 'wall', run: 12, rise: 8, orientation: 'vertical' },
+    ]);
+
+    expect(layout.sheets).toBe(3);
+    expect(layout.cuts.every((cut) => cut.length === 8)).toBe(true);
+  });
+});
@@ -0,0 +1,371 @@
+import { describe, it, expect, vi } from 'vitest';
+import RecommendationEngine from '../src/recommendations';
+import { calculator } from '../src/calculator';
+import type { LaborRates, Pricing, Project, Room } from '@drywall/types';
+
+describe('RecommendationEngine', () => {
+  const project = (...rooms: Room[]): Project => ({ floors: [{ rooms }] });
+  const room = (type: string, extra: Partial<Room> = {}): Room => ({
+    name: `Test ${type}`,
+    type,
+    width: 10,
+    length: 12,
+    height: 8,
+    ...extra,
+  });
+  const pricing: Pricing = {
+    drywallPerSheet: 15,
+    mudPerBucket: 20,
+    tapePerRoll: 8,
+    screwsPerPound: 8,
+    cornerBeadPer10ft: 5,
+    primerPerGallon: 35,
+    texturePerBag: 15,
+  };
+  const laborRates: LaborRates = { hanging: 0.8, taping: 0.9, finishing: 0.8 };
+  const titles = (p: Project) =>
+    RecommendationEngine.getRoomTypeRecommendations(p).map((rec) => rec.title);
+
+  describe('generateRecommendations', () => {
+    it('should include room-type recommendations alongside the rest', () => {
+      const p = project(room('bathroom'), room('living'));
+      const recommendations = RecommendationEngine.generateRecommendations(
+        p,
+        calculator.calculateProjectEstimate(p, {}, {})
+      );
+
+      expect(Array.isArray(recommendations)).toBe(true);
+      expect(recommendations.map((rec) => rec.title)).toContain('Use Moisture-Resistant Drywall');
+    });
+  });
+
+  describe('savings', () => {
+    const big = project(room('living', { width: 30, length: 40, height: 10 }));
+    const options = { wasteFactor: 0.25, finishLevel: 'level5' as const };
+    const estimate = calculator.calculateProjectEstimate(big, pricing, laborRates, options);
+    const cost = RecommendationEngine.priceAlternatives(
+      RecommendationEngine.getCostOptimizationRecommendations(estimate),
+      big,
+      estimate
+    );
+    const savings = (title: string) => cost.find((rec) => rec.title === title)?.savings;
+    const total = (changes: object, prices: Partial<Pricing> = {}) =>
+      calculator.calculateProjectEstimate(big, { ...pricing, ...prices }, laborRates, {
+        ...options,
+        ...changes,
+      }).costs.total;
+    const round = (amount: number) => Math.round(amount * 100) / 100;
+
+    it('should price each saving by re-running the estimate with the alternative', () => {
+      expect(savings('High Waste Factor')).toBe(
+        round(estimate.costs.total - total({ wasteFactor: 0.1 }))
+      );
+      expect(savings('Level 5 Finish Is Premium')).toBe(
+        round(estimate.costs.total - total({ finishLevel: 'level4' }))
+      );
+      expect(savings('Bulk Purchase Discount Available')).toBe(
+        round(estimate.costs.total - total({}, { drywallPerSheet: 13.13 }))
+      );
+      // Every cost optimization is priced; buying tips that can't be sit elsewhere
+      expect(
+        cost.filter((rec) => rec.category === 'Cost Optimization').map((rec) => rec.title)
+      ).toEqual(cost.filter((rec) => rec.savings).map((rec) => rec.title));
+      expect(cost.find((rec) => rec.title === 'Best Time to Buy')?.category).toBe(
+        'Material Selection'
+      );
+    });
+
+    it('should count overlapping savings once in the summary', () => {
+      const summary = RecommendationEngine.generateSummary(cost, big, estimate);
+      const all = total(
+        { wasteFactor: 0.1, finishLevel: 'level4', mixedLengths: true },
+        { drywallPerSheet: 13.13 }
+      );
+      const separately = cost.reduce((sum, rec) => sum + (rec.savings || 0), 0);
+
+      expect(summary.totalPotentialSavings).toBeCloseTo(estimate.costs.total - all, 2);
+      expect(summary.totalPotentialSavings).toBeLessThan(separately);
+      // Without the project there's nothing to re-run
+      expect(RecommendationEngine.generateSummary(cost).totalPotentialSavings).toBeCloseTo(
+        separately,
+        2
+      );
+    });
+
+    it('should say what lowering a room finish level saves', () => {
+      const closet = project(room('closet'));
+      const closetEstimate = calculator.calculateProjectEstimate(closet, pricing, laborRates);
+      const [finish] = RecommendationEngine.priceAlternatives(
+        RecommendationEngine.getRoomTypeRecommendations(closet, closetEstimate),
+        closet,
+        closetEstimate
+      );
+      const lowered = calculator.calculateProjectEstimate(
+        project(room('closet', { finishLevel: 'level3' })),
+        pricing,
+        laborRates
+      );
+
+      expect(finish.category).toBe('Cost Optimization');
+      expect(finish.savings).toBeGreaterThan(0);
+      expect(finish.savings).toBe(round(closetEstimate.costs.total - lowered.costs.total));
+    });
+
+    it('should re-run each alternative once per estimate, and only when priced', () => {
+      const p = project(room('living', { width: 30, length: 40, height: 10 }));
+      const fresh = calculator.calculateProjectEstimate(p, pricing, laborRates, options);
+      const runs = vi.spyOn(calculator, 'calculateProjectEstimate');
+
+      const recommendations = RecommendationEngine.generateRecommendations(p, fresh);
+      expect(runs).not.toHaveBeenCalled();
+
+      RecommendationEngine.priceAlternatives(recommendations, p, fresh);
+      // The baseline, then the waste factor, finish level, bulk price and mixed lengths
+      expect(runs).toHaveBeenCalledTimes(5);
+      RecommendationEngine.priceAlternatives(recommendations, p, fresh);
+      expect(runs).toHaveBeenCalledTimes(5);
+
+      runs.mockRestore();
+    });
+  });
+
+  describe('responses', () => {
+    const find = (p: Project, title: string) =>
+      RecommendationEngine.generateRecommendations(p, null).find((rec) => rec.title === title);
+
+    it('should give recommendations the same ID every time they come up', () => {
+      const first = find(project(room('bathroom')), 'Use Moisture-Resistant Drywall');
+      const again = find(project(room('bathroom')), 'Use Moisture-Resistant Drywall');
+
+      expect(first.id).toBe('material-selection:use-moisture-resistant-drywall:0:test-bathroom');
+      expect(again.id).toBe(first.id);
+    });
+
+    it('should tell apart rooms of the same name on different floors', () => {
+      const p: Project = { floors: [{ rooms: [room('bathroom')] }, { rooms: [room('bathroom')] }] };
+      const [downstairs, upstairs] = RecommendationEngine.generateRecommendations(p, null).filter(
+        (rec) => rec.title === 'Use Moisture-Resistant Drywall'
+      );
+      const dismissed = RecommendationEngine.respond(p, downstairs, 'dismissed');
+
+      expect(upstairs.id).not.toBe(downstairs.id);
+      expect(
+        RecommendationEngine.generateRecommendations(dismissed, null)
+          .filter((rec) => rec.title === 'Use Moisture-Resistant Drywall')
+          .map((rec) => rec.floorIndex)
+      ).toEqual([1]);
+    });
+
+    it('should tell apart two stairs on the same floor', () => {
+      const stair = (id: string, x: number) => ({
+        id,
+        start: { x, y: 0 },
+        end: { x, y: 100 },
+        scale: 20,
+        risers: 16,
+        riserHeight: 8,
+      });
+      const p: Project = {
+        floors: [{ rooms: [], stairs: [stair('st1', 0), stair('st2', 400)] }, { rooms: [] }],
+      };
+      const ids = (q: Project, title: string) =>
+        RecommendationEngine.generateRecommendations(q, null)
+          .filter((rec) => rec.title === title)
+          .map((rec) => rec.id);
+
+      ['Stair Without Opening Above', 'Scaffolding Needed Over Stairwell'].forEach((title) => {
+        const [first, second] = ids(p, title);
+        expect(second).toBeDefined();
+        expect(second).not.toBe(first);
+
+        const dismissed = RecommendationEngine.respond(
+          p,
+          RecommendationEngine.generateRecommendations(p, null).find((rec) => rec.id === first),
+          'dismissed'
+        );
+        expect(ids(dismissed, title)).toEqual([second]);
+      });
+    });
+
+    it('should keep dismissed recommendations from coming back', () => {
+      const p = project(room('living'));
+      const tips = find(p, 'Drywall Hanging Tips');
+      const dismissed = RecommendationEngine.respond(p, tips, 'dismissed', { note: 'Seen it' });
+
+      expect(p.recommendationResponses).toBeUndefined();
+      expect(find(dismissed, 'Drywall Hanging Tips')).toBeUndefined();
+      expect(find(dismissed, 'Drywall Dust Safety')).toBeDefined();
+    });
+
+    it('should list acknowledged code warnings with who acknowledged them', () => {
+      const p = project(room('living', { height: 6.5 }));
+      const height = find(p, 'Minimum Ceiling Height Violation')!;
+      const acknowledged = RecommendationEngine.respond(p, height, 'acknowledged', {
+        note: 'Existing basement, grandfathered',
+        by: 'J. Rivera',
+      });
+
+      expect(height.id).toBe('code:min-ceiling-height:0:test-living');
+      expect(find(acknowledged, 'Minimum Ceiling Height Violation')?.response?.by).toBe(
+        'J. Rivera'
+      );
+      expect(RecommendationEngine.getAcknowledgedCodeWarnings(acknowledged)).toMatchObject([
+        {
+          id: height.id,
+          status: 'acknowledged',
+          code: 'IRC 2021 R305.1',
+          note: 'Existing basement, grandfathered',
+          by: 'J. Rivera',
+        },
+      ]);
+    });
+  });
+
+  describe('getRoomTypeRecommendations', () => {
+    it('should leave rooms without type rules alone', () => {
+      expect(titles(project(room('living'), room('bedroom')))).toEqual([]);
+    });
+
+    it('should ask for moisture-resistant board in wet rooms until they have it', () => {
+      const [board] = RecommendationEngine.getRoomTypeRecommendations(project(room('bathroom')));
+
+      expect(board.type).toBe('warning');
+      expect(board.room).toBe('Test bathroom');
+      expect(board.action).toBe('Switch Test bathroom to Moisture-Resistant drywall');
+      expect(titles(project(room('bathroom', { drywallType: 'moisture' })))).not.toContain(
+        'Use Moisture-Resistant Drywall'
+      );
+    });
+
+    it('should take a sound assembly in place of 5/8" board in theaters', () => {
+      expect(titles(project(room('theater')))).toContain('Use Fire-Rated Drywall');
+      expect(titles(project(room('theater', { drywallType: 'typex' })))).not.toContain(
+        'Use Fire-Rated Drywall'
+      );
+      expect(titles(project(room('theater', { wallAssembly: 'sound-rc' })))).not.toContain(
+        'Use Fire-Rated Drywall'
+      );
+    });
+
+    it('should raise finish levels where paint shows flaws and lower them where nobody looks', () => {
+      const kitchen = RecommendationEngine.getRoomTypeRecommendations(
+        project(room('kitchen', { drywallType: 'moisture', finishLevel: 'level3' }))
+      );
+      expect(kitchen[0]).toMatchObject({
+        type: 'warning',
+        title: 'Finish Test kitchen to Level 4',
+      });
+
+      // Closets default to Level 4 like everything else, one more than they need
+      const closet = RecommendationEngine.getRoomTypeRecommendations(project(room('closet')));
+      expect(closet[0]).toMatchObject({
+        type: 'info',
+        category: 'Cost Optimization',
+        title: 'Finish Test closet to Level 3',
+      });
+      expect(titles(project(room('closet', { finishLevel: 'level3' })))).not.toContain(
+        'Finish Test closet to Level 3'
+      );
+    });
+
+    it('should hold rooms without their own finish level to the project level', () => {
+      const finishes = (p: Project, finishLevel: 'level3' | 'level5') =>
+        RecommendationEngine.getRoomTypeRecommendations(
+          p,
+          calculator.calculateProjectEstimate(p, {}, {}, { finishLevel })
+        )
+          .filter((rec) => rec.title.startsWith('Finish'))
+          .map((rec) => rec.title);
+
+      expect(finishes(project(room('theater', { drywallType: 'typex' })), 'level5')).toEqual([
+        'Finish Test theater to Level 4',
+      ]);
+      expect(finishes(project(room('bathroom', { drywallType: 'moisture' })), 'level3')).toEqual([
+        'Finish Test bathroom to Level 4',
+      ]);
+      // A level of the room's own still wins
+      expect(
+        finishes(
+          project(room('bathroom', { drywallType: 'moisture', finishLevel: 'level4' })),
+          'level3'
+        )
+      ).toEqual([]);
+    });
+
+    it('should list backing to install before hanging, laundries as utility rooms', () => {
+      const backing = RecommendationEngine.getRoomTypeRecommendations(
+        project(room('laundry', { drywallType: 'moisture', finishLevel: 'level3' }))
+      );
+
+      expect(backing).toHaveLength(1);
+      expect(backing[0].title).toBe('Block Before Hanging');
+      expect(backing[0].message).toContain('a plywood backboard at the electrical panel');
+    });
+
+    it('should add code notes for closets and checks for basements', () => {
+      const notes = RecommendationEngine.getRoomTypeRecommendations(
+        project(room('closet', { finishLevel: 'level3' }), room('basement'))
+      );
+
+      expect(notes.find((rec) => rec.title === 'Closets Under Stairs')?.code).toBe('IRC R302.7');
+      expect(notes.map((rec) => rec.title)).toEqual([
+        'Block Before Hanging',
+        'Closets Under Stairs',
+        'Use Moisture-Resistant Drywall',
+        'Block Before Hanging',
+        'Check Basement Moisture First',
+      ]);
+    });
+  });
+
+  describe('applyPatch', () => {
+    it('should fix a room on a copy of the project and hand back the way to undo it', () => {
+      const p = project(room('bathroom'), room('living'));
+      const [board] = RecommendationEngine.getRoomTypeRecommendations(p);
+      const applied = RecommendationEngine.applyPatch(p, {}, board.patch);
+
+      expect(applied.project.floors[0].rooms[0].drywallType).toBe('moisture');
+      expect(applied.project.floors[0].rooms[1]).toBe(p.floors[0].rooms[1]);
+      expect(p.floors[0].rooms[0].drywallType).toBeUndefined();
+      expect(titles(applied.project)).not.toContain('Use Moisture-Resistant Drywall');
+
+      const undone = RecommendationEngine.applyPatch(applied.project, {}, applied.revert);
+      expect(undone.project.floors[0].rooms[0].drywallType).toBeUndefined();
+      expect(titles(undone.project)).toContain('Use Moisture-Resistant Drywall');
+    });
+
+    it('should change estimate options and lower the cost it was recommended to', () => {
+      const p = project(room('living'));
+      const options = { wasteFactor: 0.25, markup: 0.2 };
+      const before = calculator.calculateProjectEstimate(p, pricing, laborRates, options);
+      const waste = RecommendationEngine.getCostOptimizationRecommendations(before, p).find(
+        (rec) => rec.title === 'High Waste Factor'
+      );
+      const applied = RecommendationEngine.applyPatch(p, options, waste.patch);
+      const after = calculator.calculateProjectEstimate(
+        applied.project,
+        pricing,
+        laborRates,
+        applied.options
+      );
+
+      expect(applied.options).toEqual({ wasteFactor: 0.1, markup: 0.2 });
+      expect(applied.revert).toEqual({ options: { wasteFactor: 0.25 } });
+      expect(after.costs.total).toBeLessThan(before.costs.total);
+    });
+
+    it('should skip rooms that are no longer there', () => {
+      const p = project(room('closet'));
+      const applied = RecommendationEngine.applyPatch(
+        p,
+        {},
+        {
+          rooms: [{ floorIndex: 0, room: 'Renamed', changes: { finishLevel: 'level3' } }],
+        }
+      );
+
+      expect(applied.project.floors[0].rooms).toEqual(p.floors[0].rooms);
+      expect(applied.revert).toEqual({});
+    });
+  });
+});
@@ -1,50 +1,417 @@
+// Geometry types
+export interface Point {
+  x: number;
+  y: number;
+}
+
 // Room and door/window types
 export interface DoorDetail {
   width?: number;
   height?: number;
+  wallId?: string; // wall the opening is attached to
+  edge?: number; // index of the room outline edge it sits on
+  position?: number; // feet from the start of that edge
+  returns?: boolean; // drywall wrapped into the opening instead of casing
+  arch?: number; // feet the arched head rises within the height; half the width for a half round
 }
 
 export interface WindowDetail {
   width?: number;
   height?: number;
+  sillHeight?: number;
+  wallId?: string; // wall the opening is attached to
+  edge?: number; // index of the room outline edge it sits on
+  position?: number; // feet from the start of that edge
+  returns?: boolean; // drywall wrapped into the opening instead of casing
+  arch?: number; // feet the arched head rises within the height; half the width for a half round
+}
+
+// Recess framed into a wall, lined with board on its back and returns
+export interface Niche {
+  width: number; // feet
+  height: number; // feet, to the top of the arch when it has one
+  depth?: number; // feet back into the wall, defaults to a 2x4 stud bay
+  arch?: number; // feet the arched top rises within the height
+  count?: number; // identical niches, defaults to one
+}
+
+// An outline edge built as a circular arc instead of a straight wall
+export interface WallCurve {
+  edge: number; // index of the room outline edge
+  radius: number; // feet
+  inward?: boolean; // bows into the room rather than out of it
+  wallId?: string; // drawn wall the edge sits on
+}
+
+export type CeilingType =
+  | 'standard'
+  | 'vaulted'
+  | 'cathedral'
+  | 'shed'
+  | 'tray'
+  | 'coffered'
+  | 'none';
+
+// Measured ceiling shape; without it the ceiling type falls back to a rough multiplier
+export interface CeilingGeometry {
+  pitch?: number; // inches of rise per 12" of run (vaulted, cathedral, shed)
+  ridge?: 'length' | 'width'; // room dimension the ridge runs along, defaults to the longer
+  kneeWallHeight?: number; // feet, height of the eave walls where the slope starts
+  trayDepth?: number; // feet the tray rises above the ceiling
+  trayStep?: number; // feet of flat ceiling between the walls and the tray
+  cofferSpacing?: number; // feet between beam centres, both directions
+  cofferBeamWidth?: number; // feet
+  cofferBeamDepth?: number; // feet the beams drop below the ceiling
+}
+
+// How one wall face, seen from the room it bounds, is being treated
+export type WallFaceStatus = 'hang' | 'skip' | 'finished';
+
+export interface WallFace {
+  edge: number; // index of the room outline edge; rectangles run width, length, width, length
+  wallId?: string; // drawn wall the edge sits on
+  status?: WallFaceStatus; // defaults to hang; skipped and already-finished faces get no board
+  layers?: number; // sheets deep, e.g. 2 for a garage firewall; defaults to the assembly's or 1
+  assembly?: string; // wall assembly the face is built to, overriding the room's
 }
 
-export type CeilingType = 'standard' | 'vaulted' | 'tray' | 'coffered' | 'none';
+// Sundries an assembly calls for beyond board, screws and finishing
+export interface AssemblyAccessory {
+  id: string; // key into Pricing.accessoryPrices
+  name: string;
+  unit: string; // e.g. 'lf', 'tube', 'sq ft'
+  perSqFt: number; // units per sq ft of hung wall face
+  price: number; // default price per unit
+}
+
+// A listed or house-standard wall build-up, applied per wall face
+export interface WallAssembly {
+  id: string;
+  name: string;
+  rating: number; // hours of fire resistance, 0 when unrated
+  stc?: number; // sound transmission class
+  drywallType: DrywallType;
+  thickness?: number; // inches, overrides the board type's default
+  layers: number; // layers of board on each hung face
+  fastenerSpacing: number; // inches on center in the field of the face layer
+  laborFactor?: number; // multiplier on hanging labor, e.g. for channel or liner panels
+  wallThickness?: number; // inches, studs plus board, for drawing
+  accessories?: AssemblyAccessory[];
+}
+
+export interface AccessoryCount {
+  id: string;
+  name: string;
+  unit: string;
+  quantity: number;
+}
+
+// Remodel work on existing board
+export type RepairKind = 'tearout' | 'skim' | 'patch' | 'water';
+
+export interface RepairScope {
+  kind: RepairKind;
+  edge?: number; // outline edge of the one wall it covers; the whole room when omitted
+  ceiling?: boolean; // whole-room tear-out and skim take the ceiling, defaulting to includeCeiling
+  small?: number; // patches up to 6" across, spackled
+  medium?: number; // patches up to 16" square, board between studs
+  large?: number; // patches up to 4' square, board screwed to blocking
+  cutHeight?: number; // feet, water-damaged board cut out and replaced up to this height
+}
+
+// Box framed below a ceiling and wrapped in board
+export type SoffitKind = 'soffit' | 'bulkhead' | 'beam';
+
+export interface Soffit {
+  id?: string;
+  kind?: SoffitKind; // defaults to soffit
+  length: number; // feet along its run
+  depth: number; // feet across the bottom: out from the wall, or the width of a beam
+  drop?: number; // feet it hangs below the ceiling
+  height?: number; // feet from the floor to its underside, when the drop isn't given
+  faces?: number; // long sides left exposed, defaulting to the kind's: a kitchen soffit has one
+  openEnds?: number; // ends that stop short of a wall and are closed with an end panel
+}
+
+export type DrywallType = 'standard' | 'moisture' | 'firerated' | 'typex' | 'flexible';
+
+export type BeadType = 'metal' | 'vinyl' | 'bullnose' | 'lbead' | 'arch';
+
+export type FinishLevel = 'level0' | 'level1' | 'level2' | 'level3' | 'level4' | 'level5';
 
 export interface Room {
   name: string;
-  width: number;
-  length: number;
+  width?: number;
+  length?: number;
   height: number;
+  points?: Point[]; // outline of a drawn room, in drawing units
+  scale?: number; // drawing units per foot for points
   doors?: number;
   windows?: number;
   doorDetails?: DoorDetail[];
   windowDetails?: WindowDetail[];
+  wallFaces?: WallFace[]; // faces not listed are hung with one layer
+  curves?: WallCurve[]; // curved edges, hung in flexible board whatever their assembly
+  niches?: Niche[];
+  wallAssembly?: string; // assembly for faces that don't name their own
+  fireRating?: number; // hours the walls must be rated for, e.g. 1 for a dwelling separation
+  repairs?: RepairScope[]; // remodel work; a room with repairs is estimated for that work only
+  soffits?: Soffit[];
   ceilingType?: CeilingType;
+  ceiling?: CeilingGeometry;
   includeCeiling?: boolean;
+  openToBelow?: boolean; // double height: walls continue down to the room below
+  belowRoom?: string; // name of that room; drawn rooms find it by position
   type?: string;
-  corners?: number;
+  outsideCorners?: number; // vertical outside corners, from the wall graph
+  drywallType?: DrywallType;
+  drywallThickness?: number; // inches, overrides the board type's default
+  finishLevel?: FinishLevel; // overrides the project default
+  includePrimer?: boolean;
+  includeTexture?: boolean;
 }
 
 // Stairwell types
+export type StairShape = 'straight' | 'l-turn' | 'u-turn';
+
+export type StairSide = 'enclosed' | 'open';
+
 export interface Stairwell {
+  id?: string;
+  type?: 'stairs-up' | 'stairs-down'; // drawing tool, as seen from this floor
+  start?: Point; // foot of the stair, in drawing units
+  end?: Point; // sets the direction of the first flight
+  scale?: number; // drawing units per foot for start and end
+  shape?: StairShape;
+  turn?: 'left' | 'right'; // which way L and U stairs turn going up
   risers?: number;
-  treadWidth?: number;
-  riserHeight?: number;
-  width?: number;
-  length?: number;
-  wallsBothSides?: boolean;
-  underCeiling?: boolean;
+  riserHeight?: number; // inches
+  totalRise?: number; // inches floor to floor; sets the riser count and height
+  treadWidth?: number; // run of each tread, inches
+  width?: number; // feet
+  landings?: number; // mid-flight landings on a straight stair
+  landingDepth?: number; // feet, defaults to the stair width
+  leftSide?: StairSide; // going up
+  rightSide?: StairSide;
+  wallsBothSides?: boolean; // older files: false leaves the right side open
+  underCeiling?: boolean; // soffit under the flights and landings
+  floorDepth?: number; // feet of floor framing the stairwell opening passes through
+  fromFloor?: number; // floor index at the foot
+  toFloor?: number; // floor index at the head
+}
+
+// Plan of a stair in feet: x runs up the first flight, y to the climber's right
+export interface StairFlight {
+  x: number; // start corner on the climber's left
+  y: number;
+  dx: number; // unit direction of travel
+  dy: number;
+  treads: number;
+  run: number; // feet
+  rise: number; // feet
+  elevation: number; // feet above the foot where the flight starts
+}
+
+export interface StairLanding {
+  x: number; // min corner
+  y: number;
+  length: number; // extent along x
+  width: number; // extent along y
+  elevation: number;
+  leftEdges: number; // feet of landing edge on the climber's left, outside the flights
+  rightEdges: number;
+}
+
+export interface StairLayout {
+  risers: number;
+  riserHeight: number; // inches
+  treadWidth: number; // inches
+  totalRise: number; // feet
+  width: number; // feet
+  flights: StairFlight[];
+  landings: StairLanding[];
+  footprint: { x: number; y: number; length: number; width: number };
+}
+
+// Hole through a floor; drawing units are shared by every floor in the stack
+export interface FloorOpening {
+  id: string;
+  kind: 'stair' | 'chase' | 'open';
+  points: Point[];
+  stairId?: string; // stair climbing up through it
+  chaseId?: string; // same on every floor the chase passes through
+  fromFloor?: number; // chases: lowest floor index
+  toFloor?: number; // chases: highest floor index
+}
+
+// A stair or chase with no opening drawn for it on a floor it passes through
+export interface FloorStackGap {
+  kind: 'stair' | 'chase';
+  id?: string; // stair or chase id
+  floor: number; // floor it is drawn on
+  missingOn: number; // floor that needs the opening
+  points: Point[]; // where the opening belongs
+}
+
+// Garage surface that separates it from the dwelling (IRC R302.6)
+export interface GarageSeparation {
+  floor: number;
+  garage: string; // garage room name
+  surface: 'wall' | 'ceiling';
+  edge?: number; // garage outline edge, for walls
+  wallId?: string; // drawn wall along that edge
+  adjoining: string; // room on the other side, or above
+  drywallType: DrywallType; // board on the garage side
+  status: WallFaceStatus;
+  passes: boolean; // Type X hung on the garage side
+}
+
+// Wall as drawn on the plan, in drawing units
+export interface PlanWall {
+  id?: string;
+  type?: string; // drawing tool, e.g. 'wall-exterior'
+  start: Point;
+  end: Point;
+  assembly?: string;
+  radius?: number; // feet; positive bows toward the wall's left face
 }
 
 // Floor and project types
 export interface Floor {
+  name?: string;
+  elevation?: number; // feet, finished floor
+  floorDepth?: number; // feet of floor framing under this floor
   rooms: Room[];
+  walls?: PlanWall[];
   stairs?: Stairwell[];
+  openings?: FloorOpening[];
 }
 
 export interface Project {
   floors: Floor[];
+  codePack?: string; // id of the code rule pack the job is checked against
+  codeAmendments?: CodeRulePack[]; // local packs loaded for this job, kept with it
+  recommendationResponses?: RecommendationResponse[];
+}
+
+// Building code rule packs
+export type CodeSeverity = 'danger' | 'warning' | 'info';
+export type CodeRuleScope = 'project' | 'room' | 'wall' | 'assembly';
+
+// A fact must compare this way to match; a bare value is shorthand for eq
+export interface CodeComparison {
+  eq?: CodeValue;
+  ne?: CodeValue;
+  lt?: number;
+  lte?: number;
+  gt?: number;
+  gte?: number;
+  in?: CodeValue[];
+  notIn?: CodeValue[];
+  exists?: boolean;
+}
+export type CodeValue = string | number | boolean;
+// Declarative predicate for JSON packs: every listed fact has to match
+export type CodeCondition = Record<string, CodeValue | CodeComparison>;
+
+// What a rule is checked against, flattened so JSON conditions can name any of it.
+// Project facts are counts; room, wall and assembly facts describe one of each.
+export interface CodeFact {
+  rooms?: number; // project: rooms in the job
+  wetRooms?: number; // project: bathrooms and laundries
+  garages?: number; // project: garages in the job
+  floorIndex?: number;
+  floor?: string;
+  room?: string; // room name
+  roomType?: string;
+  height?: number; // feet, ceiling
+  drawn?: boolean; // room has an outline on the plan
+  drywallType?: DrywallType;
+  fireRating?: number; // hours the room's walls have to carry
+  faces?: number; // room: wall faces being hung
+  shortFaces?: number; // room: hung faces built under its fire rating
+  builtTo?: string; // room: what those short faces are built to
+  livingAbove?: string; // garage: room over it on the floor above
+  ceilingHung?: string; // garage: how its ceiling is boarded, for messages
+  ceilingFireRated?: boolean; // garage: 5/8" Type X hung on the ceiling
+  edge?: number; // wall: outline edge index
+  wall?: number; // wall: 1-based, as numbered for estimators
+  wallId?: string; // wall: drawn wall on the plan
+  status?: WallFaceStatus;
+  layers?: number;
+  assembly?: string; // assembly id
+  assemblyName?: string;
+  rating?: number; // hours, of the assembly
+  fastenerSpacing?: number; // inches
+  board?: string; // assembly: layers and thickness, for messages
+  adjoining?: string; // wall: room on the far side of a garage wall
+  hung?: string; // wall: how the face is boarded, for messages
+  fireRated?: boolean; // wall: 5/8" Type X hung on this face
+}
+
+export interface CodeRule {
+  id: string; // stable; amendments replace or disable rules by it
+  scope: CodeRuleScope;
+  citation: string; // e.g. 'IRC 2021 R302.6'
+  severity: CodeSeverity;
+  priority?: 'high' | 'medium' | 'low'; // defaults from severity
+  title: string;
+  message: string; // {fact} placeholders are filled from what matched
+  action?: string;
+  fix?: RoomChanges; // room scope: what applying the finding changes on the room
+  when: CodeCondition | ((fact: CodeFact) => boolean);
+}
+
+export interface CodeRulePack {
+  id: string;
+  name: string;
+  extends?: string; // pack id whose rules this one starts from
+  disable?: string[]; // rule ids dropped from the pack it extends
+  rules: CodeRule[];
+}
+
+// A rule that matched, with its message filled in
+export interface CodeFinding {
+  ruleId: string;
+  scope: CodeRuleScope;
+  citation: string;
+  severity: CodeSeverity;
+  priority: 'high' | 'medium' | 'low';
+  title: string;
+  message: string;
+  action?: string;
+  room?: string;
+  floorIndex?: number;
+  wallId?: string;
+  patch?: ProjectPatch;
+}
+
+// Recommendation fixes that can be applied to the project in one step
+export type RoomChanges = Partial<Pick<Room, 'drywallType' | 'finishLevel'>>;
+
+export interface RoomPatch {
+  floorIndex: number;
+  room: string; // name
+  changes: RoomChanges;
+}
+
+export interface ProjectPatch {
+  rooms?: RoomPatch[];
+  options?: Partial<Pick<EstimateOptions, 'wasteFactor' | 'mixedLengths' | 'finishLevel'>>;
+}
+
+// What the user did about a recommendation, kept with the project so it stays done
+export type RecommendationStatus = 'dismissed' | 'acknowledged';
+
+export interface RecommendationResponse {
+  id: string; // the recommendation's, stable from one calculation to the next
+  status: RecommendationStatus;
+  title: string; // as it read when responded to
+  code?: string; // citation, for code findings
+  room?: string;
+  note?: string;
+  by?: string;
+  at: string; // ISO timestamp
 }
 
 // Calculation results types
@@ -53,17 +420,102 @@ export interface WallAreaResult {
   openings: number;
   net: number;
   perimeter: number;
+  gable: number; // wall area above (or below, under knee walls) the plate line
+  baseLayers: number; // board hung under the face layer on multi-layer walls
+}
+
+export interface SoffitAreaResult {
+  drop: number; // feet below the ceiling
+  bottom: number;
+  face: number; // long sides
+  sides: number; // end panels
+  total: number;
+  bead: number; // feet of outside corner
+  beadPieces: number; // 10' sticks, one run per edge
+  joints: Pick<JointFootage, 'butt' | 'insideCorner' | 'wallCeiling'>;
+}
+
+export interface NicheAreaResult {
+  lining: number; // straight returns round the recess
+  curved: number; // lining under an arched top, in flexible board
+  total: number;
+  bead: number; // feet of corner bead on the straight edges
+  archBead: number; // feet of archway bead over arched tops
+  insideCorner: number; // feet where the back meets the returns
 }
 
 export interface StairwellAreaResult {
-  walls: number;
-  ceiling: number;
-  stairwellWalls: number;
+  walls: number; // enclosed sides, from the nosing line to the ceiling above
+  ceiling: number; // soffit under the flights and landings
+  stairwellWalls: number; // lining of the opening through the floor above
   total: number;
+  wallHeight: number; // feet, tallest wall: lower floor to the ceiling above
   angle: number;
+  layout: StairLayout;
+}
+
+export interface SheetCount {
+  label: string; // e.g. '4x12'
+  width: number; // feet
+  length: number; // feet
+  count: number;
+}
+
+export interface JointFootage {
+  tapered: number; // long factory edges meeting
+  butt: number; // cut or square sheet ends meeting
+  insideCorner: number; // vertical wall-to-wall angles
+  wallCeiling: number; // wall-to-ceiling angles
+  total: number;
+}
+
+// Gallons of joint compound by where it goes
+export interface JointCompoundBreakdown {
+  tapered: number;
+  butt: number;
+  insideCorner: number;
+  wallCeiling: number;
+  fasteners: number;
+  skimCoat: number;
+  patches: number;
+  total: number;
+}
+
+export interface SheetMix {
+  sizes: SheetCount[];
+  sheets: number;
+  buttJoints: number; // sheet ends meeting mid-wall, counted per row
+  joints: JointFootage; // linear feet of joint to tape
+}
+
+export interface SheetGroup {
+  key: string;
+  drywallType: DrywallType;
+  thickness: number; // inches
+  area: number;
+  sheets: number;
+  sizes?: SheetCount[]; // stock sizes when the layout optimizer or mixed lengths are used
+  layout?: SheetLayout; // cut list when the layout optimizer is used
 }
 
 export interface Materials {
+  sheets: number;
+  sheetGroups: SheetGroup[];
+  mud: number;
+  tape: number;
+  joints: JointFootage; // linear feet of joint the tape rolls cover
+  mudGallons: JointCompoundBreakdown;
+  screws: number;
+  cornerBead: number; // 10' sticks of every bead type
+  beads: BeadCount[];
+  accessories: AccessoryCount[]; // channel, liner panels, sealant from wall assemblies
+  debris: number; // cubic yards of torn-out board to haul away
+  primer: number;
+  texture: number;
+}
+
+// A room's or floor's share of the project materials
+export interface MaterialShare {
   sheets: number;
   mud: number;
   tape: number;
@@ -73,12 +525,32 @@ export interface Materials {
   texture: number;
 }
 
+// Allocated so that rooms and floors add up to the project to the cent
+export interface CostBreakdown {
+  materials: MaterialShare;
+  materialCost: number;
+  laborCost: number;
+  markup: number;
+  total: number;
+}
+
+export interface BeadCount {
+  type: BeadType;
+  feet: number;
+  pieces: number; // 10' sticks
+}
+
 export interface MaterialCosts {
   drywall: number;
+  drywallByGroup: Record<string, number>;
   mud: number;
   tape: number;
   screws: number;
   cornerBead: number;
+  cornerBeadByType: Partial<Record<BeadType, number>>;
+  accessories: number;
+  accessoriesById: Record<string, number>;
+  disposal: number; // dumpster or haul-away for the debris
   primer: number;
   texture: number;
   total: number;
@@ -88,25 +560,35 @@ export interface LaborCosts {
   hanging: number;
   taping: number;
   finishing: number;
+  demolition: number;
   total: number;
 }
 
 export interface EstimateOptions {
   wasteFactor?: number;
-  finishLevel?: 'level0' | 'level1' | 'level2' | 'level3' | 'level4' | 'level5';
+  optimizeLayout?: boolean;
+  sheetSizes?: SheetSize[];
+  mixedLengths?: boolean;
+  sheetLengths?: number[]; // feet, stock lengths to order from when mixing
+  finishLevel?: FinishLevel; // default for rooms without their own
   includePrimer?: boolean;
   includeTexture?: boolean;
   tapeType?: 'paper' | 'mesh';
-  cornerType?: 'metal' | 'bullnose';
+  cornerType?: Exclude<BeadType, 'lbead' | 'arch'>;
+  openingReturns?: 'none' | 'windows' | 'all'; // default for openings without their own returns flag
   markup?: number;
 }
 
 export interface Pricing {
   drywallPerSheet: number;
+  drywallPrices?: Partial<Record<DrywallType, number>>;
   mudPerBucket: number;
   tapePerRoll: number;
   screwsPerPound: number;
   cornerBeadPer10ft: number;
+  beadPrices?: Partial<Record<BeadType, number>>; // per 10' stick
+  accessoryPrices?: Record<string, number>; // per unit, overrides the assembly's default
+  disposalPerYard?: number; // per cubic yard of debris
   primerPerGallon: number;
   texturePerBag: number;
 }
@@ -115,6 +597,7 @@ export interface LaborRates {
   hanging: number;
   taping: number;
   finishing: number;
+  demolition?: number; // per sq ft of board torn out
 }
 
 export interface ProjectEstimate {
@@ -122,6 +605,8 @@ export interface ProjectEstimate {
     wall: number;
     ceiling: number;
     stairs: number;
+    soffits: number;
+    demolition: number; // sq ft of board torn out or cut away
     total: number;
   };
   materials: Materials;
@@ -136,9 +621,66 @@ export interface ProjectEstimate {
     name: string;
     wallArea: number;
     ceilingArea: number;
+    soffitArea: number;
     type?: string;
+    finishLevel: FinishLevel;
+    includePrimer: boolean;
+    includeTexture: boolean;
+    sheetMix?: SheetMix;
+    cost: CostBreakdown;
   }>;
+  floors: Array<{
+    name: string;
+    rooms: string[];
+    cost: CostBreakdown; // its rooms plus its stairs
+  }>;
+  installationTime: InstallationTime;
   options: Required<EstimateOptions>;
+  pricing: Pricing; // what it was priced with, to re-run it with alternatives
+  laborRates: LaborRates;
+}
+
+// Sheet layout types
+export interface SheetSize {
+  width: number; // feet
+  length: number; // feet
+}
+
+export interface LayoutOpening {
+  x: number; // feet along the run from the surface start
+  y: number; // feet up from the bottom of the surface
+  width: number;
+  height: number;
+}
+
+export interface LayoutSurface {
+  id: string;
+  kind: 'wall' | 'ceiling';
+  run: number; // feet, the direction sheet length follows when hung horizontally
+  rise: number; // feet
+  openings?: LayoutOpening[];
+  orientation?: 'vertical' | 'horizontal';
+}
+
+export interface SheetCut {
+  surface: string;
+  row: number;
+  x: number;
+  y: number;
+  length: number; // feet along the run
+  height: number; // feet across the rows
+  sheet: string; // stock size label the piece is cut from
+  fromOffcut: boolean;
+}
+
+export interface SheetLayout {
+  cuts: SheetCut[];
+  sheets: number;
+  sheetsBySize: SheetCount[];
+  purchasedArea: number;
+  coveredArea: number;
+  wasteArea: number;
+  wastePercentage: number;
 }
 
 export interface OptimalLayout {
@@ -147,6 +689,7 @@ export interface OptimalLayout {
   vertical: number;
   horizontal: number;
   savings: number;
+  layout: SheetLayout;
 }
 
 export interface InstallationTime {
@@ -154,8 +697,11 @@ export interface InstallationTime {
   taping: number;
   firstCoat: number;
   secondCoat: number;
+  skimCoat: number;
   sanding: number;
   priming: number;
+  demolition: number;
+  patching: number;
   total: number;
   days: number;
 }
@@ -3,7 +3,7 @@
  * Initializes and coordinates all components of the Drywall Estimator
  */
 
-import { Utils, DrywallCalculator, RecommendationEngine } from '@drywall/core';
+import { Utils, DrywallCalculator, calculator, RecommendationEngine, CodeRuleBook, codeRules } from '@drywall/core';
 import BlueprintManager from '@drywall/blueprint-engine';
 
 class DrywallEstimatorApp {
@@ -11,6 +11,10 @@ class DrywallEstimatorApp {
         this.blueprint = null;
         this.currentProject = null;
         this.currentFloor = 0;
+        this.editingStairs = null; // stair open in the stair modal
+        this.editingWall = null; // wall open in the wall face modal
+        this.editingSoffit = null; // soffit open in the soffit modal
+        this.appliedFixes = []; // recommendations applied, most recent last, for undo
 
         this.init();
     }
@@ -29,7 +33,8 @@ class DrywallEstimatorApp {
                     name: 'Floor 1',
                     elevation: 0,
                     rooms: [],
-                    stairs: []
+                    stairs: [],
+                    openings: []
                 }
             ],
             pricing: this.getDefaultPricing(),
@@ -41,6 +46,10 @@ class DrywallEstimatorApp {
             grid: 'grid-canvas',
             blueprint: 'blueprint-canvas',
             overlay: 'overlay-canvas'
+        }, {
+            onEditStairs: (stair) => this.showStairModal(stair),
+            onEditWall: (wall) => this.showWallModal(wall),
+            onEditSoffit: (soffit) => this.showSoffitModal(soffit)
         });
 
         // Setup event listeners
@@ -50,6 +59,7 @@ class DrywallEstimatorApp {
         this.setupLayerControls();
         this.setupTabs();
         this.setupMaterialPricing();
+        this.setupCodeRules();
         this.setupCalculation();
         this.setupProjectManagement();
         this.setupKeyboardShortcuts();
@@ -80,10 +90,16 @@ class DrywallEstimatorApp {
             'wall-partition': 'Partition Wall',
             'door-interior': 'Interior Door',
             'door-exterior': 'Exterior Door',
+            'door-arch': 'Arched Opening',
             'window-standard': 'Window',
             'window-large': 'Large Window',
             'stairs-up': 'Stairs Up',
             'stairs-down': 'Stairs Down',
+            'floor-opening': 'Floor Opening',
+            'chase': 'Chase',
+            'soffit': 'Soffit',
+            'bulkhead': 'Bulkhead',
+            'beam': 'Beam Wrap',
             'room-auto': 'Auto Detect Room',
             'measure': 'Measure',
             'text': 'Text Label',
@@ -139,6 +155,10 @@ class DrywallEstimatorApp {
         document.getElementById('add-floor-btn')?.addEventListener('click', () => {
             this.addFloor();
         });
+
+        document.getElementById('register-openings-btn')?.addEventListener('click', () => {
+            this.registerStackOpenings();
+        });
     }
 
     addFloor() {
@@ -148,7 +168,8 @@ class DrywallEstimatorApp {
             name: `Floor ${floorNumber}`,
             elevation: (floorNumber - 1) * 10, // 10 ft per floor
             rooms: [],
-            stairs: []
+            stairs: [],
+            openings: []
         };
 
         this.currentProject.floors.push(newFloor);
@@ -181,7 +202,22 @@ class DrywallEstimatorApp {
         floor.doors = data.doors;
         floor.windows = data.windows;
         floor.stairs = data.stairs;
+        floor.openings = data.openings;
+        floor.soffits = data.soffits;
         floor.rooms = data.rooms;
+
+        // Stairs drawn going up start on this floor; going down, they arrive here
+        floor.stairs.forEach(stair => {
+            const up = stair.type !== 'stairs-down';
+            if (stair.fromFloor === undefined) stair.fromFloor = up ? this.currentFloor : this.currentFloor - 1;
+            if (stair.toFloor === undefined) stair.toFloor = up ? this.currentFloor + 1 : this.currentFloor;
+        });
+
+        // New chases run from this floor to the top of the building
+        floor.openings.filter(opening => opening.kind === 'chase').forEach(chase => {
+            if (chase.fromFloor === undefined) chase.fromFloor = this.currentFloor;
+            if (chase.toFloor === undefined) chase.toFloor = this.currentProject.floors.length - 1;
+        });
     }
 
     loadCurrentFloorData() {
@@ -192,8 +228,52 @@ class DrywallEstimatorApp {
             doors: floor.doors || [],
             windows: floor.windows || [],
             stairs: floor.stairs || [],
+            openings: floor.openings || [],
+            soffits: floor.soffits || [],
             rooms: floor.rooms || []
         });
+
+        // Ghost the floors directly below and above
+        const underlays = [];
+        [[this.currentFloor - 1, 'below'], [this.currentFloor + 1, 'above']].forEach(([index, relation]) => {
+            const adjacent = this.currentProject.floors[index];
+            if (adjacent) {
+                underlays.push({
+                    relation,
+                    name: adjacent.name,
+                    walls: adjacent.walls || [],
+                    stairs: adjacent.stairs || [],
+                    openings: adjacent.openings || []
+                });
+            }
+        });
+        this.blueprint.setUnderlays(underlays);
+    }
+
+    // Cut an opening over every stair that lacks one and carry chases through their floors
+    registerStackOpenings() {
+        this.saveCurrentFloorData();
+
+        const gaps = calculator.findFloorStackGaps(this.currentProject);
+        gaps.forEach(gap => {
+            const floor = this.currentProject.floors[gap.missingOn];
+            const source = this.currentProject.floors[gap.floor].openings?.find(o => o.chaseId === gap.id);
+            floor.openings = floor.openings || [];
+            floor.openings.push({
+                id: Utils.generateId('opening'),
+                kind: gap.kind,
+                points: gap.points.map(p => ({ ...p })),
+                stairId: gap.kind === 'stair' ? gap.id : undefined,
+                chaseId: gap.kind === 'chase' ? gap.id : undefined,
+                fromFloor: source?.fromFloor,
+                toFloor: source?.toFloor
+            });
+        });
+
+        this.loadCurrentFloorData();
+        alert(gaps.length > 0
+            ? `Registered ${gaps.length} opening${gaps.length !== 1 ? 's' : ''} between floors.`
+            : 'Stairs and chases already line up between floors.');
     }
 
     updateFloorList() {
@@ -209,9 +289,10 @@ class DrywallEstimatorApp {
             }
 
             floorItem.innerHTML = `
-                <span class="floor-item-name">${floor.name}</span>
+                <span class="floor-item-name">${floor.name}${floor.elevation !== undefined ? ` · ${floor.elevation}'` : ''}</span>
                 <div class="floor-item-actions">
                     <button class="btn btn-sm" data-action="rename" data-index="${index}" title="Rename">✏️</button>
+                    <button class="btn btn-sm" data-action="level" data-index="${index}" title="Elevation & Floor Framing">📏</button>
                     ${this.currentProject.floors.length > 1 ? `<button class="btn btn-sm btn-danger" data-action="delete" data-index="${index}" title="Delete">✕</button>` : ''}
                 </div>
             `;
@@ -231,6 +312,8 @@ class DrywallEstimatorApp {
 
                     if (action === 'rename') {
                         this.renameFloor(idx);
+                    } else if (action === 'level') {
+                        this.setFloorLevel(idx);
                     } else if (action === 'delete') {
                         this.deleteFloor(idx);
                     }
@@ -251,6 +334,18 @@ class DrywallEstimatorApp {
         }
     }
 
+    // Elevations set stairwell and open-to-below wall heights between floors
+    setFloorLevel(index) {
+        const floor = this.currentProject.floors[index];
+        const elevation = prompt('Finished floor elevation (ft):', String(floor.elevation ?? 0));
+        if (elevation === null) return;
+        const depth = prompt('Floor framing depth below this floor (in):', String(Math.round((floor.floorDepth ?? 1) * 12)));
+
+        if (!isNaN(parseFloat(elevation))) floor.elevation = parseFloat(elevation);
+        if (depth !== null && !isNaN(parseFloat(depth))) floor.floorDepth = parseFloat(depth) / 12;
+        this.updateFloorList();
+    }
+
     deleteFloor(index) {
         if (this.currentProject.floors.length <= 1) {
             alert('Cannot delete the last floor.');
@@ -284,7 +379,8 @@ class DrywallEstimatorApp {
             'layer-doors': 'doors',
             'layer-windows': 'windows',
             'layer-stairs': 'stairs',
-            'layer-rooms': 'rooms'
+            'layer-rooms': 'rooms',
+            'layer-underlay': 'underlay'
         };
 
         Object.entries(layerCheckboxes).forEach(([id, layer]) => {
@@ -353,18 +449,76 @@ class DrywallEstimatorApp {
         });
     }
 
+    // ==================== BUILDING CODE ====================
+
+    setupCodeRules() {
+        document.getElementById('code-pack-select')?.addEventListener('change', (e) => {
+            this.currentProject.codePack = e.target.value;
+            this.updateRecommendations(this.currentProject.lastEstimate);
+        });
+
+        document.getElementById('load-code-amendments-btn')?.addEventListener('click', () => {
+            this.loadCodeAmendments();
+        });
+
+        this.updateCodePackOptions();
+    }
+
+    updateCodePackOptions() {
+        const select = document.getElementById('code-pack-select');
+        if (!select) return;
+
+        select.innerHTML = codeRules.list(this.currentProject.codeAmendments)
+            .map(pack => `<option value="${pack.id}">${pack.name}</option>`)
+            .join('');
+        select.value = this.currentProject.codePack || CodeRuleBook.DEFAULT_PACK;
+    }
+
+    // Local amendments are kept in the project so the job is checked the same way wherever it's opened
+    loadCodeAmendments() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const pack = JSON.parse(await Utils.file.readFileAsText(file));
+                codeRules.validate(pack);
+                const amendments = [...(this.currentProject.codeAmendments || []).filter(p => p.id !== pack.id), pack];
+                // Fails here, not on every check, if it extends a pack we don't have
+                codeRules.resolve(pack.id, amendments);
+
+                this.currentProject.codeAmendments = amendments;
+                this.currentProject.codePack = pack.id;
+                this.updateCodePackOptions();
+                this.updateRecommendations(this.currentProject.lastEstimate);
+                this.setStatus(`Checking against ${pack.name || pack.id}`);
+            } catch (error) {
+                alert('Error loading code amendments: ' + error.message);
+            }
+        };
+
+        input.click();
+    }
+
     getDefaultPricing() {
         return {
             drywallStandard: 15.00,
             drywallFirerated: 18.00,
             drywallMoisture: 22.50,
             drywallTypex: 20.00,
+            drywallFlexible: 24.00,
             mud: 20.00,
             tapePaper: 8.00,
             tapeMesh: 12.00,
             screws: 8.00,
             cornerBeadMetal: 5.00,
+            cornerBeadVinyl: 4.50,
             cornerBeadBullnose: 7.50,
+            lBead: 4.00,
             primer: 35.00,
             texture: 15.00
         };
@@ -374,7 +528,8 @@ class DrywallEstimatorApp {
         return {
             hanging: 0.80,
             taping: 0.90,
-            finishing: 0.80
+            finishing: 0.80,
+            demolition: 0.50
         };
     }
 
@@ -382,17 +537,17 @@ class DrywallEstimatorApp {
         const presets = {
             'national-standard': {
                 drywallStandard: 15.00, drywallFirerated: 18.00, drywallMoisture: 22.50,
-                mud: 20.00, tapePaper: 8.00, screws: 8.00, cornerBeadMetal: 5.00,
+                drywallTypex: 20.00, drywallFlexible: 24.00, mud: 20.00, tapePaper: 8.00, screws: 8.00, cornerBeadMetal: 5.00,
                 primer: 35.00, hanging: 0.80, taping: 0.90, finishing: 0.80
             },
             'national-premium': {
                 drywallStandard: 19.00, drywallFirerated: 23.00, drywallMoisture: 28.00,
-                mud: 28.00, tapePaper: 12.00, screws: 10.00, cornerBeadMetal: 7.00,
+                drywallTypex: 25.00, drywallFlexible: 30.00, mud: 28.00, tapePaper: 12.00, screws: 10.00, cornerBeadMetal: 7.00,
                 primer: 45.00, hanging: 1.20, taping: 1.30, finishing: 1.20
             },
             'northeast-standard': {
                 drywallStandard: 16.50, drywallFirerated: 20.00, drywallMoisture: 24.50,
-                mud: 22.00, tapePaper: 9.00, screws: 9.00, cornerBeadMetal: 5.50,
+                drywallTypex: 22.00, drywallFlexible: 26.00, mud: 22.00, tapePaper: 9.00, screws: 9.00, cornerBeadMetal: 5.50,
                 primer: 38.00, hanging: 1.00, taping: 1.10, finishing: 1.00
             }
             // Add more presets as needed
@@ -405,6 +560,8 @@ class DrywallEstimatorApp {
         document.getElementById('price-drywall-standard').value = prices.drywallStandard;
         document.getElementById('price-drywall-firerated').value = prices.drywallFirerated || prices.drywallStandard * 1.2;
         document.getElementById('price-drywall-moisture').value = prices.drywallMoisture;
+        document.getElementById('price-drywall-typex').value = prices.drywallTypex;
+        document.getElementById('price-drywall-flexible').value = prices.drywallFlexible;
         document.getElementById('price-mud').value = prices.mud;
         document.getElementById('price-tape-paper').value = prices.tapePaper;
         document.getElementById('price-screws').value = prices.screws;
@@ -424,12 +581,15 @@ class DrywallEstimatorApp {
             drywallFirerated: parseFloat(document.getElementById('price-drywall-firerated')?.value || 18),
             drywallMoisture: parseFloat(document.getElementById('price-drywall-moisture')?.value || 22.5),
             drywallTypex: parseFloat(document.getElementById('price-drywall-typex')?.value || 20),
+            drywallFlexible: parseFloat(document.getElementById('price-drywall-flexible')?.value || 24),
             mud: parseFloat(document.getElementById('price-mud')?.value || 20),
             tapePaper: parseFloat(document.getElementById('price-tape-paper')?.value || 8),
             tapeMesh: parseFloat(document.getElementById('price-tape-mesh')?.value || 12),
             screws: parseFloat(document.getElementById('price-screws')?.value || 8),
             cornerBeadMetal: parseFloat(document.getElementById('price-cornerbead-metal')?.value || 5),
+            cornerBeadVinyl: parseFloat(document.getElementById('price-cornerbead-vinyl')?.value || 4.5),
             cornerBeadBullnose: parseFloat(document.getElementById('price-cornerbead-bullnose')?.value || 7.5),
+            lBead: parseFloat(document.getElementById('price-lbead')?.value || 4),
             primer: parseFloat(document.getElementById('price-primer')?.value || 35),
             texture: parseFloat(document.getElementById('price-texture')?.value || 15)
         };
@@ -437,7 +597,8 @@ class DrywallEstimatorApp {
         this.currentProject.laborRates = {
             hanging: parseFloat(document.getElementById('labor-hanging')?.value || 0.80),
             taping: parseFloat(document.getElementById('labor-taping')?.value || 0.90),
-            finishing: parseFloat(document.getElementById('labor-finishing')?.value || 0.80)
+            finishing: parseFloat(document.getElementById('labor-finishing')?.value || 0.80),
+            demolition: parseFloat(document.getElementById('labor-demolition')?.value || 0.50)
         };
     }
 
@@ -466,30 +627,33 @@ class DrywallEstimatorApp {
         // Update pricing
         this.updateProjectPricing();
 
-        // Get options
-        const wasteFactor = parseFloat(document.getElementById('waste-factor')?.value || 10) / 100;
-        const markup = parseFloat(document.getElementById('markup-percent')?.value || 20) / 100;
-
         // Calculate
-        const estimate = DrywallCalculator.calculateProjectEstimate(
+        const estimate = calculator.calculateProjectEstimate(
             this.currentProject,
             {
                 drywallPerSheet: this.currentProject.pricing.drywallStandard,
+                drywallPrices: {
+                    standard: this.currentProject.pricing.drywallStandard,
+                    moisture: this.currentProject.pricing.drywallMoisture,
+                    firerated: this.currentProject.pricing.drywallFirerated,
+                    typex: this.currentProject.pricing.drywallTypex,
+                    flexible: this.currentProject.pricing.drywallFlexible
+                },
                 mudPerBucket: this.currentProject.pricing.mud,
                 tapePerRoll: this.currentProject.pricing.tapePaper,
                 screwsPerPound: this.currentProject.pricing.screws,
                 cornerBeadPer10ft: this.currentProject.pricing.cornerBeadMetal,
+                beadPrices: {
+                    metal: this.currentProject.pricing.cornerBeadMetal,
+                    vinyl: this.currentProject.pricing.cornerBeadVinyl,
+                    bullnose: this.currentProject.pricing.cornerBeadBullnose,
+                    lbead: this.currentProject.pricing.lBead
+                },
                 primerPerGallon: this.currentProject.pricing.primer,
                 texturePerBag: this.currentProject.pricing.texture
             },
             this.currentProject.laborRates,
-            {
-                wasteFactor,
-                markup,
-                includePrimer: true,
-                includeTexture: false,
-                finishLevel: 'level4'
-            }
+            this.getEstimateOptions()
         );
 
         // Display results
@@ -501,17 +665,43 @@ class DrywallEstimatorApp {
         this.setStatus('Estimate calculated');
     }
 
+    getEstimateOptions() {
+        return {
+            wasteFactor: parseFloat(document.getElementById('waste-factor')?.value || 10) / 100,
+            optimizeLayout: document.getElementById('optimize-layout')?.classList.contains('active') || false,
+            mixedLengths: document.getElementById('mixed-lengths')?.classList.contains('active') || false,
+            cornerType: document.getElementById('corner-bead-type')?.value || 'metal',
+            openingReturns: document.getElementById('opening-returns')?.value || 'none',
+            markup: parseFloat(document.getElementById('markup-percent')?.value || 20) / 100,
+            // Project defaults from the ribbon; rooms with their own settings override them
+            includePrimer: document.getElementById('quick-include-primer')?.classList.contains('active') ?? true,
+            includeTexture: document.getElementById('quick-include-texture')?.classList.contains('active') || false,
+            finishLevel: document.getElementById('quick-finish-level')?.value || 'level4'
+        };
+    }
+
+    // Only the options recommendations change are written back to the ribbon
+    setEstimateOptions(options) {
+        const wasteFactor = document.getElementById('waste-factor');
+        if (wasteFactor) wasteFactor.value = +(options.wasteFactor * 100).toFixed(1);
+        document.getElementById('mixed-lengths')?.classList.toggle('active', !!options.mixedLengths);
+        const finishLevel = document.getElementById('quick-finish-level');
+        if (finishLevel) finishLevel.value = options.finishLevel;
+    }
+
     displayEstimate(estimate) {
         // Areas
         document.getElementById('est-wall-area').textContent = Utils.units.formatArea(estimate.areas.wall);
         document.getElementById('est-ceiling-area').textContent = Utils.units.formatArea(estimate.areas.ceiling);
         document.getElementById('est-stair-area').textContent = Utils.units.formatArea(estimate.areas.stairs);
+        document.getElementById('est-soffit-area').textContent = Utils.units.formatArea(estimate.areas.soffits);
+        document.getElementById('est-demolition-area').textContent = Utils.units.formatArea(estimate.areas.demolition);
         document.getElementById('est-total-area').textContent = Utils.units.formatArea(estimate.areas.total);
 
         // Materials breakdown
         const materialsContainer = document.getElementById('materials-breakdown');
         if (materialsContainer) {
-            const materialList = DrywallCalculator.generateMaterialList(estimate);
+            const materialList = calculator.generateMaterialList(estimate);
 
             materialsContainer.innerHTML = materialList.map(item => `
                 <div class="material-item">
@@ -524,6 +714,33 @@ class DrywallEstimatorApp {
             `).join('');
         }
 
+        // Cost by floor and room
+        const roomCostsContainer = document.getElementById('room-costs-breakdown');
+        if (roomCostsContainer) {
+            let roomIndex = 0;
+            roomCostsContainer.innerHTML = estimate.floors.map(floor => `
+                <div class="material-item">
+                    <div class="material-name"><strong>${floor.name}</strong></div>
+                    <div class="material-cost"><strong>${Utils.units.formatCurrency(floor.cost.total)}</strong></div>
+                </div>
+                ${floor.rooms.map(() => {
+                    const room = estimate.rooms[roomIndex++];
+                    return `
+                        <div class="material-item">
+                            <div>
+                                <div class="material-name">${room.name}</div>
+                                <div class="material-quantity">
+                                    ${Utils.units.formatCurrency(room.cost.materialCost)} materials,
+                                    ${Utils.units.formatCurrency(room.cost.laborCost)} labor
+                                </div>
+                            </div>
+                            <div class="material-cost">${Utils.units.formatCurrency(room.cost.total)}</div>
+                        </div>
+                    `;
+                }).join('')}
+            `).join('');
+        }
+
         // Costs
         document.getElementById('est-materials-cost').textContent = Utils.units.formatCurrency(estimate.costs.materials.total);
         document.getElementById('est-labor-cost').textContent = Utils.units.formatCurrency(estimate.costs.labor.total);
@@ -593,6 +810,23 @@ class DrywallEstimatorApp {
 
         modal.classList.add('active');
 
+        // Rooms an open-to-below room can look down into
+        const below = this.currentProject.floors[this.currentFloor - 1];
+        document.getElementById('room-below-room').innerHTML = [
+            '<option value="">Room under it</option>',
+            ...(below?.rooms || []).map(r => `<option value="${r.name}">${r.name}</option>`)
+        ].join('');
+
+        document.getElementById('room-wall-assembly').innerHTML = this.getAssemblyOptions('None');
+
+        const edges = roomIndex !== null
+            ? this.currentProject.floors[this.currentFloor].rooms[roomIndex].points?.length || 4
+            : 4;
+        document.getElementById('room-repair-wall').innerHTML = [
+            '<option value="">Whole room</option>',
+            ...Array.from({ length: edges }, (_, i) => `<option value="${i}">Wall ${i + 1}</option>`)
+        ].join('');
+
         // If editing existing room, populate fields
         if (roomIndex !== null) {
             const room = this.currentProject.floors[this.currentFloor].rooms[roomIndex];
@@ -603,11 +837,111 @@ class DrywallEstimatorApp {
             document.getElementById('room-height').value = room.height || 8;
             document.getElementById('room-ceiling-type').value = room.ceilingType || 'standard';
             document.getElementById('room-drywall-type').value = room.drywallType || 'standard';
+            document.getElementById('room-wall-assembly').value = room.wallAssembly || '';
+            document.getElementById('room-fire-rating').value = room.fireRating || '';
+
+            const repairs = room.repairs || [];
+            const rework = repairs.find(r => r.kind !== 'patch') || {};
+            const patch = repairs.find(r => r.kind === 'patch') || {};
+            document.getElementById('room-repair-kind').value = rework.kind || '';
+            document.getElementById('room-repair-wall').value = rework.edge ?? '';
+            document.getElementById('room-cut-height').value = rework.cutHeight ?? '';
+            document.getElementById('room-patch-small').value = patch.small || '';
+            document.getElementById('room-patch-medium').value = patch.medium || '';
+            document.getElementById('room-patch-large').value = patch.large || '';
+
+            const niche = (room.niches || [])[0] || {};
+            document.getElementById('room-niche-count').value = niche.count || (room.niches?.length ? 1 : '');
+            document.getElementById('room-niche-top').value = niche.arch ? 'arched' : 'square';
+            document.getElementById('room-niche-width').value = niche.width || '';
+            document.getElementById('room-niche-height').value = niche.height || '';
+            document.getElementById('room-niche-depth').value = niche.depth ? niche.depth * 12 : '';
             document.getElementById('room-finish-level').value = room.finishLevel || 'level4';
             document.getElementById('room-include-ceiling').checked = room.includeCeiling !== false;
+            document.getElementById('room-open-to-below').checked = room.openToBelow || false;
+            document.getElementById('room-below-room').value = room.belowRoom || '';
             document.getElementById('room-include-texture').checked = room.includeTexture || false;
             document.getElementById('room-include-primer').checked = room.includePrimer !== false;
+
+            const ceiling = room.ceiling || {};
+            document.getElementById('room-ceiling-pitch').value = ceiling.pitch ?? '';
+            document.getElementById('room-ceiling-ridge').value = ceiling.ridge || '';
+            document.getElementById('room-ceiling-knee-wall').value = ceiling.kneeWallHeight ?? '';
+            document.getElementById('room-ceiling-tray-depth').value = ceiling.trayDepth ?? '';
+            document.getElementById('room-ceiling-tray-step').value = ceiling.trayStep ?? '';
+            document.getElementById('room-ceiling-coffer-spacing').value = ceiling.cofferSpacing ?? '';
+            document.getElementById('room-ceiling-beam-width').value = ceiling.cofferBeamWidth ?? '';
+            document.getElementById('room-ceiling-beam-depth').value = ceiling.cofferBeamDepth ?? '';
+        }
+
+        this.updateCeilingFields();
+    }
+
+    // Only show the measurements the selected ceiling type uses
+    updateCeilingFields() {
+        const type = document.getElementById('room-ceiling-type')?.value || 'standard';
+        document.querySelectorAll('#room-modal [data-ceiling]').forEach(group => {
+            group.style.display = group.dataset.ceiling.split(' ').includes(type) ? '' : 'none';
+        });
+    }
+
+    // Ceiling measurements from the room modal; blank fields are left out
+    readCeilingGeometry() {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? undefined : value;
+        };
+        const ceiling = {
+            pitch: number('room-ceiling-pitch'),
+            ridge: document.getElementById('room-ceiling-ridge').value || undefined,
+            kneeWallHeight: number('room-ceiling-knee-wall'),
+            trayDepth: number('room-ceiling-tray-depth'),
+            trayStep: number('room-ceiling-tray-step'),
+            cofferSpacing: number('room-ceiling-coffer-spacing'),
+            cofferBeamWidth: number('room-ceiling-beam-width'),
+            cofferBeamDepth: number('room-ceiling-beam-depth')
+        };
+        Object.keys(ceiling).forEach(key => ceiling[key] === undefined && delete ceiling[key]);
+        return Object.keys(ceiling).length > 0 ? ceiling : undefined;
+    }
+
+    // Remodel scopes from the room modal: one rework scope plus any patches
+    readRepairs() {
+        const count = (id) => parseInt(document.getElementById(id).value) || 0;
+        const repairs = [];
+        const kind = document.getElementById('room-repair-kind').value;
+        if (kind) {
+            const edge = document.getElementById('room-repair-wall').value;
+            const cutHeight = parseFloat(document.getElementById('room-cut-height').value);
+            repairs.push({
+                kind,
+                edge: edge === '' ? undefined : parseInt(edge),
+                cutHeight: kind === 'water' && !isNaN(cutHeight) ? cutHeight : undefined
+            });
         }
+        const small = count('room-patch-small');
+        const medium = count('room-patch-medium');
+        const large = count('room-patch-large');
+        if (small + medium + large > 0) {
+            repairs.push({ kind: 'patch', small, medium, large });
+        }
+        return repairs.length > 0 ? repairs : undefined;
+    }
+
+    // Niches from the room modal, all of one size; blank sizes take typical ones
+    readNiches() {
+        const count = parseInt(document.getElementById('room-niche-count').value) || 0;
+        if (count <= 0) return undefined;
+        const width = parseFloat(document.getElementById('room-niche-width').value) || 1.5;
+        const depth = parseFloat(document.getElementById('room-niche-depth').value);
+        return [{
+            width,
+            height: parseFloat(document.getElementById('room-niche-height').value) || 2,
+            depth: depth > 0 ? depth / 12 : undefined,
+            // Arched tops are half round
+            arch: document.getElementById('room-niche-top').value === 'arched' ? width / 2 : undefined,
+            count
+        }];
     }
 
     editRoom(index) {
@@ -671,15 +1005,18 @@ class DrywallEstimatorApp {
                     name: 'Floor 1',
                     elevation: 0,
                     rooms: [],
-                    stairs: []
+                    stairs: [],
+                    openings: []
                 }],
                 pricing: this.getDefaultPricing(),
                 laborRates: this.getDefaultLaborRates()
             };
 
             this.currentFloor = 0;
+            this.appliedFixes = [];
             this.blueprint.clearAll();
             this.updateFloorList();
+            this.updateCodePackOptions();
             this.updateCurrentFloorLabel();
             this.setStatus('New project created');
         }
@@ -713,8 +1050,10 @@ class DrywallEstimatorApp {
 
                 this.currentProject = data;
                 this.currentFloor = 0;
+                this.appliedFixes = [];
                 this.updateFloorList();
                 this.loadCurrentFloorData();
+                this.updateCodePackOptions();
                 this.setStatus('Project loaded');
             } catch (error) {
                 alert('Error loading project: ' + error.message);
@@ -731,7 +1070,10 @@ class DrywallEstimatorApp {
         }
 
         const filename = Utils.file.generateFilename('estimate', 'json');
-        Utils.file.downloadJSON(this.currentProject.lastEstimate, filename);
+        Utils.file.downloadJSON({
+            ...this.currentProject.lastEstimate,
+            acknowledgedCodeWarnings: RecommendationEngine.getAcknowledgedCodeWarnings(this.currentProject)
+        }, filename);
     }
 
     printEstimate() {
@@ -743,7 +1085,21 @@ class DrywallEstimatorApp {
         // Create print window with formatted estimate
         const printWindow = window.open('', '_blank');
         const estimate = this.currentProject.lastEstimate;
-        const materialList = DrywallCalculator.generateMaterialList(estimate);
+        const materialList = calculator.generateMaterialList(estimate);
+        const acknowledged = RecommendationEngine.getAcknowledgedCodeWarnings(this.currentProject);
+        const cutLists = estimate.materials.sheetGroups.filter(group => group.layout);
+        const sheetMixes = estimate.rooms.filter(room => room.sheetMix);
+        let roomOffset = 0;
+        const roomCosts = estimate.floors.flatMap(floor => floor.rooms.map(() => ({
+            floor: floor.name,
+            room: estimate.rooms[roomOffset++]
+        })));
+        const jointTypes = [
+            ['tapered', 'Tapered Seams'],
+            ['butt', 'Butt Joints'],
+            ['insideCorner', 'Inside Corners'],
+            ['wallCeiling', 'Wall-Ceiling Angles']
+        ];
 
         printWindow.document.write(`
             <!DOCTYPE html>
@@ -776,6 +1132,8 @@ class DrywallEstimatorApp {
                         <tr><td>Wall Area:</td><td>${Utils.units.formatArea(estimate.areas.wall)}</td></tr>
                         <tr><td>Ceiling Area:</td><td>${Utils.units.formatArea(estimate.areas.ceiling)}</td></tr>
                         <tr><td>Stairwell Area:</td><td>${Utils.units.formatArea(estimate.areas.stairs)}</td></tr>
+                        <tr><td>Soffits &amp; Bulkheads:</td><td>${Utils.units.formatArea(estimate.areas.soffits)}</td></tr>
+                        ${estimate.areas.demolition > 0 ? `<tr><td>Demolition:</td><td>${Utils.units.formatArea(estimate.areas.demolition)} (${estimate.materials.debris} cu yd debris)</td></tr>` : ''}
                         <tr class="total-row"><td>Total Area:</td><td>${Utils.units.formatArea(estimate.areas.total)}</td></tr>
                     </table>
                 </div>
@@ -804,6 +1162,133 @@ class DrywallEstimatorApp {
                     </table>
                 </div>
 
+                ${cutLists.map(group => `
+                    <div class="section">
+                        <h2>Cut List - ${calculator.getSheetDescription(group)}</h2>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Surface</th>
+                                    <th>Row</th>
+                                    <th>Position</th>
+                                    <th>Piece</th>
+                                    <th>From</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${group.layout.cuts.map(cut => `
+                                    <tr>
+                                        <td>${cut.surface}</td>
+                                        <td>${cut.row + 1}</td>
+                                        <td>${Utils.units.formatLength(cut.x)}</td>
+                                        <td>${Utils.units.formatLength(cut.length)} x ${Utils.units.formatLength(cut.height)}</td>
+                                        <td>${cut.fromOffcut ? 'Offcut' : 'New'} ${cut.sheet}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `).join('')}
+
+                <div class="section">
+                    <h2>Cost by Room</h2>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Floor</th>
+                                <th>Room</th>
+                                <th>Sheets</th>
+                                <th>Materials</th>
+                                <th>Labor</th>
+                                <th>Markup</th>
+                                <th>Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${roomCosts.map(({ floor, room }) => `
+                                <tr>
+                                    <td>${floor}</td>
+                                    <td>${room.name}</td>
+                                    <td>${room.cost.materials.sheets.toFixed(1)}</td>
+                                    <td>${Utils.units.formatCurrency(room.cost.materialCost)}</td>
+                                    <td>${Utils.units.formatCurrency(room.cost.laborCost)}</td>
+                                    <td>${Utils.units.formatCurrency(room.cost.markup)}</td>
+                                    <td>${Utils.units.formatCurrency(room.cost.total)}</td>
+                                </tr>
+                            `).join('')}
+                            ${estimate.floors.map(floor => `
+                                <tr class="total-row">
+                                    <td>${floor.name}</td>
+                                    <td>Floor total (incl. stairs)</td>
+                                    <td>${floor.cost.materials.sheets.toFixed(1)}</td>
+                                    <td>${Utils.units.formatCurrency(floor.cost.materialCost)}</td>
+                                    <td>${Utils.units.formatCurrency(floor.cost.laborCost)}</td>
+                                    <td>${Utils.units.formatCurrency(floor.cost.markup)}</td>
+                                    <td>${Utils.units.formatCurrency(floor.cost.total)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="section">
+                    <h2>Joint Finishing</h2>
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Joint</th>
+                                <th>Length</th>
+                                <th>Compound</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${jointTypes.map(([key, label]) => `
+                                <tr>
+                                    <td>${label}</td>
+                                    <td>${Utils.units.formatLength(estimate.materials.joints[key])}</td>
+                                    <td>${estimate.materials.mudGallons[key].toFixed(1)} gal</td>
+                                </tr>
+                            `).join('')}
+                            <tr>
+                                <td>Fasteners &amp; Skim Coat</td>
+                                <td>-</td>
+                                <td>${(estimate.materials.mudGallons.fasteners + estimate.materials.mudGallons.skimCoat).toFixed(1)} gal</td>
+                            </tr>
+                            <tr class="total-row">
+                                <td>Total</td>
+                                <td>${Utils.units.formatLength(estimate.materials.joints.total)}</td>
+                                <td>${estimate.materials.mudGallons.total.toFixed(1)} gal</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                ${sheetMixes.length > 0 ? `
+                    <div class="section">
+                        <h2>Sheet Order by Room</h2>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Room</th>
+                                    <th>Sheets</th>
+                                    <th>Butt Joints</th>
+                                    <th>Joint Tape</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${sheetMixes.map(room => `
+                                    <tr>
+                                        <td>${room.name}</td>
+                                        <td>${room.sheetMix.sizes.map(size => `${size.count} x ${size.label}`).join(', ')}</td>
+                                        <td>${room.sheetMix.buttJoints}</td>
+                                        <td>${Utils.units.formatLength(room.sheetMix.joints.total)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+
                 <div class="section">
                     <h2>Cost Summary</h2>
                     <table>
@@ -812,9 +1297,40 @@ class DrywallEstimatorApp {
                         <tr><td>Subtotal:</td><td>${Utils.units.formatCurrency(estimate.costs.subtotal)}</td></tr>
                         <tr><td>Markup:</td><td>${Utils.units.formatCurrency(estimate.costs.markup)}</td></tr>
                         <tr class="total-row"><td>Total Estimate:</td><td>${Utils.units.formatCurrency(estimate.costs.total)}</td></tr>
+                        <tr><td>Installation Time:</td><td>${estimate.installationTime.total.toFixed(1)} hrs (${estimate.installationTime.days} days)</td></tr>
                     </table>
                 </div>
 
+                ${acknowledged.length > 0 ? `
+                    <div class="section">
+                        <h2>Acknowledged Code Warnings</h2>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Code</th>
+                                    <th>Warning</th>
+                                    <th>Room</th>
+                                    <th>Acknowledged By</th>
+                                    <th>Date</th>
+                                    <th>Note</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${acknowledged.map(response => `
+                                    <tr>
+                                        <td>${response.code}</td>
+                                        <td>${response.title}</td>
+                                        <td>${response.room || '-'}</td>
+                                        <td>${response.by || '-'}</td>
+                                        <td>${new Date(response.at).toLocaleDateString()}</td>
+                                        <td>${response.note || ''}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+
                 <button onclick="window.print()">Print</button>
             </body>
             </html>
@@ -826,7 +1342,8 @@ class DrywallEstimatorApp {
     // ==================== RECOMMENDATIONS ====================
 
     updateRecommendations(estimate = null) {
-        const recommendations = RecommendationEngine.generateRecommendations(
+        const recommendations = RecommendationEngine.priceAlternatives(
+            RecommendationEngine.generateRecommendations(this.currentProject, estimate),
             this.currentProject,
             estimate
         );
@@ -834,8 +1351,27 @@ class DrywallEstimatorApp {
         const container = document.getElementById('recommendations-list');
         if (!container) return;
 
+        const lastFix = this.appliedFixes[this.appliedFixes.length - 1];
+        const undoBar = lastFix ? `
+            <div class="recommendation-card success">
+                <div class="recommendation-icon">↶</div>
+                <div class="recommendation-content">
+                    <strong>Applied: ${lastFix.title}</strong>
+                    <p>${this.formatCostChange(lastFix.before, lastFix.after)}</p>
+                    <button class="btn-sm" id="undo-recommendation-btn">Undo</button>
+                </div>
+            </div>
+        ` : '';
+        const dismissed = (this.currentProject.recommendationResponses || [])
+            .filter(response => response.status === 'dismissed').length;
+        const restoreBar = dismissed > 0 ? `
+            <p style="font-size: 0.75rem; color: #6b7280;">
+                ${dismissed} dismissed <button class="btn-sm" id="restore-recommendations-btn">Show again</button>
+            </p>
+        ` : '';
+
         if (recommendations.length === 0) {
-            container.innerHTML = `
+            container.innerHTML = undoBar + `
                 <div class="recommendation-card info">
                     <div class="recommendation-icon">✓</div>
                     <div class="recommendation-content">
@@ -843,21 +1379,121 @@ class DrywallEstimatorApp {
                         <p>No issues or recommendations at this time.</p>
                     </div>
                 </div>
-            `;
+            ` + restoreBar;
+            this.bindRecommendationControls(container, recommendations);
             return;
         }
 
-        container.innerHTML = recommendations.map(rec => `
-            <div class="recommendation-card ${rec.type || 'info'}">
+        container.innerHTML = undoBar + recommendations.map((rec, index) => `
+            <div class="recommendation-card ${rec.type || 'info'}"${rec.wallId ? ` data-wall-id="${rec.wallId}" data-floor-index="${rec.floorIndex}" title="Show on plan" style="cursor: pointer;"` : ''}>
                 <div class="recommendation-icon">${this.getRecommendationIcon(rec.type)}</div>
                 <div class="recommendation-content">
                     <strong>${rec.title}</strong>
                     <p>${rec.message}</p>
                     ${rec.savings ? `<p style="color: #059669; font-weight: 600;">Potential savings: ${Utils.units.formatCurrency(rec.savings)}</p>` : ''}
                     ${rec.code ? `<p style="font-size: 0.75rem; color: #6b7280;">Code: ${rec.code}</p>` : ''}
+                    ${rec.response ? `<p style="font-size: 0.75rem; color: #6b7280;">Acknowledged${rec.response.by ? ` by ${rec.response.by}` : ''} ${new Date(rec.response.at).toLocaleDateString()}${rec.response.note ? `: ${rec.response.note}` : ''}</p>` : ''}
+                    ${rec.patch ? `<button class="btn-sm btn-primary" data-rec-action="apply" data-rec-index="${index}" title="${rec.action || 'Apply to the project'}">Apply</button>` : ''}
+                    ${rec.response ? '' : `<button class="btn-sm" data-rec-action="acknowledged" data-rec-index="${index}">Acknowledge</button>`}
+                    <button class="btn-sm" data-rec-action="dismissed" data-rec-index="${index}">Dismiss</button>
                 </div>
             </div>
-        `).join('');
+        `).join('') + restoreBar;
+
+        this.bindRecommendationControls(container, recommendations);
+
+        // Recommendations about a particular wall select it on the plan
+        container.querySelectorAll('[data-wall-id]').forEach(card => {
+            card.addEventListener('click', () => {
+                this.showWallOnPlan(card.dataset.wallId, parseInt(card.dataset.floorIndex));
+            });
+        });
+    }
+
+    bindRecommendationControls(container, recommendations) {
+        container.querySelectorAll('[data-rec-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                // Don't also jump to the wall the card is about
+                e.stopPropagation();
+                const rec = recommendations[parseInt(button.dataset.recIndex)];
+                if (button.dataset.recAction === 'apply') this.applyRecommendation(rec);
+                else this.respondToRecommendation(rec, button.dataset.recAction);
+            });
+        });
+
+        container.querySelector('#undo-recommendation-btn')?.addEventListener('click', () => {
+            this.undoRecommendation();
+        });
+
+        container.querySelector('#restore-recommendations-btn')?.addEventListener('click', () => {
+            this.currentProject.recommendationResponses = this.currentProject.recommendationResponses
+                .filter(response => response.status !== 'dismissed');
+            this.updateRecommendations(this.currentProject.lastEstimate);
+        });
+    }
+
+    // Dismissed and acknowledged recommendations are saved with the project
+    respondToRecommendation(rec, status) {
+        const note = prompt(status === 'dismissed'
+            ? `Dismiss "${rec.title}"? Add a note if you like:`
+            : `Acknowledge "${rec.title}". Note:`, '');
+        if (note === null) return;
+
+        let by = Utils.storage.load('drywall_user_name');
+        if (!by) {
+            by = prompt('Your name, for the record:', '') || '';
+            if (by) Utils.storage.save('drywall_user_name', by);
+        }
+
+        this.currentProject = RecommendationEngine.respond(this.currentProject, rec, status, { note, by });
+        this.updateRecommendations(this.currentProject.lastEstimate);
+        this.setStatus(`${status === 'dismissed' ? 'Dismissed' : 'Acknowledged'} "${rec.title}"`);
+    }
+
+    // Recommendations with a patch change the project or estimate options in one click
+    applyRecommendation(rec) {
+        const fix = this.applyProjectPatch(rec.patch);
+        this.appliedFixes.push({ title: rec.title, revert: fix.revert, before: fix.before, after: fix.after });
+        this.updateRecommendations(this.currentProject.lastEstimate);
+        this.setStatus(`Applied "${rec.title}": ${this.formatCostChange(fix.before, fix.after)}`);
+    }
+
+    undoRecommendation() {
+        const last = this.appliedFixes.pop();
+        if (!last) return;
+
+        const fix = this.applyProjectPatch(last.revert);
+        this.updateRecommendations(this.currentProject.lastEstimate);
+        this.setStatus(`Undid "${last.title}": ${this.formatCostChange(fix.before, fix.after)}`);
+    }
+
+    // Patches, re-estimates and returns the totals either side of the change
+    applyProjectPatch(patch) {
+        if (!this.currentProject.lastEstimate) this.calculateEstimate();
+        else this.saveCurrentFloorData();
+        const before = this.currentProject.lastEstimate.costs.total;
+
+        const applied = RecommendationEngine.applyPatch(this.currentProject, this.getEstimateOptions(), patch);
+        this.currentProject = applied.project;
+        this.setEstimateOptions(applied.options);
+        // The plan holds the rooms being drawn; give it the patched ones
+        this.loadCurrentFloorData();
+        this.calculateEstimate();
+
+        return { revert: applied.revert, before, after: this.currentProject.lastEstimate.costs.total };
+    }
+
+    formatCostChange(before, after) {
+        const change = after - before;
+        const sign = change > 0 ? '+' : change < 0 ? '−' : '±';
+        return `${Utils.units.formatCurrency(before)} → ${Utils.units.formatCurrency(after)} (${sign}${Utils.units.formatCurrency(Math.abs(change))})`;
+    }
+
+    showWallOnPlan(wallId, floorIndex) {
+        if (!isNaN(floorIndex) && floorIndex !== this.currentFloor) this.switchFloor(floorIndex);
+        if (!this.blueprint.selectWall(wallId)) {
+            this.setStatus('That wall is no longer on the plan');
+        }
     }
 
     getRecommendationIcon(type) {
@@ -899,9 +1535,40 @@ class DrywallEstimatorApp {
             this.saveRoomFromModal();
         });
 
+        document.getElementById('room-ceiling-type')?.addEventListener('change', () => {
+            this.updateCeilingFields();
+        });
+
         document.getElementById('room-cancel-btn')?.addEventListener('click', () => {
             document.getElementById('room-modal')?.classList.remove('active');
         });
+
+        // Stair modal buttons
+        document.getElementById('stair-save-btn')?.addEventListener('click', () => {
+            this.saveStairsFromModal();
+        });
+
+        document.getElementById('stair-cancel-btn')?.addEventListener('click', () => {
+            document.getElementById('stair-modal')?.classList.remove('active');
+        });
+
+        // Wall face modal buttons
+        document.getElementById('wall-save-btn')?.addEventListener('click', () => {
+            this.saveWallFromModal();
+        });
+
+        document.getElementById('wall-cancel-btn')?.addEventListener('click', () => {
+            document.getElementById('wall-modal')?.classList.remove('active');
+        });
+
+        // Soffit modal buttons
+        document.getElementById('soffit-save-btn')?.addEventListener('click', () => {
+            this.saveSoffitFromModal();
+        });
+
+        document.getElementById('soffit-cancel-btn')?.addEventListener('click', () => {
+            document.getElementById('soffit-modal')?.classList.remove('active');
+        });
     }
 
     saveRoomFromModal() {
@@ -913,9 +1580,16 @@ class DrywallEstimatorApp {
             length: parseFloat(document.getElementById('room-length').value),
             height: parseFloat(document.getElementById('room-height').value),
             ceilingType: document.getElementById('room-ceiling-type').value,
+            ceiling: this.readCeilingGeometry(),
             drywallType: document.getElementById('room-drywall-type').value,
+            wallAssembly: document.getElementById('room-wall-assembly').value || undefined,
+            fireRating: parseFloat(document.getElementById('room-fire-rating').value) || undefined,
+            repairs: this.readRepairs(),
+            niches: this.readNiches(),
             finishLevel: document.getElementById('room-finish-level').value,
             includeCeiling: document.getElementById('room-include-ceiling').checked,
+            openToBelow: document.getElementById('room-open-to-below').checked,
+            belowRoom: document.getElementById('room-below-room').value || undefined,
             includeTexture: document.getElementById('room-include-texture').checked,
             includePrimer: document.getElementById('room-include-primer').checked
         };
@@ -926,6 +1600,148 @@ class DrywallEstimatorApp {
         document.getElementById('room-modal')?.classList.remove('active');
     }
 
+    showStairModal(stair) {
+        const modal = document.getElementById('stair-modal');
+        if (!modal) return;
+
+        this.editingStairs = stair;
+        const up = stair.type !== 'stairs-down';
+        const floorOptions = this.currentProject.floors
+            .map((floor, index) => `<option value="${index}">${floor.name}</option>`)
+            .join('');
+        ['stair-from-floor', 'stair-to-floor'].forEach(id => {
+            document.getElementById(id).innerHTML = floorOptions;
+        });
+
+        document.getElementById('stair-shape').value = stair.shape || 'straight';
+        document.getElementById('stair-turn').value = stair.turn || 'right';
+        document.getElementById('stair-total-rise').value = stair.totalRise ?? '';
+        const fromFloor = stair.fromFloor ?? (up ? this.currentFloor : this.currentFloor - 1);
+        const toFloor = stair.toFloor ?? (up ? this.currentFloor + 1 : this.currentFloor);
+        const floorToFloor = calculator.getFloorToFloor(this.currentProject, fromFloor, toFloor);
+        document.getElementById('stair-total-rise').placeholder = floorToFloor > 0
+            ? `${(floorToFloor * 12).toFixed(1)} from floors`
+            : 'Floor to floor';
+        document.getElementById('stair-tread').value = stair.treadWidth || 10;
+        document.getElementById('stair-width').value = stair.width || 3;
+        document.getElementById('stair-landings').value = stair.landings || 0;
+        document.getElementById('stair-landing-depth').value = stair.landingDepth ?? '';
+        document.getElementById('stair-left-side').value = stair.leftSide || 'enclosed';
+        document.getElementById('stair-right-side').value = stair.rightSide || 'enclosed';
+        document.getElementById('stair-from-floor').value = fromFloor;
+        document.getElementById('stair-to-floor').value = toFloor;
+        document.getElementById('stair-soffit').checked = stair.underCeiling !== false;
+
+        modal.classList.add('active');
+    }
+
+    saveStairsFromModal() {
+        if (!this.editingStairs) return;
+
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? undefined : value;
+        };
+        const totalRise = number('stair-total-rise');
+
+        this.blueprint.updateStairs(this.editingStairs, {
+            shape: document.getElementById('stair-shape').value,
+            turn: document.getElementById('stair-turn').value,
+            totalRise,
+            // A new rise recomputes the riser count
+            risers: totalRise ? undefined : this.editingStairs.risers,
+            treadWidth: number('stair-tread'),
+            width: number('stair-width'),
+            landings: parseInt(document.getElementById('stair-landings').value) || 0,
+            landingDepth: number('stair-landing-depth'),
+            leftSide: document.getElementById('stair-left-side').value,
+            rightSide: document.getElementById('stair-right-side').value,
+            fromFloor: parseInt(document.getElementById('stair-from-floor').value),
+            toFloor: parseInt(document.getElementById('stair-to-floor').value),
+            underCeiling: document.getElementById('stair-soffit').checked
+        });
+
+        this.editingStairs = null;
+        document.getElementById('stair-modal')?.classList.remove('active');
+    }
+
+    showWallModal(wall) {
+        const modal = document.getElementById('wall-modal');
+        if (!modal) return;
+
+        this.editingWall = wall;
+        const assembly = document.getElementById('wall-assembly');
+        assembly.innerHTML = this.getAssemblyOptions('Plain Wall');
+        assembly.value = wall.assembly || '';
+        const rooms = this.blueprint.getWallFaceRooms(wall);
+        ['left', 'right'].forEach(side => {
+            const face = (wall.faces && wall.faces[side]) || {};
+            const room = rooms[side];
+            document.getElementById(`wall-${side}-room`).textContent = room ? room.name : 'No room (not estimated)';
+            // Exterior walls are hung from the inside only
+            document.getElementById(`wall-${side}-status`).value = face.status ||
+                (room || wall.type !== 'wall-exterior' ? 'hang' : 'skip');
+            document.getElementById(`wall-${side}-layers`).value = face.layers || '';
+        });
+        document.getElementById('wall-radius').value = wall.radius ? Math.abs(wall.radius) : '';
+        document.getElementById('wall-bow').value = wall.radius < 0 ? 'right' : 'left';
+
+        modal.classList.add('active');
+    }
+
+    saveWallFromModal() {
+        if (!this.editingWall) return;
+
+        const readFace = (side) => ({
+            status: document.getElementById(`wall-${side}-status`).value,
+            // Blank keeps the assembly's layer count
+            layers: parseInt(document.getElementById(`wall-${side}-layers`).value) || undefined
+        });
+        this.blueprint.updateWallFaces(this.editingWall, {
+            left: readFace('left'),
+            right: readFace('right')
+        }, document.getElementById('wall-assembly').value);
+
+        const radius = parseFloat(document.getElementById('wall-radius').value) || 0;
+        const bow = document.getElementById('wall-bow').value === 'right' ? -1 : 1;
+        if (radius * bow !== (this.editingWall.radius || 0)) {
+            this.blueprint.updateWallRadius(this.editingWall, radius * bow);
+        }
+
+        this.editingWall = null;
+        document.getElementById('wall-modal')?.classList.remove('active');
+    }
+
+    showSoffitModal(soffit) {
+        const modal = document.getElementById('soffit-modal');
+        if (!modal) return;
+
+        this.editingSoffit = soffit;
+        document.getElementById('soffit-kind').value = soffit.kind || 'soffit';
+        document.getElementById('soffit-drop').value = soffit.drop ?? '';
+        document.getElementById('soffit-height').value = soffit.height ?? '';
+
+        modal.classList.add('active');
+    }
+
+    saveSoffitFromModal() {
+        if (!this.editingSoffit) return;
+
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? undefined : value;
+        };
+        // A drop wins over a clear height; with neither the kind's default drop is used
+        this.blueprint.updateSoffit(this.editingSoffit, {
+            kind: document.getElementById('soffit-kind').value,
+            drop: number('soffit-drop'),
+            height: number('soffit-height')
+        });
+
+        this.editingSoffit = null;
+        document.getElementById('soffit-modal')?.classList.remove('active');
+    }
+
     // ==================== KEYBOARD SHORTCUTS ====================
 
     setupKeyboardShortcuts() {
@@ -1012,8 +1828,10 @@ class DrywallEstimatorApp {
             if (hoursSince < 24) {
                 if (confirm(`Found autosaved project from ${lastModified.toLocaleString()}. Load it?`)) {
                     this.currentProject = saved;
+                    this.appliedFixes = [];
                     this.loadCurrentFloorData();
                     this.updateFloorList();
+                    this.updateCodePackOptions();
                 }
             }
         }
@@ -1066,10 +1884,27 @@ class DrywallEstimatorApp {
             });
         });
 
+        // Assembly new walls are drawn with
+        const assemblySelect = document.getElementById('wall-assembly-select');
+        if (assemblySelect) {
+            assemblySelect.innerHTML = this.getAssemblyOptions('Plain Wall');
+            assemblySelect.addEventListener('change', () => {
+                this.blueprint?.setAssembly(assemblySelect.value);
+            });
+        }
+
         // Toggle buttons (layers, display options, snap, etc.)
         this.setupToggleButtons();
     }
 
+    getAssemblyOptions(emptyLabel) {
+        return [
+            `<option value="">${emptyLabel}</option>`,
+            ...Object.values(DrywallCalculator.WALL_ASSEMBLIES).map(assembly =>
+                `<option value="${assembly.id}">${assembly.name.replace(/"/g, '&quot;')}</option>`)
+        ].join('');
+    }
+
     setupToggleButtons() {
         const toggleButtons = document.querySelectorAll('.icon-btn.toggle');
         toggleButtons.forEach(btn => {